@@ -150,13 +150,14 @@ class AIAssistant {
             const response = await this.simulateAIResponse(userMessage, this.currentContext);
             
             // Add to conversation history
-            this.conversationHistory.push(
+            const exchange = [
                 { role: 'user', content: userMessage },
                 { role: 'assistant', content: response.message }
-            );
+            ];
+            this.conversationHistory.push(...exchange);
             
             // Save conversation history
-            this.saveConversationHistory();
+            this.saveConversationMessages(exchange);
             
             return response;
             
@@ -206,7 +207,7 @@ class AIAssistant {
      */
     generateBuyResponse(message, context) {
         const symbol = this.extractSymbol(message) || context.symbol;
-        const volume = this.extractVolume(message) || CONFIG.TRADING.DEFAULT_VOLUME;
+        const volume = this.extractVolume(message) || settingsStore.get('defaultVolume');
         const quote = context.quotes[symbol];
         
         let response = {
@@ -216,8 +217,8 @@ class AIAssistant {
         
         if (quote) {
             const price = quote.ask;
-            const suggestedSL = (price * 0.98).toFixed(5); // 2% stop loss
-            const suggestedTP = (price * 1.04).toFixed(5); // 4% take profit
+            const suggestedSL = symbolRegistry.formatPrice(symbol, price * 0.98); // 2% stop loss
+            const suggestedTP = symbolRegistry.formatPrice(symbol, price * 1.04); // 4% take profit
             
             response.message += `Current ask price is ${price}. Based on market conditions, I suggest:\n\n`;
             response.message += `📈 **Buy Signal for ${symbol}**\n`;
@@ -226,7 +227,10 @@ class AIAssistant {
             response.message += `• Stop Loss: ${suggestedSL}\n`;
             response.message += `• Take Profit: ${suggestedTP}\n`;
             response.message += `• Risk/Reward: 1:2\n\n`;
-            response.message += `⚠️ **Risk Warning**: This represents a potential ${(volume * 10000).toFixed(0)} USD risk with current volume.`;
+            const riskAmount = currencyConverter.calculateRisk(symbol, price, parseFloat(suggestedSL), volume);
+            response.message += riskAmount === null ?
+                `⚠️ **Risk Warning**: The risk in ${currencyConverter.getAccountCurrency()} can't be estimated until a conversion quote arrives.` :
+                `⚠️ **Risk Warning**: This represents a potential ${NumberUtils.formatCurrency(riskAmount, currencyConverter.getAccountCurrency())} risk with current volume.`;
             
             response.actions = [{
                 type: 'trade_suggestion',
@@ -248,7 +252,7 @@ class AIAssistant {
      */
     generateSellResponse(message, context) {
         const symbol = this.extractSymbol(message) || context.symbol;
-        const volume = this.extractVolume(message) || CONFIG.TRADING.DEFAULT_VOLUME;
+        const volume = this.extractVolume(message) || settingsStore.get('defaultVolume');
         const quote = context.quotes[symbol];
         
         let response = {
@@ -258,8 +262,8 @@ class AIAssistant {
         
         if (quote) {
             const price = quote.bid;
-            const suggestedSL = (price * 1.02).toFixed(5); // 2% stop loss
-            const suggestedTP = (price * 0.96).toFixed(5); // 4% take profit
+            const suggestedSL = symbolRegistry.formatPrice(symbol, price * 1.02); // 2% stop loss
+            const suggestedTP = symbolRegistry.formatPrice(symbol, price * 0.96); // 4% take profit
             
             response.message += `Current bid price is ${price}. Here's my analysis:\n\n`;
             response.message += `📉 **Sell Signal for ${symbol}**\n`;
@@ -304,7 +308,7 @@ class AIAssistant {
             response.message += `**Current Market Conditions:**\n`;
             response.message += `• Bid: ${quote.bid}\n`;
             response.message += `• Ask: ${quote.ask}\n`;
-            response.message += `• Spread: ${spread.toFixed(5)} (${spreadPercent}%)\n\n`;
+            response.message += `• Spread: ${symbolRegistry.formatPrice(symbol, spread)} (${spreadPercent}%)\n\n`;
             
             // Simple market condition analysis
             if (spread < 0.0002) {
@@ -329,7 +333,7 @@ class AIAssistant {
      * Generate risk management response
      */
     generateRiskResponse(message, context) {
-        const riskPercent = this.extractRiskPercent(message) || CONFIG.TRADING.DEFAULT_RISK_PERCENT;
+        const riskPercent = this.extractRiskPercent(message) || settingsStore.get('defaultRiskPercent');
         const symbol = this.extractSymbol(message) || context.symbol;
         const quote = context.quotes[symbol];
         const account = context.account;
@@ -339,22 +343,27 @@ class AIAssistant {
             actions: []
         };
         
-        if (account && quote) {
+        const pipValue = account && quote ? currencyConverter.getPipValue(symbol) : null;
+        
+        if (account && quote && pipValue !== null) {
             const accountBalance = account.balance || 10000; // Default for demo
             const riskAmount = (accountBalance * riskPercent) / 100;
             const price = quote.ask;
             const suggestedSL = price * 0.98; // 2% stop loss
             const stopDistance = Math.abs(price - suggestedSL);
-            const positionSize = riskAmount / (stopDistance * 100000); // For forex
+            const stopPips = symbolRegistry.priceToPips(symbol, stopDistance);
+            const positionSize = riskAmount / (stopPips * pipValue);
+            const currency = currencyConverter.getAccountCurrency();
             
             response.message += `**Account Information:**\n`;
-            response.message += `• Balance: $${accountBalance.toFixed(2)}\n`;
-            response.message += `• Risk per trade: ${riskPercent}% ($${riskAmount.toFixed(2)})\n\n`;
+            response.message += `• Balance: ${NumberUtils.formatCurrency(accountBalance, currency)}\n`;
+            response.message += `• Risk per trade: ${riskPercent}% (${NumberUtils.formatCurrency(riskAmount, currency)})\n\n`;
             
             response.message += `**Position Sizing for ${symbol}:**\n`;
             response.message += `• Current price: ${price}\n`;
-            response.message += `• Suggested stop loss: ${suggestedSL.toFixed(5)}\n`;
-            response.message += `• Stop distance: ${(stopDistance * 100000).toFixed(1)} pips\n`;
+            response.message += `• Suggested stop loss: ${symbolRegistry.formatPrice(symbol, suggestedSL)}\n`;
+            response.message += `• Stop distance: ${stopPips.toFixed(1)} pips\n`;
+            response.message += `• Pip value: ${NumberUtils.formatCurrency(pipValue, currency)} per lot\n`;
             response.message += `• Recommended volume: ${positionSize.toFixed(3)} lots\n\n`;
             
             response.message += `📋 **Risk Rules:**\n`;
@@ -367,8 +376,10 @@ class AIAssistant {
                 symbol: symbol,
                 riskPercent: riskPercent,
                 suggestedVolume: positionSize.toFixed(3),
-                stopLoss: suggestedSL.toFixed(5)
+                stopLoss: symbolRegistry.formatPrice(symbol, suggestedSL)
             }];
+        } else if (account && quote) {
+            response.message += `I can't convert ${symbol} pip values into ${currencyConverter.getAccountCurrency()} yet. Position sizing will be available once the conversion quote arrives.`;
         } else {
             response.message += `I need account and market data to calculate proper position sizing. Please ensure you're connected to cTrader.`;
         }
@@ -619,6 +630,12 @@ class AIAssistant {
      */
     async executeTradeSuggestion(action) {
         try {
+            const riskManager = window.tradingEngine?.riskManager;
+            if (riskManager?.isLocked()) {
+                this.addMessage('ai', `🔒 Trade refused - trading is locked: ${riskManager.getLockReason()}`, null, true);
+                return;
+            }
+            
             if (window.ctraderSDK && window.ctraderSDK.isReady()) {
                 const result = await window.ctraderSDK.createMarketOrder(
                     action.symbol,
@@ -629,6 +646,7 @@ class AIAssistant {
                 );
                 
                 if (result.success) {
+                    riskManager?.recordTradeOpened();
                     this.addMessage('ai', `✅ Trade executed successfully! ${action.side.toUpperCase()} ${action.volume} ${action.symbol}`);
                 } else {
                     this.addMessage('ai', `❌ Trade execution failed: ${result.error}`, null, true);
@@ -692,7 +710,7 @@ class AIAssistant {
         
         if (quote) {
             context += `- Current price: ${quote.ask} (bid: ${quote.bid})\n`;
-            context += `- Spread: ${quote.spread.toFixed(5)}\n`;
+            context += `- Spread: ${symbolRegistry.formatPrice(symbol, quote.spread)}\n`;
         }
         
         if (account) {
@@ -722,6 +740,9 @@ class AIAssistant {
         
         this.chatMessages = [];
         this.conversationHistory = [];
+        appStorage.clear('conversation').catch(error => {
+            Logger.error('Failed to clear conversation history:', error);
+        });
         
         // Add welcome message
         setTimeout(() => {
@@ -743,25 +764,30 @@ class AIAssistant {
     }
     
     /**
-     * Load conversation history from localStorage
+     * Load the most recent conversation messages from storage
      */
-    loadConversationHistory() {
+    async loadConversationHistory() {
         try {
-            const saved = localStorage.getItem('trademaster_conversation');
-            if (saved) {
-                this.conversationHistory = JSON.parse(saved);
-            }
+            const saved = await appStorage.getLatest('conversation', 'timestamp', CONFIG.STORAGE.CONVERSATION_LOAD_LIMIT);
+            const messages = saved.map(({ role, content }) => ({ role, content }));
+            
+            // Messages exchanged while loading come after the stored ones
+            this.conversationHistory = messages.concat(this.conversationHistory);
         } catch (error) {
             Logger.error('Failed to load conversation history:', error);
         }
     }
     
     /**
-     * Save conversation history to localStorage
+     * Append messages to the stored conversation (one record each)
      */
-    saveConversationHistory() {
+    async saveConversationMessages(messages) {
+        const now = Date.now();
+        
         try {
-            localStorage.setItem('trademaster_conversation', JSON.stringify(this.conversationHistory));
+            for (const [index, message] of messages.entries()) {
+                await appStorage.add('conversation', { ...message, timestamp: now + index });
+            }
         } catch (error) {
             Logger.error('Failed to save conversation history:', error);
         }
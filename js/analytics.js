@@ -0,0 +1,582 @@
+/**
+ * TradeMaster AI Pro - Analytics Dashboard
+ * Equity curve, daily P&L, drawdown, distribution and breakdown charts over closed trades
+ */
+
+class AnalyticsDashboard {
+    constructor(performanceTracker, journal) {
+        this.tracker = performanceTracker;
+        this.journal = journal;
+        this.charts = {};
+        this.range = 'all';
+        this.tag = '';
+        this.breakdown = 'symbol';
+        this.isDirty = true;
+        this.modal = null;
+
+        this.init();
+    }
+
+    /**
+     * Wire up the modal controls and trade/theme events
+     */
+    init() {
+        this.modal = document.getElementById('analytics-modal');
+
+        document.getElementById('analytics-toggle')?.addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('close-analytics-modal')?.addEventListener('click', () => {
+            this.close();
+        });
+
+        document.getElementById('analytics-range')?.addEventListener('change', (e) => {
+            this.range = e.target.value;
+            this.updateCustomRangeFields();
+            this.refresh();
+        });
+
+        ['analytics-from', 'analytics-to'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.refresh();
+            });
+        });
+
+        document.getElementById('analytics-tag')?.addEventListener('change', (e) => {
+            this.tag = e.target.value;
+            this.refresh();
+        });
+
+        document.getElementById('analytics-breakdown')?.addEventListener('change', (e) => {
+            this.breakdown = e.target.value;
+            this.renderBreakdownChart(this.getFilteredTrades());
+        });
+
+        ['tradeRecorded', 'tradeHistoryLoaded'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (this.isOpen()) {
+                    this.refresh();
+                } else {
+                    this.isDirty = true;
+                }
+            });
+        });
+
+        document.addEventListener('journalUpdated', () => {
+            this.updateTagOptions();
+            if (this.isOpen()) {
+                this.refresh();
+            } else {
+                this.isDirty = true;
+            }
+        });
+
+        document.addEventListener('themeChanged', () => {
+            if (this.isOpen()) {
+                this.refresh();
+            } else {
+                this.isDirty = true;
+            }
+        });
+
+        this.updateCustomRangeFields();
+    }
+
+    /**
+     * Show the dashboard, redrawing if trades arrived while it was hidden
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('hidden');
+        if (this.isDirty || Object.keys(this.charts).length === 0) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Hide the dashboard
+     */
+    close() {
+        this.modal?.classList.add('hidden');
+    }
+
+    /**
+     * Whether the modal is currently visible (Escape closes it from main.js)
+     */
+    isOpen() {
+        return !!this.modal && !this.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Show the from/to inputs only for a custom range
+     */
+    updateCustomRangeFields() {
+        document.querySelectorAll('.analytics-custom-range').forEach(field => {
+            field.classList.toggle('hidden', this.range !== 'custom');
+        });
+    }
+
+    /**
+     * Fill the tag filter from the journal, dropping a selection whose tag no longer exists
+     */
+    updateTagOptions() {
+        const select = document.getElementById('analytics-tag');
+        if (!select) return;
+
+        const tags = this.journal.getAllTags();
+        if (!tags.includes(this.tag)) {
+            this.tag = '';
+        }
+
+        select.innerHTML = '<option value="">All tags</option>' +
+            tags.map(tag =>
+                `<option value="${ValidationUtils.escapeAttribute(tag)}">${ValidationUtils.sanitizeHtml(tag)}</option>`
+            ).join('');
+        select.value = this.tag;
+    }
+
+    /**
+     * Resolve the selected range into close-time bounds (null = open ended)
+     */
+    getDateRange() {
+        const now = new Date();
+        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const day = 24 * 60 * 60 * 1000;
+
+        switch (this.range) {
+            case 'today':
+                return { from: startOfToday, to: null };
+            case '7d':
+                return { from: startOfToday - 6 * day, to: null };
+            case '30d':
+                return { from: startOfToday - 29 * day, to: null };
+            case '90d':
+                return { from: startOfToday - 89 * day, to: null };
+            case 'ytd':
+                return { from: new Date(now.getFullYear(), 0, 1).getTime(), to: null };
+            case 'custom': {
+                const fromValue = document.getElementById('analytics-from')?.value;
+                const toValue = document.getElementById('analytics-to')?.value;
+
+                return {
+                    from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+                    to: toValue ? new Date(`${toValue}T00:00:00`).getTime() + day - 1 : null
+                };
+            }
+            default:
+                return { from: null, to: null };
+        }
+    }
+
+    /**
+     * Closed trades inside the selected range (and journal tag), oldest first
+     */
+    getFilteredTrades() {
+        const { from, to } = this.getDateRange();
+
+        return this.tracker.getClosedTrades()
+            .filter(trade => (from === null || trade.closeTime >= from) && (to === null || trade.closeTime <= to))
+            .filter(trade => !this.tag || this.journal.getTagsForTrade(trade).includes(this.tag))
+            .sort((a, b) => a.closeTime - b.closeTime);
+    }
+
+    /**
+     * Recompute stats and redraw every chart
+     */
+    refresh() {
+        const trades = this.getFilteredTrades();
+
+        this.renderSummary(trades);
+        this.renderEquityChart(trades);
+        this.renderDailyChart(trades);
+        this.renderDrawdownChart(trades);
+        this.renderDistributionChart(trades);
+        this.renderBreakdownChart(trades);
+
+        const empty = document.getElementById('analytics-empty');
+        if (empty) {
+            empty.classList.toggle('hidden', trades.length > 0);
+        }
+
+        this.isDirty = false;
+    }
+
+    /**
+     * KPI tiles for the filtered trades
+     */
+    renderSummary(trades) {
+        const container = document.getElementById('analytics-summary');
+        if (!container) return;
+
+        const stats = PerformanceTracker.computeStats(trades);
+        const currency = currencyConverter.getAccountCurrency();
+        const winRate = stats.totalTrades > 0 ? stats.winningTrades / stats.totalTrades : 0;
+        const money = (value) => NumberUtils.formatCurrency(value, currency);
+        const ratio = (value) => value === null ? '—' : NumberUtils.formatNumber(value, 2);
+
+        const tiles = [
+            { label: 'Trades', value: stats.totalTrades },
+            { label: 'Win Rate', value: NumberUtils.formatPercent(winRate, 1) },
+            { label: 'Net P&L', value: money(stats.netProfit), tone: stats.netProfit },
+            { label: 'Profit Factor', value: ratio(stats.profitFactor) },
+            { label: 'Expectancy', value: money(stats.expectancy), tone: stats.expectancy },
+            { label: 'Avg R', value: stats.averageR === null ? '—' : `${NumberUtils.formatNumber(stats.averageR, 2)}R` },
+            {
+                label: 'Max Drawdown',
+                value: stats.maxDrawdownPercent === null ?
+                    money(stats.maxDrawdown) :
+                    `${money(stats.maxDrawdown)} (${NumberUtils.formatNumber(stats.maxDrawdownPercent, 1)}%)`
+            },
+            { label: 'Sharpe / Sortino', value: `${ratio(stats.sharpeRatio)} / ${ratio(stats.sortinoRatio)}` }
+        ];
+
+        container.innerHTML = tiles.map(tile => {
+            const toneClass = tile.tone > 0 ? 'positive' : tile.tone < 0 ? 'negative' : '';
+            return `
+                <div class="analytics-kpi">
+                    <span class="analytics-kpi-label">${tile.label}</span>
+                    <span class="analytics-kpi-value ${toneClass}">${tile.value}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Balance after each closed trade, plus the live equity when the range reaches today
+     */
+    renderEquityChart(trades) {
+        const startingBalance = PerformanceTracker.getStartingBalance(trades);
+        const anchored = startingBalance !== null;
+        let running = anchored ? startingBalance : 0;
+
+        const labels = ['Start'];
+        const balance = [running];
+
+        trades.forEach(trade => {
+            running += trade.netProfit;
+            labels.push(this.formatTime(trade.closeTime));
+            balance.push(running);
+        });
+
+        const datasets = [{
+            label: anchored ? 'Balance' : 'Cumulative P&L',
+            data: balance,
+            borderColor: CONFIG.UI.CHART_COLORS[0],
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            fill: true,
+            tension: 0.1
+        }];
+
+        // Open P&L as a dashed segment from the last closed balance to current equity
+        const equity = window.ctraderSDK?.accountInfo?.equity;
+        const { to } = this.getDateRange();
+        if (anchored && typeof equity === 'number' && to === null) {
+            labels.push('Now');
+            balance.push(null);
+
+            const equityData = balance.map(() => null);
+            equityData[equityData.length - 2] = running;
+            equityData[equityData.length - 1] = equity;
+
+            datasets.push({
+                label: 'Equity',
+                data: equityData,
+                borderColor: CONFIG.UI.CHART_COLORS[2],
+                borderDash: [6, 4],
+                fill: false
+            });
+        }
+
+        this.renderChart('equity', 'analytics-equity-chart', {
+            type: 'line',
+            data: { labels, datasets },
+            options: this.getChartOptions({ legend: true, money: true })
+        });
+    }
+
+    /**
+     * Net P&L summed per calendar day
+     */
+    renderDailyChart(trades) {
+        const days = new Map();
+
+        trades.forEach(trade => {
+            const key = this.getDayKey(trade.closeTime);
+            days.set(key, (days.get(key) || 0) + trade.netProfit);
+        });
+
+        const values = [...days.values()];
+
+        this.renderChart('daily', 'analytics-daily-chart', {
+            type: 'bar',
+            data: {
+                labels: [...days.keys()],
+                datasets: [{
+                    label: 'Daily P&L',
+                    data: values,
+                    backgroundColor: values.map(value => this.getToneColor(value))
+                }]
+            },
+            options: this.getChartOptions({ money: true })
+        });
+    }
+
+    /**
+     * Underwater curve: distance below the running peak after each trade
+     */
+    renderDrawdownChart(trades) {
+        const startingBalance = PerformanceTracker.getStartingBalance(trades);
+        const usePercent = startingBalance !== null && startingBalance > 0;
+        let running = usePercent ? startingBalance : 0;
+        let peak = running;
+
+        const labels = ['Start'];
+        const drawdown = [0];
+
+        trades.forEach(trade => {
+            running += trade.netProfit;
+            peak = Math.max(peak, running);
+
+            labels.push(this.formatTime(trade.closeTime));
+            drawdown.push(usePercent ? ((running - peak) / peak) * 100 : running - peak);
+        });
+
+        this.renderChart('drawdown', 'analytics-drawdown-chart', {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: usePercent ? 'Drawdown %' : 'Drawdown',
+                    data: drawdown,
+                    borderColor: CONFIG.CHART.COLORS.BEARISH,
+                    backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                    fill: 'origin',
+                    stepped: true
+                }]
+            },
+            options: this.getChartOptions({ money: !usePercent, percent: usePercent })
+        });
+    }
+
+    /**
+     * Histogram of per-trade net P&L
+     */
+    renderDistributionChart(trades) {
+        const results = trades.map(trade => trade.netProfit);
+        const labels = [];
+        const counts = [];
+        const colors = [];
+
+        if (results.length > 0) {
+            const min = Math.min(...results);
+            const max = Math.max(...results);
+            const binCount = Math.min(20, Math.max(5, Math.ceil(Math.sqrt(results.length))));
+            const width = (max - min) / binCount || 1;
+
+            for (let i = 0; i < binCount; i++) {
+                const low = min + i * width;
+                labels.push(NumberUtils.formatNumber(low + width / 2, 2));
+                counts.push(0);
+                colors.push(this.getToneColor(low + width / 2));
+            }
+
+            results.forEach(profit => {
+                const index = Math.min(binCount - 1, Math.floor((profit - min) / width));
+                counts[index]++;
+            });
+        }
+
+        this.renderChart('distribution', 'analytics-distribution-chart', {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Trades',
+                    data: counts,
+                    backgroundColor: colors,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: this.getChartOptions()
+        });
+    }
+
+    /**
+     * Net P&L grouped by symbol, side, weekday or hour of entry, or journal tag
+     */
+    renderBreakdownChart(trades) {
+        const groups = this.groupTrades(trades, this.breakdown);
+        const values = groups.map(group => group.netProfit);
+
+        const options = this.getChartOptions({ money: true });
+        options.plugins.tooltip.callbacks.afterLabel = (context) => {
+            const group = groups[context.dataIndex];
+            const winRate = group.trades > 0 ? group.wins / group.trades : 0;
+            return `${group.trades} trades · ${NumberUtils.formatPercent(winRate, 0)} win`;
+        };
+
+        this.renderChart('breakdown', 'analytics-breakdown-chart', {
+            type: 'bar',
+            data: {
+                labels: groups.map(group => group.label),
+                datasets: [{
+                    label: 'Net P&L',
+                    data: values,
+                    backgroundColor: values.map(value => this.getToneColor(value))
+                }]
+            },
+            options
+        });
+    }
+
+    /**
+     * Aggregate trades by dimension; weekday and hour use the entry time when known.
+     * With tags a trade counts once under each of its tags.
+     */
+    groupTrades(trades, dimension) {
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const groups = new Map();
+
+        const keysOf = (trade) => {
+            const time = new Date(trade.openTime || trade.closeTime);
+
+            switch (dimension) {
+                case 'side':
+                    return [{ key: trade.side, label: (trade.side || '').toUpperCase() }];
+                case 'weekday':
+                    return [{ key: time.getDay(), label: weekdays[time.getDay()] }];
+                case 'hour':
+                    return [{ key: time.getHours(), label: `${String(time.getHours()).padStart(2, '0')}:00` }];
+                case 'tag': {
+                    const tags = this.journal.getTagsForTrade(trade);
+                    return tags.length > 0 ?
+                        tags.map(tag => ({ key: tag, label: tag })) :
+                        [{ key: '', label: 'Untagged' }];
+                }
+                default:
+                    return [{ key: trade.symbol, label: trade.symbol }];
+            }
+        };
+
+        trades.forEach(trade => {
+            keysOf(trade).forEach(({ key, label }) => {
+                const group = groups.get(key) || { key, label, netProfit: 0, trades: 0, wins: 0 };
+
+                group.netProfit += trade.netProfit;
+                group.trades++;
+                if (trade.netProfit > 0) group.wins++;
+
+                groups.set(key, group);
+            });
+        });
+
+        const sorted = [...groups.values()];
+        if (dimension === 'weekday' || dimension === 'hour') {
+            sorted.sort((a, b) => a.key - b.key);
+        } else {
+            sorted.sort((a, b) => b.netProfit - a.netProfit);
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Create or replace the chart bound to a canvas
+     */
+    renderChart(key, canvasId, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        if (this.charts[key]) {
+            this.charts[key].destroy();
+        }
+
+        try {
+            this.charts[key] = new Chart(canvas.getContext('2d'), config);
+        } catch (error) {
+            Logger.error(`Analytics chart "${key}" failed:`, error);
+        }
+    }
+
+    /**
+     * Shared Chart.js options using the current theme colors
+     */
+    getChartOptions({ legend = false, money = false, percent = false } = {}) {
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        const gridColor = isDark ? '#475569' : '#e2e8f0';
+        const textColor = isDark ? '#cbd5e1' : '#64748b';
+        const currency = currencyConverter.getAccountCurrency();
+
+        const formatValue = (value) => {
+            if (money) return NumberUtils.formatCurrency(value, currency);
+            if (percent) return `${NumberUtils.formatNumber(value, 2)}%`;
+            return value;
+        };
+
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            },
+            plugins: {
+                legend: {
+                    display: legend,
+                    labels: { color: textColor, usePointStyle: true }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { color: gridColor },
+                    ticks: { color: textColor, maxRotation: 0, autoSkip: true, font: { size: 10 } }
+                },
+                y: {
+                    grid: { color: gridColor },
+                    ticks: { color: textColor, font: { size: 10 }, callback: formatValue }
+                }
+            },
+            elements: {
+                point: { radius: 0, hitRadius: 5, hoverRadius: 4 },
+                line: { borderWidth: 2 }
+            },
+            animation: { duration: 0 }
+        };
+    }
+
+    /**
+     * Bar color for a profit/loss value
+     */
+    getToneColor(value) {
+        return value >= 0 ? CONFIG.CHART.COLORS.BULLISH : CONFIG.CHART.COLORS.BEARISH;
+    }
+
+    /**
+     * Local calendar day as YYYY-MM-DD
+     */
+    getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Short axis label for a trade close time
+     */
+    formatTime(timestamp) {
+        return `${this.getDayKey(timestamp).slice(5)} ${DateUtils.formatTime(timestamp).slice(0, 5)}`;
+    }
+}
+
+// Initialize analytics dashboard
+const analyticsDashboard = new AnalyticsDashboard(tradingEngine.performanceTracker, tradeJournal);
@@ -0,0 +1,403 @@
+/**
+ * TradeMaster AI Pro - Backup
+ * Versioned JSON export of user data and validated import with preview, merge or replace
+ */
+
+class BackupManager {
+    constructor() {
+        this.sections = new Map();
+        this.pendingImport = null;
+
+        this.registerDefaultSections();
+    }
+
+    /**
+     * Add a section to the backup.
+     *   kv sections:    { label, type: 'kv', keys: [...], validateItem?(key, value) } - items of appStorage
+     *   store sections: { label, type: 'store', storage: () => IndexedDBStorage, store, key,
+     *                     autoKey?, identity?(record), validateRecord?(record) }
+     * Store records are matched by `identity` (default: the key) when merging; stores with
+     * auto-increment keys get fresh keys on import since ids differ between browsers.
+     */
+    registerSection(name, section) {
+        this.sections.set(name, section);
+    }
+
+    registerDefaultSections() {
+        this.registerSection('settings', {
+            label: 'Settings',
+            type: 'kv',
+            // theme/default_volume/default_risk_percent: pre-settings-store backups, folded in on reload
+            keys: ['settings', 'current_symbol', 'risk_limits', 'theme', 'default_volume', 'default_risk_percent']
+        });
+
+        this.registerSection('positionState', {
+            label: 'Position rules & order groups',
+            type: 'kv',
+            keys: ['position_rules', 'order_scale_out_plans', 'order_groups', 'position_open_info']
+        });
+
+        this.registerSection('closedTrades', {
+            label: 'Trade history',
+            type: 'store',
+            storage: () => appStorage,
+            store: 'closed_trades',
+            key: 'id',
+            validateRecord: (record) => {
+                if (typeof record.symbol !== 'string') return 'missing symbol';
+                if (typeof record.closeTime !== 'number') return 'missing closeTime';
+                if (typeof record.netProfit !== 'number') return 'missing netProfit';
+                return null;
+            }
+        });
+
+        this.registerSection('submissions', {
+            label: 'Order submissions',
+            type: 'store',
+            storage: () => appStorage,
+            store: 'trade_submissions',
+            key: 'id',
+            autoKey: true,
+            identity: (record) => `${record.timestamp}|${record.symbol}|${record.side}`
+        });
+
+        this.registerSection('journalEntries', {
+            label: 'Journal entries',
+            type: 'store',
+            storage: () => tradeJournal.storage,
+            store: 'entries',
+            key: 'positionId'
+        });
+
+        this.registerSection('journalSnapshots', {
+            label: 'Journal chart snapshots',
+            type: 'store',
+            storage: () => tradeJournal.storage,
+            store: 'snapshots',
+            key: 'id',
+            validateRecord: (record) => {
+                if (typeof record.image !== 'string') return 'missing image';
+                if (!SNAPSHOT_IMAGE_PATTERN.test(record.image)) return 'image is not a PNG, JPEG or WebP data URL';
+                return null;
+            }
+        });
+
+        this.registerSection('chat', {
+            label: 'AI chat history',
+            type: 'store',
+            storage: () => appStorage,
+            store: 'conversation',
+            key: 'id',
+            autoKey: true,
+            identity: (record) => `${record.timestamp}|${record.role}|${record.content}`,
+            validateRecord: (record) => typeof record.content === 'string' ? null : 'missing content'
+        });
+    }
+
+    // Export
+
+    /**
+     * Build the backup object from every registered section
+     */
+    async createBackup() {
+        const sections = {};
+
+        for (const [name, section] of this.sections) {
+            sections[name] = section.type === 'kv' ?
+                await this.exportItems(section) :
+                await section.storage().getAll(section.store);
+        }
+
+        return {
+            format: BACKUP_FORMAT,
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            appVersion: CONFIG.VERSION,
+            exportedAt: new Date().toISOString(),
+            sections: sections
+        };
+    }
+
+    async exportItems(section) {
+        const items = {};
+
+        for (const key of section.keys) {
+            const value = await appStorage.getItem(key);
+            if (value !== null && value !== undefined) {
+                items[key] = value;
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Download the backup as a JSON file
+     */
+    async downloadBackup() {
+        try {
+            const backup = await this.createBackup();
+            const date = backup.exportedAt.slice(0, 10);
+
+            DOMUtils.downloadFile(`trademaster-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+            window.app?.showNotification('Backup exported', 'success');
+        } catch (error) {
+            Logger.error('Backup export failed:', error);
+            window.app?.showNotification(`Backup export failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Import
+
+    /**
+     * Check the file structure; returns a list of problems (empty when valid).
+     * Sections this version does not know are reported and skipped, not rejected.
+     */
+    validateBackup(backup) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            return ['Not a backup file'];
+        }
+        if (backup.format !== BACKUP_FORMAT) {
+            return ['Not a TradeMaster backup file'];
+        }
+        if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+            return [`Backup schema v${backup.schemaVersion} is newer than this app supports (v${BACKUP_SCHEMA_VERSION})`];
+        }
+        if (!backup.sections || typeof backup.sections !== 'object') {
+            return ['Backup has no sections'];
+        }
+
+        Object.entries(backup.sections).forEach(([name, data]) => {
+            const section = this.sections.get(name);
+            if (!section) return;
+
+            if (section.type === 'kv') {
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    errors.push(`${section.label}: expected an object`);
+                    return;
+                }
+
+                section.keys.filter(key => key in data).forEach(key => {
+                    const problem = section.validateItem?.(key, data[key]);
+                    if (problem) {
+                        errors.push(`${section.label} ${key}: ${problem}`);
+                    }
+                });
+                return;
+            }
+
+            if (!Array.isArray(data)) {
+                errors.push(`${section.label}: expected a list`);
+                return;
+            }
+
+            data.forEach((record, index) => {
+                if (!record || typeof record !== 'object') {
+                    errors.push(`${section.label} #${index + 1}: not a record`);
+                    return;
+                }
+                if (!section.autoKey && (record[section.key] === undefined || record[section.key] === null)) {
+                    errors.push(`${section.label} #${index + 1}: missing ${section.key}`);
+                    return;
+                }
+
+                const problem = section.validateRecord?.(record);
+                if (problem) {
+                    errors.push(`${section.label} #${index + 1}: ${problem}`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Per-section counts of what an import would change
+     */
+    async previewImport(backup) {
+        const preview = [];
+
+        for (const [name, section] of this.sections) {
+            const incoming = backup.sections[name];
+            if (incoming === undefined) continue;
+
+            if (section.type === 'kv') {
+                const current = await this.exportItems(section);
+                const keys = Object.keys(incoming).filter(key => section.keys.includes(key));
+
+                preview.push({
+                    name,
+                    label: section.label,
+                    incoming: keys.length,
+                    added: keys.filter(key => !(key in current)).length,
+                    changed: keys.filter(key => key in current && JSON.stringify(current[key]) !== JSON.stringify(incoming[key])).length,
+                    removedOnReplace: Object.keys(current).filter(key => !keys.includes(key)).length
+                });
+                continue;
+            }
+
+            const identity = section.identity || (record => record[section.key]);
+            const existing = new Map((await section.storage().getAll(section.store)).map(record => [identity(record), record]));
+            const incomingIds = new Set(incoming.map(identity));
+
+            preview.push({
+                name,
+                label: section.label,
+                incoming: incoming.length,
+                added: incoming.filter(record => !existing.has(identity(record))).length,
+                changed: section.autoKey ? 0 : incoming.filter(record => existing.has(identity(record)) &&
+                    JSON.stringify(existing.get(identity(record))) !== JSON.stringify(record)).length,
+                removedOnReplace: [...existing.keys()].filter(id => !incomingIds.has(id)).length
+            });
+        }
+
+        return preview;
+    }
+
+    /**
+     * Write a validated backup. `merge` upserts by identity and keeps everything else;
+     * `replace` clears each section present in the backup first.
+     */
+    async applyImport(backup, mode = 'merge') {
+        for (const [name, section] of this.sections) {
+            const incoming = backup.sections[name];
+            if (incoming === undefined) continue;
+
+            if (section.type === 'kv') {
+                for (const key of section.keys) {
+                    if (key in incoming) {
+                        await appStorage.setItem(key, incoming[key]);
+                    } else if (mode === 'replace') {
+                        await appStorage.removeItem(key);
+                    }
+                }
+                continue;
+            }
+
+            const storage = section.storage();
+            const identity = section.identity || (record => record[section.key]);
+            let records = incoming;
+
+            if (mode === 'replace') {
+                await storage.clear(section.store);
+            } else if (section.autoKey) {
+                // Auto-keyed records cannot be matched by id; skip the ones already present
+                const existing = new Set((await storage.getAll(section.store)).map(identity));
+                records = incoming.filter(record => !existing.has(identity(record)));
+            }
+
+            if (section.autoKey) {
+                records = records.map(record => storage.withoutId(record));
+            }
+
+            await storage.putAll(section.store, records);
+            Logger.info(`Imported ${records.length} ${section.label.toLowerCase()} (${mode})`);
+        }
+    }
+
+    /**
+     * Read a chosen file, validate it and show the preview dialog
+     */
+    async handleImportFile(file) {
+        if (!file) return;
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            window.app?.showNotification('Backup file is not valid JSON', 'error');
+            return;
+        }
+
+        const errors = this.validateBackup(backup);
+        if (errors.length > 0) {
+            Logger.warn('Backup validation failed:', errors);
+            window.app?.showNotification(`Invalid backup: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, 'error');
+            return;
+        }
+
+        this.pendingImport = backup;
+        this.showImportPreview(backup, await this.previewImport(backup));
+    }
+
+    /**
+     * Dialog listing per-section changes with a merge/replace choice
+     */
+    showImportPreview(backup, preview) {
+        document.getElementById('backup-import-modal')?.remove();
+
+        const rows = preview.map(row => `
+            <tr>
+                <td>${row.label}</td>
+                <td>${row.incoming}</td>
+                <td>${row.added}</td>
+                <td>${row.changed}</td>
+                <td>${row.removedOnReplace}</td>
+            </tr>
+        `).join('');
+
+        const modal = DOMUtils.createElement('div', {
+            className: 'modal',
+            id: 'backup-import-modal'
+        }, `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Import Backup</h3>
+                    <button class="btn-close" onclick="this.closest('.modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="backup-meta">Exported ${DateUtils.formatTime(backup.exportedAt, true)} · app ${backup.appVersion || 'unknown'}</p>
+                    <table class="backup-preview">
+                        <thead>
+                            <tr><th>Section</th><th>In file</th><th>New</th><th>Changed</th><th>Removed on replace</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="form-group backup-mode">
+                        <label><input type="radio" name="backup-mode" value="merge" checked> Merge - add and update, keep everything else</label>
+                        <label><input type="radio" name="backup-mode" value="replace"> Replace - sections in the file overwrite what is here</label>
+                    </div>
+                    <div class="settings-actions">
+                        <button class="btn-primary" onclick="backupManager.confirmImport()">Import</button>
+                        <button class="btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Apply the previewed backup, then reload so every component starts from the imported data
+     */
+    async confirmImport() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="backup-mode"]:checked')?.value || 'merge';
+        if (mode === 'replace' && !confirm('Replace existing data with the backup? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await this.applyImport(this.pendingImport, mode);
+            this.pendingImport = null;
+            document.getElementById('backup-import-modal')?.remove();
+
+            window.app?.showNotification('Backup imported - reloading', 'success');
+            setTimeout(() => location.reload(), 1000);
+        } catch (error) {
+            Logger.error('Backup import failed:', error);
+            window.app?.showNotification(`Backup import failed: ${error.message}`, 'error');
+        }
+    }
+}
+
+const BACKUP_FORMAT = 'trademaster-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Initialize backup manager
+const backupManager = new BackupManager();
@@ -0,0 +1,174 @@
+/**
+ * TradeMaster AI Pro - Bar Aggregation
+ * Builds OHLC bars with tick volume from quotes, aligned to broker server time
+ */
+
+class BarAggregator {
+    /**
+     * options.serverUtcOffset: broker server time zone in minutes east of UTC
+     */
+    constructor(timeframe, options = {}) {
+        this.timeframe = timeframe;
+        this.serverUtcOffset = options.serverUtcOffset ?? CONFIG.CHART.SERVER_UTC_OFFSET;
+        this.maxTicks = options.maxTicks || CONFIG.CHART.MAX_TICKS;
+        this.maxBars = options.maxBars || CONFIG.CHART.MAX_BARS;
+
+        // Ticks are kept so a timeframe change can re-aggregate the session
+        this.ticks = [];
+        this.history = [];
+        this.historyAsOf = -Infinity;
+        this.bars = [];
+        // Bumped whenever a bar other than the last changes or bars shift, so incremental
+        // consumers (indicator streams) know to start over
+        this.revision = 0;
+    }
+
+    /**
+     * Bar length in milliseconds
+     */
+    static getPeriod(timeframe) {
+        const definition = CONFIG.CHART.TIMEFRAMES[timeframe];
+        return (definition ? definition.value : 5) * 60 * 1000;
+    }
+
+    /**
+     * Open time of the bar containing `timestamp`. Bars start on whole periods of
+     * broker server time (so D1 opens at server midnight) and weeks open on Monday.
+     */
+    getBarStart(timestamp, timeframe = this.timeframe) {
+        const period = BarAggregator.getPeriod(timeframe);
+        const offset = this.serverUtcOffset * 60 * 1000;
+        // The epoch fell on a Thursday; Monday 5 January 1970 anchors weekly bars
+        const anchor = timeframe === 'W1' ? 4 * 24 * 60 * 60 * 1000 : 0;
+
+        return Math.floor((timestamp + offset - anchor) / period) * period + anchor - offset;
+    }
+
+    /**
+     * Add a trade price at a server timestamp; returns the bar it landed in, or null
+     * for a tick older than every bar
+     */
+    addTick(price, timestamp, volume = 1) {
+        if (!Number.isFinite(price)) return null;
+
+        const tick = { time: timestamp, price: price, volume: volume };
+        this.ticks.push(tick);
+        if (this.ticks.length > this.maxTicks) {
+            this.ticks.shift();
+        }
+
+        return this.applyTick(tick);
+    }
+
+    /**
+     * Add stored ticks (e.g. from the cache after a reload) and re-aggregate.
+     * Ticks already held, matched by time, are skipped.
+     */
+    loadTicks(ticks) {
+        const held = new Set(this.ticks.map(tick => tick.time));
+
+        this.ticks = [...ticks.filter(tick => !held.has(tick.time)), ...this.ticks]
+            .sort((a, b) => a.time - b.time)
+            .slice(-this.maxTicks);
+        this.rebuild();
+    }
+
+    applyTick(tick) {
+        const start = this.getBarStart(tick.time);
+        let bar = this.bars[this.bars.length - 1];
+
+        if (!bar || start > bar.time) {
+            bar = { time: start, open: tick.price, high: tick.price, low: tick.price, close: tick.price, tickVolume: 0 };
+            this.bars.push(bar);
+            if (this.bars.length > this.maxBars) {
+                this.bars.shift();
+                this.revision++;
+            }
+        } else if (start < bar.time) {
+            // Late tick: widen its bar's range but leave the close alone
+            const late = this.bars.find(item => item.time === start);
+            if (!late) return null;
+
+            late.high = Math.max(late.high, tick.price);
+            late.low = Math.min(late.low, tick.price);
+            late.tickVolume += tick.volume;
+            this.revision++;
+            return late;
+        }
+
+        bar.high = Math.max(bar.high, tick.price);
+        bar.low = Math.min(bar.low, tick.price);
+        bar.close = tick.price;
+        bar.tickVolume += tick.volume;
+
+        return bar;
+    }
+
+    /**
+     * History bars (host or mock data) for the current timeframe, oldest first, covering
+     * everything up to server time `asOf`. Ticks after `asOf` continue the last bar and
+     * add new ones, so live bars join the history without a gap.
+     */
+    setHistory(bars, asOf = Infinity) {
+        this.history = bars;
+        this.historyAsOf = asOf;
+        this.rebuild();
+    }
+
+    /**
+     * Add bars older than the first one; returns how many were added (0 once MAX_BARS is reached)
+     */
+    prependHistory(bars) {
+        const first = this.bars[0];
+        const room = this.maxBars - this.bars.length;
+        if (room <= 0) return 0;
+
+        const older = bars.filter(bar => !first || bar.time < first.time).slice(-room);
+        if (older.length === 0) return 0;
+
+        this.history = [...older, ...this.history.filter(bar => !first || bar.time >= first.time)];
+        this.bars.unshift(...older.map(bar => ({ ...bar })));
+        this.revision++;
+
+        return older.length;
+    }
+
+    setTimeframe(timeframe) {
+        if (timeframe === this.timeframe) return;
+
+        this.timeframe = timeframe;
+        this.history = [];
+        this.historyAsOf = -Infinity;
+        this.rebuild();
+    }
+
+    /**
+     * Re-aggregate the stored ticks the history does not cover on top of the history bars
+     */
+    rebuild() {
+        this.bars = this.history.slice(-this.maxBars).map(bar => ({ ...bar }));
+        this.revision++;
+
+        // In time order, so a late tick cannot become a close
+        this.ticks
+            .filter(tick => tick.time > this.historyAsOf)
+            .sort((a, b) => a.time - b.time)
+            .forEach(tick => this.applyTick(tick));
+    }
+
+    reset() {
+        this.ticks = [];
+        this.history = [];
+        this.historyAsOf = -Infinity;
+        this.bars = [];
+        this.revision++;
+    }
+
+    getBars() {
+        return this.bars;
+    }
+
+    getLastBar() {
+        return this.bars[this.bars.length - 1] || null;
+    }
+}
@@ -8,15 +8,32 @@ class ChartManager {
         this.chart = null;
         this.currentSymbol = initializeSymbol();
         this.currentTimeframe = CONFIG.WEBVIEW.DEFAULT_TIMEFRAME;
+        this.chartType = settingsStore.get('chartType');
+        this.barAggregator = new BarAggregator(this.currentTimeframe);
         this.chartData = {
             labels: [],
             datasets: []
         };
         this.priceData = [];
         this.volumeData = [];
+        // Bar revision the series and the price dataset were built from; until it changes,
+        // ticks only touch the forming bar and append new ones
+        this.seriesRevision = null;
+        this.priceDatasetKey = null;
+        // Indicator streams by key: { stream, revision of the bars it was fed }
         this.indicators = new Map();
+        this.enabledIndicators = new Set(CONFIG.CHART.DEFAULT_INDICATORS);
+        // Parameter overrides per indicator key; missing ones use the library defaults
+        this.indicatorParams = {};
+        // Oscillator charts below the price chart, by indicator key
+        this.indicatorPanes = new Map();
         this.isUpdating = false;
         this.updateInterval = null;
+        this.historyRequest = 0;
+        this.loadingHistory = false;
+        this.historyExhausted = false;
+        this.ticksRestored = false;
+        this.chartStatus = null;
         this.performanceMonitor = PerformanceUtils.createMonitor('ChartUpdate');
         
         this.init();
@@ -32,6 +49,8 @@ class ChartManager {
         this.setupEventHandlers();
         this.startRealTimeUpdates();
         
+        quoteSubscriptions.acquire(this.currentSymbol);
+        
         // Connect to cTrader SDK for real-time data
         if (window.ctraderSDK) {
             window.ctraderSDK.onConnection((connected) => {
@@ -99,9 +118,13 @@ class ChartManager {
                             label: (context) => {
                                 const label = context.dataset.label;
                                 const value = context.parsed.y;
+                                const format = (price) => symbolRegistry.formatPrice(this.currentSymbol, price);
                                 
-                                if (label === 'Price') {
-                                    return `${label}: ${NumberUtils.formatNumber(value, 5)}`;
+                                if (label === 'Price' && context.raw.o !== undefined) {
+                                    const { o, h, l, c } = context.raw;
+                                    return `O ${format(o)}  H ${format(h)}  L ${format(l)}  C ${format(c)}`;
+                                } else if (label === 'Price') {
+                                    return `${label}: ${format(value)}`;
                                 } else if (label === 'Volume') {
                                     return `${label}: ${NumberUtils.formatLargeNumber(value)}`;
                                 }
@@ -109,6 +132,21 @@ class ChartManager {
                                 return `${label}: ${NumberUtils.formatNumber(value, 4)}`;
                             }
                         }
+                    },
+                    zoom: {
+                        pan: {
+                            enabled: true,
+                            mode: 'x',
+                            onPan: () => this.syncIndicatorPanes(),
+                            onPanComplete: () => this.handleViewChange()
+                        },
+                        zoom: {
+                            wheel: { enabled: true },
+                            pinch: { enabled: true },
+                            mode: 'x',
+                            onZoom: () => this.syncIndicatorPanes(),
+                            onZoomComplete: () => this.handleViewChange()
+                        }
                     }
                 },
                 scales: {
@@ -135,6 +173,10 @@ class ChartManager {
                     },
                     y: {
                         position: 'right',
+                        // Same width as the indicator panes so their plot areas line up
+                        afterFit: (scale) => {
+                            scale.width = CONFIG.CHART.Y_AXIS_WIDTH;
+                        },
                         grid: {
                             color: 'var(--border-color)',
                             lineWidth: 1
@@ -145,7 +187,7 @@ class ChartManager {
                                 size: 11
                             },
                             callback: (value) => {
-                                return NumberUtils.formatNumber(value, 5);
+                                return symbolRegistry.formatPrice(this.currentSymbol, value);
                             }
                         }
                     }
@@ -179,6 +221,19 @@ class ChartManager {
      * Setup event handlers
      */
     setupEventHandlers() {
+        // Chart type selector
+        const chartTypeSelect = document.getElementById('chart-type-select');
+        if (chartTypeSelect) {
+            chartTypeSelect.value = this.chartType;
+            chartTypeSelect.addEventListener('change', (e) => {
+                settingsStore.set('chartType', e.target.value);
+            });
+        }
+        
+        settingsStore.subscribe('chartType', (type) => {
+            this.setChartType(type);
+        });
+        
         // Timeframe selector
         const timeframeSelect = document.getElementById('timeframe-select');
         if (timeframeSelect) {
@@ -197,11 +252,36 @@ class ChartManager {
             this.updateChartTheme();
         });
         
+        // Restart periodic updates when the interval setting changes
+        settingsStore.subscribe('chartUpdateInterval', () => {
+            if (this.updateInterval) {
+                this.startRealTimeUpdates();
+            }
+        });
+        
+        // Indicator dialog
+        const indicatorsToggle = document.getElementById('indicators-toggle');
+        if (indicatorsToggle) {
+            indicatorsToggle.addEventListener('click', () => {
+                this.showIndicatorsDialog();
+            });
+        }
+        
+        // Double-click returns to the latest bars after panning
+        const canvas = document.getElementById('price-chart');
+        if (canvas) {
+            canvas.addEventListener('dblclick', () => {
+                this.chart?.resetZoom();
+                this.syncIndicatorPanes();
+            });
+        }
+        
         // Window resize
         window.addEventListener('resize', PerformanceUtils.debounce(() => {
             if (this.chart) {
                 this.chart.resize();
             }
+            this.indicatorPanes.forEach(pane => pane.resize());
         }, 250));
     }
     
@@ -209,59 +289,155 @@ class ChartManager {
      * Load initial chart data
      */
     async loadInitialData() {
+        const request = ++this.historyRequest;
+        
         try {
             Logger.info(`Loading initial data for ${this.currentSymbol}`);
             
-            // Generate mock historical data for demo
-            const mockData = this.generateMockHistoricalData();
+            const asOf = window.ctraderSDK?.getServerTime() ?? Date.now();
+            const bars = isDemoMode() ?
+                this.generateMockHistoricalData(CONFIG.CHART.HISTORY_BARS) :
+                await this.fetchHistory({ to: asOf, count: CONFIG.CHART.HISTORY_BARS });
+            
+            // Ticks stored before a reload, once per symbol
+            const ticks = this.ticksRestored ? [] :
+                await marketData.getTicks(this.currentSymbol, { from: asOf - CONFIG.MARKET_DATA.TICK_MAX_AGE });
             
-            this.priceData = mockData.prices;
-            this.volumeData = mockData.volumes;
+            // A later symbol or timeframe change owns the chart now
+            if (request !== this.historyRequest) return;
             
+            this.ticksRestored = true;
+            this.barAggregator.loadTicks(ticks.map(tick => ({ time: tick.time, price: (tick.bid + tick.ask) / 2, volume: 1 })));
+            
+            // Without history, keep every tick of the session
+            this.barAggregator.setHistory(bars, bars.length > 0 ? asOf : -Infinity);
+            this.historyExhausted = false;
+            this.syncSeries();
+            
+            this.chart?.resetZoom('none');
             this.updateChartData();
             this.addTechnicalIndicators();
             
+            this.setChartStatus(this.barAggregator.getBars().length === 0 ?
+                `No ${this.currentTimeframe} history for ${this.currentSymbol} - waiting for live prices` :
+                null);
+            
         } catch (error) {
             Logger.error('Failed to load initial data:', error);
+            if (request === this.historyRequest) {
+                this.setChartStatus(`Could not load ${this.currentSymbol} history: ${error.message || error}`, true);
+            }
         }
     }
     
     /**
-     * Generate mock historical data for demonstration
+     * Message over the chart (empty or failed history); null hides it
      */
-    generateMockHistoricalData() {
-        const points = 100;
-        const basePrice = 1.0850;
-        const now = Date.now();
+    setChartStatus(message, isError = false) {
+        this.chartStatus = message ? (isError ? 'error' : 'empty') : null;
+        
+        const status = document.getElementById('chart-status');
+        if (!status) return;
+        
+        status.textContent = message || '';
+        status.classList.toggle('error', isError);
+        status.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * The `count` bars before `to` for the current symbol and timeframe, from the
+     * market data cache (which fetches what it does not have from the host)
+     */
+    async fetchHistory({ to, count }) {
+        return marketData.getBars(this.currentSymbol, this.currentTimeframe, {
+            from: to - count * this.getTimeframeInterval(),
+            to: to
+        });
+    }
+    
+    /**
+     * Load a page of bars before the first one, e.g. after scrolling left
+     */
+    async loadOlderHistory() {
+        const first = this.barAggregator.getBars()[0];
+        if (!first || this.loadingHistory || this.historyExhausted) return;
+        
+        const request = this.historyRequest;
+        this.loadingHistory = true;
+        
+        try {
+            const count = CONFIG.CHART.HISTORY_PAGE_BARS;
+            const bars = isDemoMode() ?
+                this.generateMockHistoricalData(count, first) :
+                await this.fetchHistory({ to: first.time - 1, count: count });
+            
+            if (request !== this.historyRequest) return;
+            
+            const added = this.barAggregator.prependHistory(bars);
+            if (added === 0) {
+                this.historyExhausted = true;
+                return;
+            }
+            
+            Logger.info(`Loaded ${added} older ${this.currentTimeframe} bars for ${this.currentSymbol}`);
+            this.syncSeries();
+            this.updateChartData();
+            this.addTechnicalIndicators();
+            
+        } catch (error) {
+            Logger.error('Failed to load older history:', error);
+        } finally {
+            this.loadingHistory = false;
+        }
+    }
+    
+    /**
+     * Fetch older bars once the view is panned or zoomed out past the first bar
+     */
+    handleViewChange() {
+        const first = this.barAggregator.getBars()[0];
+        this.syncIndicatorPanes();
+        
+        if (this.chart && first && this.chart.scales.x.min <= first.time) {
+            this.loadOlderHistory();
+        }
+    }
+    
+    /**
+     * Generate mock historical bars for demo mode, ending just before `before`
+     * (a bar) or at the current bar
+     */
+    generateMockHistoricalData(points, before = null) {
         const interval = this.getTimeframeInterval();
+        const pipSize = symbolRegistry.getPipSize(this.currentSymbol);
+        const quote = window.ctraderSDK?.getCurrentQuote(this.currentSymbol);
+        const lastBarStart = before ?
+            before.time - interval :
+            this.barAggregator.getBarStart(window.ctraderSDK?.getServerTime() ?? Date.now());
         
-        const prices = [];
-        const volumes = [];
-        let currentPrice = basePrice;
+        const bars = [];
+        let currentPrice = before ? before.open : (quote ? (quote.bid + quote.ask) / 2 : 1.0850);
         
-        for (let i = points; i >= 0; i--) {
-            const timestamp = now - (i * interval);
+        // Walk backwards from the newest bar so older pages join the bars already shown
+        for (let i = 0; i < points; i++) {
+            const close = currentPrice;
             
             // Random walk with slight upward bias
-            const change = (Math.random() - 0.48) * 0.002;
-            currentPrice += change;
-            
-            // Ensure price stays in reasonable range
-            currentPrice = Math.max(1.06, Math.min(1.11, currentPrice));
+            const open = Math.max(pipSize, close - (Math.random() - 0.48) * pipSize * 20);
             
-            prices.push({
-                x: timestamp,
-                y: currentPrice
+            bars.unshift({
+                time: lastBarStart - (i * interval),
+                open: open,
+                high: Math.max(open, close) + Math.random() * pipSize * 5,
+                low: Math.max(0, Math.min(open, close) - Math.random() * pipSize * 5),
+                close: close,
+                tickVolume: Math.round(Math.random() * 1000 + 500)
             });
             
-            // Random volume
-            volumes.push({
-                x: timestamp,
-                y: Math.random() * 1000 + 500
-            });
+            currentPrice = open;
         }
         
-        return { prices, volumes };
+        return bars;
     }
     
     /**
@@ -281,25 +457,15 @@ class ChartManager {
         const startTime = this.performanceMonitor.start();
         
         try {
-            const timestamp = Date.now();
             const price = (quote.bid + quote.ask) / 2; // Mid price
             
-            // Add new price point
-            this.priceData.push({
-                x: timestamp,
-                y: price
-            });
-            
-            // Generate mock volume
-            this.volumeData.push({
-                x: timestamp,
-                y: Math.random() * 500 + 250
-            });
+            // Quote timestamps are server time, so bars follow broker boundaries
+            this.barAggregator.addTick(price, quote.timestamp || Date.now());
+            this.syncSeries();
             
-            // Limit data points for performance
-            if (this.priceData.length > CONFIG.PERFORMANCE.MAX_CHART_POINTS) {
-                this.priceData.shift();
-                this.volumeData.shift();
+            // Live bars replace the empty-history notice (but not a load error)
+            if (this.chartStatus === 'empty') {
+                this.setChartStatus(null);
             }
             
             // Update chart if not currently updating
@@ -318,6 +484,68 @@ class ChartManager {
         }
     }
     
+    /**
+     * Close and tick volume series of the current bars, used by indicators and insights
+     */
+    syncSeries() {
+        const bars = this.barAggregator.getBars();
+        const revision = this.barAggregator.revision;
+        
+        if (revision !== this.seriesRevision || this.priceData.length > bars.length) {
+            this.seriesRevision = revision;
+            this.priceData = [];
+            this.volumeData = [];
+        }
+        
+        for (let i = Math.max(this.priceData.length - 1, 0); i < bars.length; i++) {
+            this.priceData[i] = { x: bars[i].time, y: bars[i].close };
+            this.volumeData[i] = { x: bars[i].time, y: bars[i].tickVolume };
+        }
+    }
+    
+    /**
+     * Chart point for a bar in the current chart type
+     */
+    toPricePoint(bar) {
+        return this.chartType === 'line' ?
+            { x: bar.time, y: bar.close } :
+            { x: bar.time, o: bar.open, h: bar.high, l: bar.low, c: bar.close };
+    }
+    
+    /**
+     * Price dataset for the current chart type (keys of CONFIG.CHART.TYPES)
+     */
+    buildPriceDataset() {
+        if (this.chartType === 'line') {
+            return {
+                type: 'line',
+                label: 'Price',
+                data: this.barAggregator.getBars().map(bar => this.toPricePoint(bar)),
+                borderColor: 'var(--accent-primary)',
+                backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.1,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            };
+        }
+        
+        const colors = {
+            up: CONFIG.CHART.COLORS.BULLISH,
+            down: CONFIG.CHART.COLORS.BEARISH,
+            unchanged: CONFIG.CHART.COLORS.NEUTRAL
+        };
+        
+        return {
+            type: this.chartType,
+            label: 'Price',
+            data: this.barAggregator.getBars().map(bar => this.toPricePoint(bar)),
+            backgroundColors: colors,
+            borderColors: colors
+        };
+    }
+    
     /**
      * Update chart data and redraw
      */
@@ -326,24 +554,28 @@ class ChartManager {
         
         try {
             // Update price dataset
-            const priceDataset = this.chart.data.datasets.find(d => d.label === 'Price');
-            if (priceDataset) {
-                priceDataset.data = [...this.priceData];
+            const bars = this.barAggregator.getBars();
+            const key = `${this.chartType}:${this.barAggregator.revision}`;
+            const index = this.chart.data.datasets.findIndex(d => d.label === 'Price');
+            const data = index >= 0 ? this.chart.data.datasets[index].data : null;
+            
+            if (data && key === this.priceDatasetKey && data.length <= bars.length) {
+                // Same bars as last time: revise the forming bar and add new ones
+                for (let i = Math.max(data.length - 1, 0); i < bars.length; i++) {
+                    data[i] = this.toPricePoint(bars[i]);
+                }
             } else {
-                this.chart.data.datasets.push({
-                    label: 'Price',
-                    data: [...this.priceData],
-                    borderColor: 'var(--accent-primary)',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    borderWidth: 2,
-                    fill: false,
-                    tension: 0.1,
-                    pointRadius: 0,
-                    pointHoverRadius: 4
-                });
+                const priceDataset = this.buildPriceDataset();
+                if (index >= 0) {
+                    this.chart.data.datasets[index] = priceDataset;
+                } else {
+                    this.chart.data.datasets.unshift(priceDataset);
+                }
+                this.priceDatasetKey = key;
             }
             
             this.chart.update('none');
+            this.syncIndicatorPanes();
             this.updateAnalysisInsights();
             
         } catch (error) {
@@ -352,152 +584,417 @@ class ChartManager {
     }
     
     /**
-     * Add technical indicators to chart
+     * Switch between line, candlestick and OHLC bar rendering
+     */
+    setChartType(type) {
+        if (!CONFIG.CHART.TYPES[type]) return;
+        
+        this.chartType = type;
+        
+        const chartTypeSelect = document.getElementById('chart-type-select');
+        if (chartTypeSelect) {
+            chartTypeSelect.value = type;
+        }
+        
+        this.updateChartData();
+    }
+    
+    /**
+     * Bring the enabled indicators (keys of INDICATOR_LIBRARY) up to date with the current bars;
+     * overlays are drawn on the price chart and oscillators in their panes
      */
     addTechnicalIndicators() {
-        try {
-            // Simple Moving Average (SMA 20)
-            const sma20 = this.calculateSMA(20);
-            if (sma20.length > 0) {
-                this.addIndicatorDataset('SMA 20', sma20, '#f59e0b', false);
-            }
-            
-            // Exponential Moving Average (EMA 12)
-            const ema12 = this.calculateEMA(12);
-            if (ema12.length > 0) {
-                this.addIndicatorDataset('EMA 12', ema12, '#10b981', false);
-            }
-            
-            // Bollinger Bands
-            const bb = this.calculateBollingerBands(20, 2);
-            if (bb.upper.length > 0) {
-                this.addIndicatorDataset('BB Upper', bb.upper, '#ef4444', false);
-                this.addIndicatorDataset('BB Lower', bb.lower, '#ef4444', false);
+        const bars = this.barAggregator.getBars();
+        
+        this.enabledIndicators.forEach(key => {
+            try {
+                const definition = INDICATOR_LIBRARY[key];
+                const params = this.getIndicatorParams(key);
+                const from = this.updateIndicatorStream(key, params, bars);
+                const values = this.indicators.get(key).stream.values;
+                const existing = this.getIndicatorDatasets(key);
                 
-                // Fill between bands
-                this.addIndicatorDataset('BB Fill', bb.middle, 'rgba(239, 68, 68, 0.1)', true);
+                // Usually only the forming bar changed: patch the points from there on
+                if (from > 0 && existing.length === definition.outputs.length) {
+                    definition.outputs.forEach((output, i) => {
+                        existing[i].data.splice(from, Infinity, ...this.toSeries(values[output.key], bars, output.shift?.(params), from));
+                    });
+                    
+                    if (definition.pane) {
+                        this.updateIndicatorPane(key, existing, bars);
+                    }
+                    return;
+                }
+                
+                const datasets = definition.outputs.map(output =>
+                    this.buildIndicatorDataset(key, output, this.toSeries(values[output.key], bars, output.shift?.(params)), params));
+                
+                if (definition.pane) {
+                    this.updateIndicatorPane(key, datasets, bars);
+                } else {
+                    datasets.forEach(dataset => this.addIndicatorDataset(dataset));
+                }
+            } catch (error) {
+                Logger.error(`Indicator ${key} failed:`, error);
             }
-            
-        } catch (error) {
-            Logger.error('Technical indicators failed:', error);
-        }
+        });
     }
     
     /**
-     * Calculate Simple Moving Average
+     * Feed new and revised bars to an indicator's stream and return the index of the first
+     * value that changed. The stream starts over when bars other than the last one changed.
      */
-    calculateSMA(period) {
-        if (this.priceData.length < period) return [];
+    updateIndicatorStream(key, params, bars) {
+        const revision = this.barAggregator.revision;
+        let entry = this.indicators.get(key);
         
-        const sma = [];
+        if (!entry || entry.revision !== revision) {
+            entry = { stream: INDICATOR_LIBRARY[key].createStream(params), revision: revision };
+            this.indicators.set(key, entry);
+        }
         
-        for (let i = period - 1; i < this.priceData.length; i++) {
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += this.priceData[i - j].y;
-            }
-            
-            sma.push({
-                x: this.priceData[i].x,
-                y: sum / period
-            });
+        const { stream } = entry;
+        const from = Math.max(stream.length - 1, 0);
+        
+        if (stream.length > 0) {
+            stream.update(bars[from]);
+        }
+        for (let i = stream.length; i < bars.length; i++) {
+            stream.add(bars[i]);
         }
         
-        return sma;
+        return from;
+    }
+    
+    /**
+     * Indicator datasets currently drawn for `key`, in output order
+     */
+    getIndicatorDatasets(key) {
+        const chart = INDICATOR_LIBRARY[key].pane ? this.indicatorPanes.get(key) : this.chart;
+        return chart ? chart.data.datasets.filter(dataset => dataset.indicator === key) : [];
+    }
+    
+    /**
+     * Effective parameters of an indicator
+     */
+    getIndicatorParams(key) {
+        return resolveIndicatorParams(key, this.indicatorParams[key]);
     }
     
     /**
-     * Calculate Exponential Moving Average
+     * Chart points for indicator values aligned with `bars`, starting at index `from`,
+     * moved `shift` bars along the time axis
      */
-    calculateEMA(period) {
-        if (this.priceData.length < period) return [];
+    toSeries(values = [], bars, shift = 0, from = 0) {
+        const offset = shift * this.getTimeframeInterval();
+        return values.slice(from).map((value, i) => ({ x: bars[from + i].time + offset, y: value }));
+    }
+    
+    buildIndicatorDataset(key, output, data, params) {
+        const definition = INDICATOR_LIBRARY[key];
         
-        const multiplier = 2 / (period + 1);
-        const ema = [];
+        return {
+            type: output.type || 'line',
+            label: output.label ? `${definition.name(params)} ${output.label}` : definition.name(params),
+            indicator: key,
+            data: data,
+            borderColor: output.color,
+            backgroundColor: output.type === 'bar' ? output.color : (output.fillColor || 'transparent'),
+            borderWidth: output.type === 'bar' ? 0 : 1,
+            borderDash: output.dashed ? [4, 4] : [],
+            fill: output.fill || false,
+            showLine: !output.points,
+            tension: 0.1,
+            pointRadius: output.points ? 1.5 : 0,
+            pointHoverRadius: 0
+        };
+    }
+    
+    /**
+     * Add indicator dataset to chart, replacing the one with the same label
+     */
+    addIndicatorDataset(dataset) {
+        if (!this.chart) return;
         
-        // Start with SMA for first value
-        let sum = 0;
-        for (let i = 0; i < period; i++) {
-            sum += this.priceData[i].y;
+        const existing = this.chart.data.datasets.findIndex(d => d.label === dataset.label);
+        
+        if (existing >= 0) {
+            this.chart.data.datasets[existing] = dataset;
+        } else {
+            this.chart.data.datasets.push(dataset);
         }
+    }
+    
+    /**
+     * Choose which indicators are drawn (keys of INDICATOR_LIBRARY) and their parameter overrides
+     */
+    setIndicators(indicators, params = this.indicatorParams) {
+        this.enabledIndicators = new Set(indicators.filter(key => INDICATOR_LIBRARY[key]));
+        this.indicatorParams = { ...params };
+        this.indicators.clear();
         
-        ema.push({
-            x: this.priceData[period - 1].x,
-            y: sum / period
+        // Labels carry the parameters, so redraw every indicator from scratch
+        this.indicatorPanes.forEach((pane, key) => {
+            if (!this.enabledIndicators.has(key)) {
+                this.removeIndicatorPane(key);
+            }
         });
         
-        // Calculate EMA for remaining values
-        for (let i = period; i < this.priceData.length; i++) {
-            const value = (this.priceData[i].y - ema[ema.length - 1].y) * multiplier + ema[ema.length - 1].y;
-            ema.push({
-                x: this.priceData[i].x,
-                y: value
-            });
+        if (this.chart) {
+            this.chart.data.datasets = this.chart.data.datasets.filter(dataset => !dataset.indicator);
+            this.addTechnicalIndicators();
+            this.chart.update('none');
+            this.syncIndicatorPanes();
         }
+    }
+    
+    // Indicator panes
+    
+    createIndicatorPane(key) {
+        const container = document.getElementById('indicator-panes');
+        if (!container) return null;
+        
+        const definition = INDICATOR_LIBRARY[key];
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        const gridColor = isDark ? '#475569' : '#e2e8f0';
+        const textColor = isDark ? '#cbd5e1' : '#64748b';
+        
+        const element = DOMUtils.createElement('div', {
+            className: 'indicator-pane',
+            'data-indicator': key
+        }, '<canvas></canvas>');
+        container.appendChild(element);
+        
+        const pane = new Chart(element.querySelector('canvas').getContext('2d'), {
+            type: 'line',
+            data: { datasets: [] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        align: 'start',
+                        labels: {
+                            boxWidth: 10,
+                            font: {
+                                size: 10
+                            },
+                            filter: (item, data) => !data.datasets[item.datasetIndex].level
+                        }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: (item) => !item.dataset.level,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${NumberUtils.formatNumber(context.parsed.y, 4)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        ticks: {
+                            display: false
+                        },
+                        grid: {
+                            color: gridColor
+                        }
+                    },
+                    y: {
+                        position: 'right',
+                        min: definition.range?.min,
+                        max: definition.range?.max,
+                        afterFit: (scale) => {
+                            scale.width = CONFIG.CHART.Y_AXIS_WIDTH;
+                        },
+                        grid: {
+                            color: gridColor
+                        },
+                        ticks: {
+                            color: textColor,
+                            maxTicksLimit: 4,
+                            font: {
+                                size: 10
+                            }
+                        }
+                    }
+                },
+                animation: {
+                    duration: 0
+                }
+            }
+        });
         
-        return ema;
+        this.indicatorPanes.set(key, pane);
+        return pane;
     }
     
     /**
-     * Calculate Bollinger Bands
+     * Replace a pane's datasets, adding its reference levels, creating the pane on first use
      */
-    calculateBollingerBands(period, stdDev) {
-        const sma = this.calculateSMA(period);
-        if (sma.length === 0) return { upper: [], middle: [], lower: [] };
+    updateIndicatorPane(key, datasets, bars) {
+        const pane = this.indicatorPanes.get(key) || this.createIndicatorPane(key);
+        if (!pane) return;
         
-        const upper = [];
-        const middle = [];
-        const lower = [];
+        const first = bars[0];
+        const last = bars[bars.length - 1];
+        const levels = first ? (INDICATOR_LIBRARY[key].levels || []).map(level => ({
+            type: 'line',
+            label: `Level ${level}`,
+            level: true,
+            data: [{ x: first.time, y: level }, { x: last.time, y: level }],
+            borderColor: CONFIG.CHART.COLORS.NEUTRAL,
+            borderWidth: 1,
+            borderDash: [2, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0
+        })) : [];
         
-        for (let i = 0; i < sma.length; i++) {
-            const dataIndex = i + period - 1;
-            
-            // Calculate standard deviation
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                const diff = this.priceData[dataIndex - j].y - sma[i].y;
-                sum += diff * diff;
-            }
-            
-            const variance = sum / period;
-            const standardDeviation = Math.sqrt(variance);
-            
-            const timestamp = sma[i].x;
-            const middleValue = sma[i].y;
-            
-            middle.push({ x: timestamp, y: middleValue });
-            upper.push({ x: timestamp, y: middleValue + (standardDeviation * stdDev) });
-            lower.push({ x: timestamp, y: middleValue - (standardDeviation * stdDev) });
-        }
+        pane.data.datasets = [...datasets, ...levels];
+        this.alignIndicatorPane(pane);
+        pane.update('none');
+    }
+    
+    removeIndicatorPane(key) {
+        const pane = this.indicatorPanes.get(key);
+        if (!pane) return;
         
-        return { upper, middle, lower };
+        pane.canvas.closest('.indicator-pane')?.remove();
+        pane.destroy();
+        this.indicatorPanes.delete(key);
     }
     
     /**
-     * Add indicator dataset to chart
+     * Give a pane the price chart's visible time range; returns whether it changed
      */
-    addIndicatorDataset(label, data, color, fill = false) {
-        if (!this.chart) return;
+    alignIndicatorPane(pane) {
+        const x = this.chart?.scales.x;
+        if (!x) return false;
         
-        const existing = this.chart.data.datasets.findIndex(d => d.label === label);
+        const options = pane.options.scales.x;
+        if (options.min === x.min && options.max === x.max) return false;
         
-        const dataset = {
-            label: label,
-            data: data,
-            borderColor: color,
-            backgroundColor: fill ? color : 'transparent',
-            borderWidth: fill ? 0 : 1,
-            fill: fill,
-            tension: 0.1,
-            pointRadius: 0,
-            pointHoverRadius: 0
+        options.min = x.min;
+        options.max = x.max;
+        return true;
+    }
+    
+    /**
+     * Follow the price chart's pan and zoom in every pane
+     */
+    syncIndicatorPanes() {
+        this.indicatorPanes.forEach(pane => {
+            if (this.alignIndicatorPane(pane)) {
+                pane.update('none');
+            }
+        });
+    }
+    
+    // Indicator dialog
+    
+    showIndicatorsDialog() {
+        document.getElementById('indicators-modal')?.remove();
+        
+        const keys = Object.keys(INDICATOR_LIBRARY);
+        const renderIndicator = (key) => {
+            const definition = INDICATOR_LIBRARY[key];
+            const params = this.getIndicatorParams(key);
+            
+            return `
+                <div class="indicator-option">
+                    <label class="indicator-toggle">
+                        <input type="checkbox" name="indicator" value="${key}" ${this.enabledIndicators.has(key) ? 'checked' : ''}>
+                        ${definition.label}
+                    </label>
+                    <div class="indicator-params">
+                        ${Object.entries(definition.params).map(([name, param]) => `
+                            <label>
+                                <span>${param.label}</span>
+                                ${param.options ? `
+                                    <select data-indicator="${key}" data-param="${name}">
+                                        ${Object.entries(param.options).map(([value, label]) => `
+                                            <option value="${value}" ${params[name] === value ? 'selected' : ''}>${label}</option>
+                                        `).join('')}
+                                    </select>
+                                ` : `
+                                    <input type="number" data-indicator="${key}" data-param="${name}" value="${params[name]}"
+                                        min="${param.min}" max="${param.max}" step="${param.step}">
+                                `}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
         };
         
-        if (existing >= 0) {
-            this.chart.data.datasets[existing] = dataset;
-        } else {
-            this.chart.data.datasets.push(dataset);
-        }
+        const modal = DOMUtils.createElement('div', {
+            className: 'modal',
+            id: 'indicators-modal'
+        }, `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Indicators</h3>
+                    <button class="btn-close" onclick="this.closest('.modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="settings-section">
+                        <h4>Overlays</h4>
+                        ${keys.filter(key => !INDICATOR_LIBRARY[key].pane).map(renderIndicator).join('')}
+                    </div>
+                    <div class="settings-section">
+                        <h4>Oscillators</h4>
+                        <p class="settings-hint">Drawn in panes below the price chart.</p>
+                        ${keys.filter(key => INDICATOR_LIBRARY[key].pane).map(renderIndicator).join('')}
+                    </div>
+                    <div class="settings-actions">
+                        <button class="btn-primary" onclick="chartManager.applyIndicatorsDialog()">Apply</button>
+                        <button class="btn-secondary" onclick="chartManager.resetIndicatorsDialog()">Reset Parameters</button>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        document.body.appendChild(modal);
+    }
+    
+    applyIndicatorsDialog() {
+        const modal = document.getElementById('indicators-modal');
+        if (!modal) return;
+        
+        const indicators = [...modal.querySelectorAll('input[name="indicator"]:checked')].map(input => input.value);
+        const params = {};
+        
+        modal.querySelectorAll('[data-param]').forEach(input => {
+            const { indicator, param } = input.dataset;
+            const value = input.tagName === 'SELECT' ? input.value : parseFloat(input.value);
+            params[indicator] = { ...params[indicator], [param]: value };
+        });
+        
+        // Keep only values that differ from the defaults, so library changes reach saved profiles
+        const overrides = Object.fromEntries(Object.entries(params).map(([key, values]) => {
+            const resolved = resolveIndicatorParams(key, values);
+            const defaults = resolveIndicatorParams(key);
+            return [key, Object.fromEntries(Object.entries(resolved).filter(([name, value]) => value !== defaults[name]))];
+        }).filter(([key, values]) => Object.keys(values).length > 0));
+        
+        this.setIndicators(indicators, overrides);
+        modal.remove();
+    }
+    
+    resetIndicatorsDialog() {
+        document.querySelectorAll('#indicators-modal [data-param]').forEach(input => {
+            const { indicator, param } = input.dataset;
+            input.value = INDICATOR_LIBRARY[indicator].params[param].default;
+        });
     }
     
     /**
@@ -597,17 +1094,17 @@ class ChartManager {
         
         Logger.info(`Changing symbol from ${this.currentSymbol} to ${symbol}`);
         
+        // Move the quote subscription to the new symbol
+        quoteSubscriptions.acquire(symbol);
+        quoteSubscriptions.release(this.currentSymbol);
+        window.ctraderSDK?.setCurrentSymbol(symbol);
+        
         this.currentSymbol = symbol;
         
         // Clear current data
-        this.priceData = [];
-        this.volumeData = [];
-        
-        // Subscribe to new symbol
-        if (window.ctraderSDK) {
-            await window.ctraderSDK.unsubscribeFromSymbol(this.currentSymbol);
-            await window.ctraderSDK.subscribeToSymbol(symbol);
-        }
+        this.barAggregator.reset();
+        this.ticksRestored = false;
+        this.syncSeries();
         
         // Load new data
         await this.loadInitialData();
@@ -628,6 +1125,10 @@ class ChartManager {
         
         this.currentTimeframe = timeframe;
         
+        // Re-aggregate the session's ticks into bars of the new timeframe
+        this.barAggregator.setTimeframe(timeframe);
+        this.syncSeries();
+        
         // Update chart time axis
         if (this.chart) {
             const unit = this.getTimeUnit(timeframe);
@@ -666,6 +1167,13 @@ class ChartManager {
         this.chart.options.scales.y.ticks.color = textColor;
         
         this.chart.update();
+        
+        this.indicatorPanes.forEach(pane => {
+            pane.options.scales.x.grid.color = gridColor;
+            pane.options.scales.y.grid.color = gridColor;
+            pane.options.scales.y.ticks.color = textColor;
+            pane.update('none');
+        });
     }
     
     /**
@@ -683,8 +1191,9 @@ class ChartManager {
                 // Update indicators periodically
                 this.addTechnicalIndicators();
                 this.chart.update('none');
+                this.syncIndicatorPanes();
             }
-        }, CONFIG.PERFORMANCE.CHART_UPDATE_INTERVAL);
+        }, settingsStore.get('chartUpdateInterval'));
     }
     
     /**
@@ -715,6 +1224,9 @@ class ChartManager {
             this.chart = null;
         }
         
+        [...this.indicatorPanes.keys()].forEach(key => this.removeIndicatorPane(key));
+        
+        this.barAggregator.reset();
         this.priceData = [];
         this.volumeData = [];
         this.indicators.clear();
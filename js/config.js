@@ -27,7 +27,13 @@ const CONFIG = {
         DEFAULT_THEME: 'light',
         DEFAULT_SYMBOL: 'EURUSD',
         DEFAULT_LANGUAGE: 'en',
-        DEFAULT_TIMEFRAME: 'M5'
+        DEFAULT_TIMEFRAME: 'M5',
+        
+        // Workspace profile to activate, by id or name
+        PROFILE_PARAM: 'profile',
+        
+        // demo=true runs on generated chart data instead of host history
+        DEMO_PARAM: 'demo'
     },
     
     // cTrader SDK Settings
@@ -50,11 +56,40 @@ const CONFIG = {
         DEFAULT_RISK_PERCENT: 1.0,
         MAX_POSITIONS: 10,
         
+        // Account-level guardrails (0 disables a limit)
+        RISK_LIMITS: {
+            MAX_DAILY_LOSS_PERCENT: 3.0,
+            MAX_DAILY_DRAWDOWN_PERCENT: 5.0,
+            MAX_TRADES_PER_DAY: 20,
+            MAX_CONSECUTIVE_LOSSES: 3,
+            COOLDOWN_MINUTES: 60,
+            SESSION_RESET_HOUR_UTC: 0
+        },
+        
+        // Panic flatten: retries per position/order after the first attempt
+        FLATTEN_MAX_RETRIES: 2,
+        FLATTEN_RETRY_DELAY: 500,
+        
+        // Automatic stop management (trailing / break-even / step)
+        POSITION_MANAGER: {
+            MODIFY_THROTTLE_MS: 3000,
+            MIN_STOP_STEP_PIPS: 0.5,
+            ATR_PERIOD: 14,
+            ATR_TIMEFRAME: 'M5',
+            MAX_ATR_BARS: 100,
+            // Ticks kept to replay over the history once it loads
+            MAX_ATR_TICKS: 2000
+        },
+        
         // Order Types
         MARKET_ORDER: 'MARKET',
         LIMIT_ORDER: 'LIMIT',
         STOP_ORDER: 'STOP',
-        STOP_LIMIT_ORDER: 'STOP_LIMIT'
+        STOP_LIMIT_ORDER: 'STOP_LIMIT',
+        
+        // Order Groups
+        BRACKET_GROUP: 'BRACKET',
+        OCO_GROUP: 'OCO'
     },
     
     // AI Settings
@@ -77,6 +112,7 @@ const CONFIG = {
         
         // Voice Commands
         VOICE_COMMANDS: {
+            FLATTEN: ['flatten', 'panic', 'close everything', 'kill all'],
             BUY: ['buy', 'long', 'go long', 'purchase'],
             SELL: ['sell', 'short', 'go short', 'sell short'],
             CLOSE: ['close', 'exit', 'close position', 'close trade'],
@@ -85,6 +121,45 @@ const CONFIG = {
         }
     },
     
+    // IndexedDB storage
+    STORAGE: {
+        DB_NAME: 'trademaster',
+        CONVERSATION_LOAD_LIMIT: 50,
+        
+        // Records kept per history store when the browser storage quota is hit
+        QUOTA_KEEP: {
+            SUBMISSIONS: 1000,
+            CONVERSATION: 100,
+            FEEDBACK: 50
+        }
+    },
+    
+    // Market data cache (IndexedDB)
+    MARKET_DATA: {
+        DB_NAME: 'trademaster_market',
+        
+        // Bars kept across all symbols/timeframes; least recently used series go first
+        MAX_BARS: 200000,
+        MAX_SERIES_AGE_DAYS: 30,
+        
+        // Recent ticks, for rebuilding the session's bars after a reload
+        MAX_TICKS: 100000,
+        TICK_MAX_AGE: 24 * 60 * 60 * 1000,
+        TICK_FLUSH_INTERVAL: 5000
+    },
+    
+    // Trade Journal (IndexedDB)
+    JOURNAL: {
+        DB_NAME: 'trademaster_journal',
+        SNAPSHOT_TYPE: 'image/png',
+        QUOTA_KEEP_SNAPSHOTS: 200,
+        
+        // Suggested tags offered in the editor; any free-text tag is accepted
+        SETUP_TAGS: ['breakout', 'pullback', 'reversal', 'range', 'news', 'trend-follow'],
+        EMOTION_TAGS: ['calm', 'confident', 'fomo', 'fear', 'greed', 'revenge', 'bored'],
+        MISTAKE_TAGS: ['early-entry', 'late-entry', 'moved-stop', 'no-stop', 'oversized', 'early-exit', 'chased']
+    },
+    
     // Chart Settings
     CHART: {
         TIMEFRAMES: {
@@ -106,13 +181,28 @@ const CONFIG = {
             TEXT: '#374151'
         },
         
-        INDICATORS: {
-            SMA: 'Simple Moving Average',
-            EMA: 'Exponential Moving Average',
-            RSI: 'Relative Strength Index',
-            MACD: 'MACD',
-            BOLLINGER: 'Bollinger Bands'
-        }
+        // Indicators drawn until a profile chooses others (keys of INDICATOR_LIBRARY)
+        DEFAULT_INDICATORS: ['SMA', 'EMA', 'BOLLINGER'],
+        
+        // Price axis width in pixels, shared by the indicator panes so their time axes line up
+        Y_AXIS_WIDTH: 64,
+        
+        TYPES: {
+            line: 'Line',
+            candlestick: 'Candles',
+            ohlc: 'OHLC Bars'
+        },
+        
+        // Broker server time zone in minutes east of UTC; bar boundaries follow it
+        SERVER_UTC_OFFSET: 0,
+        
+        // Ticks kept for re-aggregating the session when the timeframe changes
+        MAX_TICKS: 20000,
+        
+        // History: bars requested on load, per page when scrolling left, and kept in total
+        HISTORY_BARS: 300,
+        HISTORY_PAGE_BARS: 300,
+        MAX_BARS: 5000
     },
     
     // News and Data
@@ -137,7 +227,9 @@ const CONFIG = {
             'EURJPY', 'GBPJPY'
         ],
         MAX_SYMBOLS: 50,
-        UPDATE_INTERVAL: 1000 // 1 second
+        UPDATE_INTERVAL: 1000, // 1 second
+        SPARK_POINTS: 60,
+        SEARCH_RESULTS: 10
     },
     
     // Performance Settings
@@ -222,6 +314,11 @@ const initializeSymbol = () => {
     return getUrlParameter(CONFIG.WEBVIEW.SYMBOL_PARAM) || CONFIG.WEBVIEW.DEFAULT_SYMBOL;
 };
 
+// Demo mode uses generated data; it must be asked for, not fallen into
+const isDemoMode = () => {
+    return CONFIG.DEV.MOCK_DATA || getUrlParameter(CONFIG.WEBVIEW.DEMO_PARAM) === 'true';
+};
+
 // Get platform info from URL parameter
 const getPlatformInfo = () => {
     return {
@@ -13,6 +13,7 @@ import {
     executionEvent,
     getAccountInformation,
     getLightSymbolList,
+    getTrendbars as requestTrendbars,
     createNewOrder,
     subscribeQuotes,
     unsubscribeQuotes,
@@ -32,7 +33,10 @@ class CTraderSDK {
         this.currentSymbol = this.getUrlSymbol() || 'EURUSD';
         this.accountInfo = null;
         this.positions = new Map();
+        this.orders = new Map();
         this.quotes = new Map();
+        this.quoteSubscriptions = new Set();
+        this.serverTimeOffset = 0;
         this.connectionCallbacks = [];
         this.quoteCallbacks = [];
         this.executionCallbacks = [];
@@ -166,12 +170,10 @@ class CTraderSDK {
                 tap((symbols) => {
                     console.log(`📋 Loaded ${symbols.length} trading symbols`);
                     this.availableSymbols = symbols;
+                    symbolRegistry.register(symbols);
                 })
             ).subscribe();
             
-            // Subscribe to current symbol quotes
-            await this.subscribeToSymbol(this.currentSymbol);
-            
             // Mark as fully initialized
             this.isInitialized = true;
             console.log('🎉 cTrader SDK fully initialized and ready!');
@@ -252,9 +254,6 @@ class CTraderSDK {
             await this.clientAdapter.connect();
             clearTimeout(timeout);
             
-            // Subscribe to current symbol quotes
-            await this.subscribeToSymbol(this.currentSymbol);
-            
         } catch (error) {
             Logger.error('Connection failed:', error);
             this.handleConnectionError(error);
@@ -276,6 +275,7 @@ class CTraderSDK {
             
             // Get available symbols
             const symbols = await this.getSymbols();
+            symbolRegistry.register(symbols);
             Logger.info(`Loaded ${symbols.length} symbols`);
             
             // Notify connection callbacks
@@ -296,9 +296,12 @@ class CTraderSDK {
     }
     
     /**
-     * Subscribe to symbol quotes using real cTrader SDK
+     * Subscribe to symbol quotes using real cTrader SDK.
+     * Components acquire symbols through QuoteSubscriptionManager (js/quotes.js) instead.
      */
     async subscribeToSymbol(symbol) {
+        this.quoteSubscriptions.add(symbol);
+        
         try {
             if (!this.isConnected || !this.adapter) {
                 console.warn('⚠️ SDK not connected, cannot subscribe to quotes');
@@ -311,7 +314,6 @@ class CTraderSDK {
                 take(1),
                 tap(() => {
                     console.log(`✅ Successfully subscribed to ${symbol} quotes`);
-                    this.currentSymbol = symbol;
                 })
             ).subscribe({
                 error: (error) => {
@@ -330,13 +332,22 @@ class CTraderSDK {
      * Unsubscribe from symbol quotes
      */
     async unsubscribeFromSymbol(symbol) {
+        this.quoteSubscriptions.delete(symbol);
+        
         try {
-            if (!this.isConnected || !this.clientAdapter) {
+            if (!this.isConnected || !this.adapter) {
                 return false;
             }
             
             Logger.info(`Unsubscribing from ${symbol} quotes`);
-            await this.clientAdapter.unsubscribeFromQuotes([symbol]);
+            await new Promise((resolve, reject) => {
+                unsubscribeQuotes(this.adapter, { symbolId: symbol }).pipe(
+                    take(1)
+                ).subscribe({
+                    next: resolve,
+                    error: reject
+                });
+            });
             
             return true;
         } catch (error) {
@@ -414,6 +425,8 @@ class CTraderSDK {
             return symbols.map(symbol => ({
                 name: symbol.name,
                 description: symbol.description,
+                baseCurrency: symbol.baseCurrency,
+                quoteCurrency: symbol.quoteCurrency,
                 digits: symbol.digits,
                 pipPosition: symbol.pipPosition,
                 minVolume: symbol.minVolume,
@@ -426,6 +439,59 @@ class CTraderSDK {
         }
     }
     
+    /**
+     * Get historical bars for a symbol, oldest first.
+     * `timeframe` is a CONFIG.CHART.TIMEFRAMES key, which matches the host's trendbar periods.
+     * Throws on failure so callers can tell an empty range from a failed request.
+     */
+    async getTrendbars(symbol, timeframe, { from = null, to = this.getServerTime(), count = CONFIG.CHART.HISTORY_BARS } = {}) {
+        try {
+            if (!this.isConnected || !this.adapter) {
+                throw new Error('SDK not connected');
+            }
+            
+            const period = CONFIG.CHART.TIMEFRAMES[timeframe].value * 60 * 1000;
+            const response = await new Promise((resolve, reject) => {
+                requestTrendbars(this.adapter, {
+                    symbolId: symbol,
+                    period: timeframe,
+                    fromTimestamp: from ?? to - count * period,
+                    toTimestamp: to,
+                    count: count
+                }).pipe(
+                    take(1)
+                ).subscribe({
+                    next: resolve,
+                    error: reject
+                });
+            });
+            
+            return (response?.trendbar || [])
+                .map(bar => this.normalizeTrendbar(bar))
+                .sort((a, b) => a.time - b.time);
+        } catch (error) {
+            Logger.error(`Failed to get ${timeframe} bars for ${symbol}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Convert a host trendbar to { time, open, high, low, close, tickVolume }.
+     * The host sends the low in 1/100000 of a price unit and the other prices as deltas from it.
+     */
+    normalizeTrendbar(bar) {
+        const scale = 100000;
+        
+        return {
+            time: bar.utcTimestampInMinutes * 60 * 1000,
+            open: (bar.low + (bar.deltaOpen || 0)) / scale,
+            high: (bar.low + (bar.deltaHigh || 0)) / scale,
+            low: bar.low / scale,
+            close: (bar.low + (bar.deltaClose || 0)) / scale,
+            tickVolume: bar.volume || 0
+        };
+    }
+    
     /**
      * Execute market order using real cTrader SDK
      */
@@ -441,7 +507,7 @@ class CTraderSDK {
                 symbolId: symbol,
                 orderType: 'MARKET',
                 tradeSide: side.toUpperCase() === 'BUY' ? 'BUY' : 'SELL',
-                volume: parseFloat(volume) * 100000 // Convert to lots
+                volume: symbolRegistry.lotsToUnits(symbol, volume)
             };
             
             if (stopLoss) {
@@ -460,6 +526,7 @@ class CTraderSDK {
                         resolve({
                             success: true,
                             orderId: result.orderId,
+                            positionId: result.position?.positionId ?? result.positionId ?? null,
                             message: `${side} order for ${volume} ${symbol} executed successfully`
                         });
                     })
@@ -483,6 +550,83 @@ class CTraderSDK {
         }
     }
     
+    /**
+     * Place pending order (limit, stop, stop-limit) using real cTrader SDK
+     */
+    async createPendingOrder(symbol, side, orderType, volume, entryPrice, options = {}) {
+        try {
+            if (!this.isConnected || !this.adapter) {
+                throw new Error('cTrader SDK not connected');
+            }
+
+            console.log(`📌 Creating ${side} ${orderType} order: ${volume} ${symbol} @ ${entryPrice}`);
+
+            const orderRequest = {
+                symbolId: symbol,
+                orderType: orderType,
+                tradeSide: side.toUpperCase() === 'BUY' ? 'BUY' : 'SELL',
+                volume: symbolRegistry.lotsToUnits(symbol, volume)
+            };
+
+            if (orderType === CONFIG.TRADING.LIMIT_ORDER) {
+                orderRequest.limitPrice = parseFloat(entryPrice);
+            } else {
+                orderRequest.stopPrice = parseFloat(entryPrice);
+            }
+
+            if (orderType === CONFIG.TRADING.STOP_LIMIT_ORDER && options.limitPrice) {
+                orderRequest.limitPrice = parseFloat(options.limitPrice);
+            }
+
+            if (options.expiry) {
+                orderRequest.timeInForce = 'GOOD_TILL_DATE';
+                orderRequest.expirationTimestamp = options.expiry;
+            }
+
+            if (options.stopLoss) {
+                orderRequest.stopLoss = parseFloat(options.stopLoss);
+            }
+
+            if (options.takeProfit) {
+                orderRequest.takeProfit = parseFloat(options.takeProfit);
+            }
+
+            // Closing leg of an existing position (bracket take-profits)
+            if (options.positionId) {
+                orderRequest.positionId = options.positionId;
+            }
+
+            return new Promise((resolve) => {
+                createNewOrder(this.adapter, orderRequest).pipe(
+                    take(1),
+                    tap((result) => {
+                        console.log('✅ Pending order placed successfully:', result);
+                        resolve({
+                            success: true,
+                            orderId: result.orderId,
+                            message: `${side} ${orderType} order for ${volume} ${symbol} placed successfully`
+                        });
+                    })
+                ).subscribe({
+                    error: (error) => {
+                        console.error('❌ Pending order failed:', error);
+                        resolve({
+                            success: false,
+                            error: error.message || 'Order placement failed'
+                        });
+                    }
+                });
+            });
+
+        } catch (error) {
+            console.error('❌ Pending order creation error:', error);
+            return {
+                success: false,
+                error: error.message || 'Order placement failed'
+            };
+        }
+    }
+
     /**
      * Close position using real cTrader SDK
      */
@@ -499,7 +643,8 @@ class CTraderSDK {
             };
             
             if (volume !== null) {
-                closeRequest.volume = parseFloat(volume) * 100000;
+                const position = this.positions.get(positionId);
+                closeRequest.volume = symbolRegistry.lotsToUnits(position?.symbol, volume);
             }
             
             return new Promise((resolve) => {
@@ -532,6 +677,123 @@ class CTraderSDK {
         }
     }
     
+    /**
+     * Cancel pending order using real cTrader SDK
+     */
+    async cancelOrder(orderId) {
+        try {
+            if (!this.isConnected || !this.adapter) {
+                throw new Error('cTrader SDK not connected');
+            }
+            
+            console.log(`🗑️ Cancelling order: ${orderId}`);
+            
+            return new Promise((resolve) => {
+                cancelOrder(this.adapter, { orderId: orderId }).pipe(
+                    take(1),
+                    tap((result) => {
+                        console.log('✅ Order cancelled successfully:', result);
+                        this.orders.delete(orderId);
+                        resolve({
+                            success: true,
+                            message: 'Order cancelled successfully'
+                        });
+                    })
+                ).subscribe({
+                    error: (error) => {
+                        console.error('❌ Order cancel failed:', error);
+                        resolve({
+                            success: false,
+                            error: error.message || 'Failed to cancel order'
+                        });
+                    }
+                });
+            });
+            
+        } catch (error) {
+            console.error('❌ Cancel order error:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to cancel order'
+            };
+        }
+    }
+    
+    /**
+     * Modify pending order using real cTrader SDK
+     */
+    async modifyOrder(orderId, changes = {}) {
+        try {
+            if (!this.isConnected || !this.adapter) {
+                throw new Error('cTrader SDK not connected');
+            }
+            
+            console.log(`✏️ Modifying order: ${orderId}`, changes);
+            
+            const order = this.orders.get(orderId);
+            const modifyRequest = { orderId: orderId };
+            
+            if (changes.entryPrice != null) {
+                if (order?.orderType === CONFIG.TRADING.LIMIT_ORDER) {
+                    modifyRequest.limitPrice = parseFloat(changes.entryPrice);
+                } else {
+                    modifyRequest.stopPrice = parseFloat(changes.entryPrice);
+                }
+            }
+            
+            if (changes.limitPrice != null) {
+                modifyRequest.limitPrice = parseFloat(changes.limitPrice);
+            }
+            
+            if (changes.volume != null) {
+                modifyRequest.volume = symbolRegistry.lotsToUnits(order?.symbol, changes.volume);
+            }
+            
+            if (changes.stopLoss !== undefined) {
+                modifyRequest.stopLoss = changes.stopLoss;
+            }
+            
+            if (changes.takeProfit !== undefined) {
+                modifyRequest.takeProfit = changes.takeProfit;
+            }
+            
+            if (changes.expiry !== undefined) {
+                modifyRequest.expirationTimestamp = changes.expiry;
+            }
+            
+            return new Promise((resolve) => {
+                modifyOrder(this.adapter, modifyRequest).pipe(
+                    take(1),
+                    tap((result) => {
+                        console.log('✅ Order modified successfully:', result);
+                        if (order) {
+                            Object.assign(order, changes);
+                        }
+                        resolve({
+                            success: true,
+                            message: 'Order modified successfully'
+                        });
+                    })
+                ).subscribe({
+                    error: (error) => {
+                        console.error('❌ Order modify failed:', error);
+                        resolve({
+                            success: false,
+                            error: error.message || 'Failed to modify order'
+                        });
+                    }
+                });
+            });
+            
+        } catch (error) {
+            console.error('❌ Modify order error:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to modify order'
+            };
+        }
+    }
+    
     /**
      * Modify position
      */
@@ -569,12 +831,17 @@ class CTraderSDK {
      */
     handleQuoteUpdate(quote) {
         if (quote && quote.symbol) {
+            // Quotes carry server time; keep the clock difference for quotes that do not
+            if (quote.timestamp) {
+                this.serverTimeOffset = quote.timestamp - Date.now();
+            }
+            
             const quoteData = {
                 symbol: quote.symbol,
                 bid: quote.bid,
                 ask: quote.ask,
                 spread: quote.ask - quote.bid,
-                timestamp: Date.now()
+                timestamp: quote.timestamp || this.getServerTime()
             };
             
             this.quotes.set(quote.symbol, quoteData);
@@ -601,6 +868,14 @@ class CTraderSDK {
     handleExecutionUpdate(execution) {
         Logger.info('Execution update:', execution);
         
+        // Keep working orders in sync before callbacks read them
+        this.updateOrderFromExecution(execution);
+        
+        // Closing deals carry realized P&L for the performance tracker
+        if (execution?.deal?.closePositionDetail) {
+            execution.closedDeal = this.normalizeClosedDeal(execution.deal, execution.position);
+        }
+        
         // Notify execution callbacks
         this.executionCallbacks.forEach(callback => {
             try {
@@ -614,6 +889,85 @@ class CTraderSDK {
         this.refreshPositions();
     }
     
+    /**
+     * Track working orders from execution events
+     */
+    updateOrderFromExecution(execution) {
+        const rawOrder = execution?.order;
+        const orderId = rawOrder?.orderId || execution?.orderId;
+        if (!orderId) return;
+        
+        switch (execution.type) {
+            case 'ORDER_ACCEPTED':
+            case 'ORDER_REPLACED':
+                if (rawOrder && rawOrder.orderType !== CONFIG.TRADING.MARKET_ORDER) {
+                    this.orders.set(orderId, this.normalizeOrder(rawOrder));
+                }
+                break;
+            case 'ORDER_FILLED':
+            case 'ORDER_CANCELLED':
+            case 'ORDER_EXPIRED':
+            case 'ORDER_REJECTED':
+                this.orders.delete(orderId);
+                break;
+        }
+    }
+    
+    /**
+     * Map a cTrader order to the app's order shape
+     */
+    normalizeOrder(order) {
+        const isLimit = order.orderType === CONFIG.TRADING.LIMIT_ORDER;
+        const symbol = order.symbol || order.symbolId;
+        
+        return {
+            id: order.orderId,
+            symbol: symbol,
+            side: (order.tradeSide || order.side || '').toLowerCase(),
+            orderType: order.orderType,
+            volume: symbolRegistry.unitsToLots(symbol, order.volume),
+            entryPrice: isLimit ? order.limitPrice : order.stopPrice,
+            limitPrice: order.orderType === CONFIG.TRADING.STOP_LIMIT_ORDER ? order.limitPrice : null,
+            stopLoss: order.stopLoss ?? null,
+            takeProfit: order.takeProfit ?? null,
+            expiry: order.expirationTimestamp || null,
+            createdTime: order.openTimestamp || Date.now()
+        };
+    }
+    
+    /**
+     * Map a closing deal to the app's closed trade shape (money in account currency)
+     */
+    normalizeClosedDeal(deal, position = null) {
+        const detail = deal.closePositionDetail;
+        const symbol = deal.symbol || deal.symbolId || position?.symbol;
+        const scale = Math.pow(10, detail.moneyDigits ?? deal.moneyDigits ?? 2);
+        
+        const grossProfit = (detail.grossProfit || 0) / scale;
+        const swap = (detail.swap || 0) / scale;
+        const commission = (detail.commission || 0) / scale;
+        
+        // The closing deal trades against the position, so the position side is the opposite
+        const closingSide = (deal.tradeSide || '').toLowerCase();
+        
+        return {
+            dealId: deal.dealId,
+            positionId: deal.positionId,
+            symbol: symbol,
+            side: closingSide === 'buy' ? 'sell' : 'buy',
+            volume: symbolRegistry.unitsToLots(symbol, detail.closedVolume ?? deal.filledVolume ?? deal.volume),
+            entryPrice: detail.entryPrice,
+            exitPrice: deal.executionPrice,
+            openTime: position?.tradeData?.openTimestamp || null,
+            closeTime: deal.executionTimestamp || Date.now(),
+            grossProfit: grossProfit,
+            swap: swap,
+            commission: commission,
+            netProfit: grossProfit + swap + commission,
+            balanceAfter: detail.balance !== undefined ? detail.balance / scale : null
+        };
+    }
+    
     /**
      * Handle account updates
      */
@@ -758,11 +1112,11 @@ class CTraderSDK {
         const changeElement = symbolInfo.querySelector('.symbol-change');
         
         if (nameElement) nameElement.textContent = quote.symbol;
-        if (priceElement) priceElement.textContent = quote.ask.toFixed(5);
+        if (priceElement) priceElement.textContent = symbolRegistry.formatPrice(quote.symbol, quote.ask);
         
         // Calculate change (simplified - would need historical data)
         if (changeElement) {
-            changeElement.textContent = `±${quote.spread.toFixed(5)}`;
+            changeElement.textContent = `±${symbolRegistry.formatPrice(quote.symbol, quote.spread)}`;
         }
     }
     
@@ -832,6 +1186,17 @@ class CTraderSDK {
             mockQuote.spread = mockQuote.ask - mockQuote.bid;
             
             this.handleQuoteUpdate(mockQuote);
+            
+            // Random walk for the other subscribed symbols
+            this.quoteSubscriptions.forEach(symbol => {
+                if (symbol === this.currentSymbol) return;
+                
+                const pipSize = symbolRegistry.getPipSize(symbol);
+                const last = this.quotes.get(symbol)?.bid || (pipSize >= 0.01 ? 150 : 1.1);
+                const bid = last + (Math.random() - 0.5) * pipSize * 10;
+                
+                this.handleQuoteUpdate({ symbol, bid, ask: bid + pipSize, timestamp: Date.now() });
+            });
         }, 1000);
     }
     
@@ -861,13 +1226,23 @@ class CTraderSDK {
     }
     
     // Utility methods
+    getOrders() {
+        return Array.from(this.orders.values());
+    }
+    
+    /**
+     * Current broker server time in milliseconds, corrected for browser clock drift
+     */
+    getServerTime() {
+        return Date.now() + this.serverTimeOffset;
+    }
+    
     getCurrentQuote(symbol = null) {
         return this.quotes.get(symbol || this.currentSymbol);
     }
     
     setCurrentSymbol(symbol) {
         this.currentSymbol = symbol;
-        this.subscribeToSymbol(symbol);
     }
     
     isReady() {
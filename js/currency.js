@@ -0,0 +1,168 @@
+/**
+ * TradeMaster AI Pro - Currency Conversion
+ * Converts pip values and P&L into the account currency using live quotes
+ */
+
+class CurrencyConverter {
+    constructor() {
+        this.pivotCurrency = 'USD';
+        // Conversion pairs subscribed through the quote manager
+        this.watched = new Set();
+    }
+
+    /**
+     * Get account deposit currency
+     */
+    getAccountCurrency() {
+        return window.ctraderSDK?.accountInfo?.currency || 'USD';
+    }
+
+    /**
+     * Split a symbol into base and quote currency
+     */
+    getCurrencies(symbol) {
+        const spec = symbolRegistry.get(symbol);
+        if (spec.baseCurrency && spec.quoteCurrency) {
+            return { base: spec.baseCurrency, quote: spec.quoteCurrency };
+        }
+
+        const name = spec.name;
+        if (/^[A-Z]{6}$/.test(name)) {
+            return { base: name.slice(0, 3), quote: name.slice(3) };
+        }
+
+        // Indices and crypto without host metadata are assumed USD-quoted
+        return { base: name, quote: this.pivotCurrency };
+    }
+
+    /**
+     * Mid price of a symbol from the SDK quote cache
+     */
+    getMidPrice(symbol) {
+        const quote = window.ctraderSDK?.quotes?.get(symbol);
+        if (!quote || !quote.bid || !quote.ask) return null;
+
+        return (quote.bid + quote.ask) / 2;
+    }
+
+    /**
+     * Rate to convert one unit of `from` into `to`, or null if no quote is available
+     */
+    getRate(from, to) {
+        if (from === to) return 1;
+
+        const direct = this.getMidPrice(from + to);
+        if (direct) return direct;
+
+        const inverse = this.getMidPrice(to + from);
+        if (inverse) return 1 / inverse;
+
+        // Cross through the pivot currency
+        if (from !== this.pivotCurrency && to !== this.pivotCurrency) {
+            const fromPivot = this.getRate(from, this.pivotCurrency);
+            const pivotTo = this.getRate(this.pivotCurrency, to);
+
+            if (fromPivot && pivotTo) return fromPivot * pivotTo;
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert amount between currencies; returns null if no rate is available
+     */
+    convert(amount, from, to = this.getAccountCurrency()) {
+        const rate = this.getRate(from, to);
+        return rate === null ? null : amount * rate;
+    }
+
+    /**
+     * Convert an amount in the symbol's quote currency into the account currency.
+     * Returns null when no conversion quote is available yet.
+     */
+    toAccountCurrency(symbol, amount) {
+        const { quote } = this.getCurrencies(symbol);
+        const converted = this.convert(amount, quote);
+
+        if (converted === null) {
+            Logger.debug(`No conversion rate ${quote}->${this.getAccountCurrency()}`);
+        }
+
+        return converted;
+    }
+
+    /**
+     * Convert an account currency amount into the symbol's quote currency; null without a rate
+     */
+    fromAccountCurrency(symbol, amount) {
+        const { quote } = this.getCurrencies(symbol);
+        return this.convert(amount, this.getAccountCurrency(), quote);
+    }
+
+    /**
+     * Value of one pip in account currency for the given volume in lots, or null without a rate
+     */
+    getPipValue(symbol, lots = 1) {
+        const units = symbolRegistry.lotsToUnits(symbol, lots);
+        return this.toAccountCurrency(symbol, symbolRegistry.getPipSize(symbol) * units);
+    }
+
+    /**
+     * P&L in account currency for a price move on the given volume, or null without a rate
+     */
+    calculatePnL(symbol, side, openPrice, closePrice, lots) {
+        const direction = side.toLowerCase() === 'buy' ? 1 : -1;
+        const units = symbolRegistry.lotsToUnits(symbol, lots);
+
+        return this.toAccountCurrency(symbol, (closePrice - openPrice) * direction * units);
+    }
+
+    /**
+     * Cash at risk in account currency between entry and stop, or null without a rate
+     */
+    calculateRisk(symbol, entryPrice, stopLoss, lots) {
+        const units = symbolRegistry.lotsToUnits(symbol, lots);
+        return this.toAccountCurrency(symbol, Math.abs(entryPrice - stopLoss) * units);
+    }
+
+    /**
+     * Symbols whose quotes are needed to convert this symbol's P&L. Once the host has sent
+     * its symbol list, pairs the broker does not offer are left out.
+     */
+    getConversionSymbols(symbol) {
+        const { quote } = this.getCurrencies(symbol);
+        const account = this.getAccountCurrency();
+        if (quote === account) return [];
+
+        const pivot = this.pivotCurrency;
+        const candidates = [quote + account, account + quote, quote + pivot, pivot + quote, account + pivot, pivot + account]
+            .filter(name => name.length === 6 && name.slice(0, 3) !== name.slice(3))
+            .filter(name => symbolRegistry.symbols.size === 0 || symbolRegistry.has(name));
+
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Keep conversion quotes flowing for `symbols` (the traded symbol and open positions);
+     * pairs no longer needed are released
+     */
+    watchSymbols(symbols) {
+        const needed = new Set(symbols.flatMap(symbol => this.getConversionSymbols(symbol)));
+
+        needed.forEach(name => {
+            if (!this.watched.has(name)) {
+                quoteSubscriptions.acquire(name);
+            }
+        });
+        this.watched.forEach(name => {
+            if (!needed.has(name)) {
+                quoteSubscriptions.release(name);
+            }
+        });
+
+        this.watched = needed;
+    }
+}
+
+// Initialize currency converter
+const currencyConverter = new CurrencyConverter();
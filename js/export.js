@@ -0,0 +1,348 @@
+/**
+ * TradeMaster AI Pro - Trade Export
+ * CSV trade history and printable HTML statements built client-side from closed-trade records
+ */
+
+class TradeExporter {
+    constructor(performanceTracker) {
+        this.tracker = performanceTracker;
+        this.columns = TRADE_EXPORT_COLUMNS;
+        this.selectedColumns = this.columns.filter(column => column.default).map(column => column.key);
+
+        this.loadColumns();
+    }
+
+    /**
+     * Restore the last used column selection
+     */
+    async loadColumns() {
+        const saved = await appStorage.getItem('export_columns');
+        if (Array.isArray(saved)) {
+            const known = saved.filter(key => this.columns.some(column => column.key === key));
+            if (known.length > 0) {
+                this.selectedColumns = known;
+            }
+        }
+    }
+
+    /**
+     * Closed trades within a date range (inclusive, by close time) and symbol list, oldest first
+     */
+    getTrades({ from = null, to = null, symbols = [] } = {}) {
+        return this.tracker.getClosedTrades()
+            .filter(trade => (from === null || trade.closeTime >= from) && (to === null || trade.closeTime <= to))
+            .filter(trade => symbols.length === 0 || symbols.includes(trade.symbol))
+            .sort((a, b) => a.closeTime - b.closeTime);
+    }
+
+    /**
+     * Symbols present in the trade history
+     */
+    getSymbols() {
+        return [...new Set(this.tracker.getClosedTrades().map(trade => trade.symbol))].sort();
+    }
+
+    // CSV
+
+    /**
+     * CSV text for the trades with the given columns.
+     * Excel-friendly: UTF-8 BOM, CRLF line endings, '.' decimals.
+     */
+    buildCSV(trades, columnKeys = this.selectedColumns) {
+        const columns = columnKeys
+            .map(key => this.columns.find(column => column.key === key))
+            .filter(Boolean);
+        const context = { currency: currencyConverter.getAccountCurrency() };
+
+        const lines = [
+            columns.map(column => this.escapeCSV(column.label)),
+            ...trades.map(trade => columns.map(column => this.escapeCSV(column.value(trade, context))))
+        ].map(cells => cells.join(','));
+
+        return '﻿' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell; text that a spreadsheet would run as a formula is prefixed with '
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Download filtered trades as CSV
+     */
+    downloadCSV(filters, columnKeys) {
+        const trades = this.getTrades(filters);
+        if (trades.length === 0) {
+            window.app?.showNotification('No trades match the export filters', 'warning');
+            return;
+        }
+
+        this.selectedColumns = columnKeys;
+        appStorage.setItem('export_columns', columnKeys);
+
+        DOMUtils.downloadFile(`trade-history-${this.getFileSuffix(filters)}.csv`, this.buildCSV(trades, columnKeys), 'text/csv;charset=utf-8');
+        Logger.info(`Exported ${trades.length} trades to CSV`);
+    }
+
+    // Statement
+
+    /**
+     * Summary figures for a statement period
+     */
+    getStatementSummary(trades) {
+        const stats = PerformanceTracker.computeStats(trades);
+        const startingBalance = PerformanceTracker.getStartingBalance(trades);
+
+        return {
+            stats: stats,
+            startingBalance: startingBalance,
+            endingBalance: startingBalance === null ? null : startingBalance + stats.netProfit,
+            balanceChangePercent: startingBalance ? (stats.netProfit / startingBalance) * 100 : null,
+            fees: stats.totalCommission + stats.totalSwap
+        };
+    }
+
+    /**
+     * Standalone, print-ready HTML statement
+     */
+    buildStatementHTML(trades, filters = {}) {
+        const currency = currencyConverter.getAccountCurrency();
+        const summary = this.getStatementSummary(trades);
+        const { stats } = summary;
+        const money = (value) => value === null ? '—' : NumberUtils.formatCurrency(value, currency);
+        const tone = (value) => value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+        const escape = (text) => ValidationUtils.sanitizeHtml(String(text ?? ''));
+
+        const period = `${filters.from ? new Date(filters.from).toLocaleDateString() : 'First trade'} – ` +
+            `${filters.to ? new Date(filters.to).toLocaleDateString() : 'Today'}`;
+        const symbols = filters.symbols?.length ? filters.symbols.join(', ') : 'All symbols';
+
+        const metrics = [
+            ['Starting balance', money(summary.startingBalance)],
+            ['Ending balance', money(summary.endingBalance)],
+            ['Balance change', `${money(stats.netProfit)}${summary.balanceChangePercent === null ? '' : ` (${NumberUtils.formatNumber(summary.balanceChangePercent, 2)}%)`}`],
+            ['Gross P&amp;L', money(stats.grossProfit)],
+            ['Commission', money(stats.totalCommission)],
+            ['Swap', money(stats.totalSwap)],
+            ['Total fees', money(summary.fees)],
+            ['Net P&amp;L', money(stats.netProfit)],
+            ['Trades', stats.totalTrades],
+            ['Win rate', stats.totalTrades > 0 ? NumberUtils.formatPercent(stats.winningTrades / stats.totalTrades, 1) : '—'],
+            ['Profit factor', stats.profitFactor === null ? '—' : NumberUtils.formatNumber(stats.profitFactor, 2)],
+            ['Max drawdown', money(stats.maxDrawdown)]
+        ];
+
+        const rows = trades.map(trade => `
+            <tr>
+                <td>${escape(DateUtils.formatTime(trade.closeTime, true))}</td>
+                <td>${escape(trade.symbol)}</td>
+                <td>${escape((trade.side || '').toUpperCase())}</td>
+                <td class="num">${trade.volume}</td>
+                <td class="num">${trade.entryPrice ? symbolRegistry.formatPrice(trade.symbol, trade.entryPrice) : ''}</td>
+                <td class="num">${trade.exitPrice ? symbolRegistry.formatPrice(trade.symbol, trade.exitPrice) : ''}</td>
+                <td class="num">${money(trade.commission || 0)}</td>
+                <td class="num">${money(trade.swap || 0)}</td>
+                <td class="num ${tone(trade.netProfit)}">${money(trade.netProfit)}</td>
+            </tr>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(CONFIG.APP_NAME)} - Trading Statement</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #1e293b; margin: 2rem; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 0.25rem; }
+    .meta { color: #64748b; margin-bottom: 1.5rem; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem 1.5rem; margin-bottom: 1.5rem; }
+    .summary div { display: flex; justify-content: space-between; border-bottom: 1px solid #e2e8f0; padding: 0.25rem 0; }
+    .summary span:first-child { color: #64748b; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 0.35rem 0.5rem; border-bottom: 1px solid #e2e8f0; text-align: left; }
+    th { background: #f8fafc; }
+    .num { text-align: right; }
+    .positive { color: #10b981; }
+    .negative { color: #ef4444; }
+    .actions { margin-bottom: 1rem; }
+    @media print { .actions { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="actions"><button onclick="window.print()">Print / Save as PDF</button></div>
+<h1>Trading Statement</h1>
+<div class="meta">
+    ${escape(currency)} · ${escape(period)} · ${escape(symbols)}<br>
+    Generated ${escape(DateUtils.formatTime(Date.now(), true))} by ${escape(CONFIG.APP_NAME)}
+</div>
+<div class="summary">
+    ${metrics.map(([label, value]) => `<div><span>${label}</span><span>${value}</span></div>`).join('')}
+</div>
+<table>
+    <thead>
+        <tr><th>Closed</th><th>Symbol</th><th>Side</th><th class="num">Volume</th><th class="num">Entry</th><th class="num">Exit</th><th class="num">Commission</th><th class="num">Swap</th><th class="num">Net P&amp;L</th></tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="9">No trades in this period.</td></tr>'}</tbody>
+</table>
+</body>
+</html>`;
+    }
+
+    /**
+     * Open the statement in a new window for printing; download it if pop-ups are blocked
+     */
+    openStatement(filters) {
+        const html = this.buildStatementHTML(this.getTrades(filters), filters);
+        const statementWindow = window.open('', '_blank');
+
+        if (!statementWindow) {
+            DOMUtils.downloadFile(`statement-${this.getFileSuffix(filters)}.html`, html, 'text/html;charset=utf-8');
+            return;
+        }
+
+        statementWindow.document.open();
+        statementWindow.document.write(html);
+        statementWindow.document.close();
+    }
+
+    getFileSuffix({ from = null, to = null } = {}) {
+        const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+        return `${from ? day(from) : 'start'}_${to ? day(to) : day(Date.now())}`;
+    }
+
+    // Dialog
+
+    /**
+     * Export dialog: date range, symbols and CSV columns
+     */
+    showExportDialog() {
+        document.getElementById('export-modal')?.remove();
+
+        const symbols = this.getSymbols();
+
+        const modal = DOMUtils.createElement('div', {
+            className: 'modal',
+            id: 'export-modal'
+        }, `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Export Trade History</h3>
+                    <button class="btn-close" onclick="this.closest('.modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="input-row">
+                        <div class="form-group">
+                            <label for="export-from">From</label>
+                            <input type="date" id="export-from">
+                        </div>
+                        <div class="form-group">
+                            <label for="export-to">To</label>
+                            <input type="date" id="export-to">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Symbols <small>(none checked = all)</small></label>
+                        <div class="checkbox-group">
+                            ${symbols.map(symbol => `
+                                <label><input type="checkbox" name="export-symbol" value="${ValidationUtils.escapeAttribute(symbol)}"> ${ValidationUtils.sanitizeHtml(symbol)}</label>
+                            `).join('') || '<span class="settings-hint">No closed trades yet</span>'}
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>CSV Columns</label>
+                        <div class="checkbox-group">
+                            ${this.columns.map(column => `
+                                <label><input type="checkbox" name="export-column" value="${column.key}" ${this.selectedColumns.includes(column.key) ? 'checked' : ''}> ${column.label}</label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="settings-actions">
+                        <button class="btn-primary" onclick="tradeExporter.exportFromDialog('csv')">Download CSV</button>
+                        <button class="btn-secondary" onclick="tradeExporter.exportFromDialog('statement')">Open Statement</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Read the dialog filters and run the chosen export
+     */
+    exportFromDialog(format) {
+        const fromValue = document.getElementById('export-from')?.value;
+        const toValue = document.getElementById('export-to')?.value;
+        const checked = (name) => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+
+        const filters = {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+            symbols: checked('export-symbol')
+        };
+
+        if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+            window.app?.showNotification('Export range: "From" is after "To"', 'error');
+            return;
+        }
+
+        if (format === 'csv') {
+            const columns = checked('export-column');
+            if (columns.length === 0) {
+                window.app?.showNotification('Select at least one CSV column', 'error');
+                return;
+            }
+            this.downloadCSV(filters, columns);
+        } else {
+            this.openStatement(filters);
+        }
+    }
+}
+
+// CSV column definitions; amounts are in the account currency, as recorded by PerformanceTracker
+const TRADE_EXPORT_COLUMNS = [
+    { key: 'closeTime', label: 'Close Time', default: true, value: (trade) => new Date(trade.closeTime).toISOString() },
+    { key: 'openTime', label: 'Open Time', default: true, value: (trade) => trade.openTime ? new Date(trade.openTime).toISOString() : '' },
+    { key: 'positionId', label: 'Position ID', default: true, value: (trade) => trade.positionId },
+    { key: 'dealId', label: 'Deal ID', default: false, value: (trade) => trade.dealId },
+    { key: 'symbol', label: 'Symbol', default: true, value: (trade) => trade.symbol },
+    { key: 'side', label: 'Side', default: true, value: (trade) => (trade.side || '').toUpperCase() },
+    { key: 'volume', label: 'Volume (lots)', default: true, value: (trade) => trade.volume },
+    { key: 'entryPrice', label: 'Entry Price', default: true, value: (trade) => trade.entryPrice },
+    { key: 'exitPrice', label: 'Exit Price', default: true, value: (trade) => trade.exitPrice },
+    {
+        key: 'pips',
+        label: 'Pips',
+        default: false,
+        value: (trade) => {
+            if (!trade.entryPrice || !trade.exitPrice) return null;
+            const direction = trade.side === 'sell' ? -1 : 1;
+            return Number(((trade.exitPrice - trade.entryPrice) * direction / symbolRegistry.getPipSize(trade.symbol)).toFixed(1));
+        }
+    },
+    { key: 'grossProfit', label: 'Gross P&L', default: true, value: (trade) => trade.grossProfit },
+    { key: 'commission', label: 'Commission', default: true, value: (trade) => trade.commission },
+    { key: 'swap', label: 'Swap', default: true, value: (trade) => trade.swap },
+    { key: 'fees', label: 'Total Fees', default: false, value: (trade) => (trade.commission || 0) + (trade.swap || 0) },
+    { key: 'netProfit', label: 'Net P&L', default: true, value: (trade) => trade.netProfit },
+    { key: 'currency', label: 'Currency', default: true, value: (trade, context) => context.currency },
+    { key: 'balanceAfter', label: 'Balance After', default: false, value: (trade) => trade.balanceAfter },
+    { key: 'riskAmount', label: 'Initial Risk', default: false, value: (trade) => trade.riskAmount },
+    { key: 'rMultiple', label: 'R Multiple', default: false, value: (trade) => trade.rMultiple === null ? null : Number(trade.rMultiple.toFixed(2)) },
+    { key: 'duration', label: 'Duration (min)', default: false, value: (trade) => trade.duration ? Math.round(trade.duration / 60000) : null }
+];
+
+// Initialize trade exporter
+const tradeExporter = new TradeExporter(tradingEngine.performanceTracker);
@@ -0,0 +1,353 @@
+/**
+ * TradeMaster AI Pro - Streaming Indicators
+ * Incremental indicator calculations: O(1) work per new bar or per update of the forming bar
+ */
+
+/**
+ * Fixed-size FIFO; push() returns the value that fell out, or undefined while filling
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+
+    push(value) {
+        if (this.capacity === 0) return value;
+
+        if (this.size < this.capacity) {
+            this.items[(this.start + this.size) % this.capacity] = value;
+            this.size++;
+            return undefined;
+        }
+
+        const evicted = this.items[this.start];
+        this.items[this.start] = value;
+        this.start = (this.start + 1) % this.capacity;
+        return evicted;
+    }
+
+    isFull() {
+        return this.size === this.capacity;
+    }
+}
+
+/**
+ * Base for streaming calculations over one input per bar.
+ * add(input) starts a new bar, committing the previous bar's last input; update(input)
+ * revises the forming bar. Both return the value for the forming bar. Null inputs
+ * (e.g. before an upstream value is defined) yield null and are never committed.
+ */
+class StreamingCalculation {
+    constructor() {
+        this.pending = null;
+    }
+
+    add(input) {
+        if (this.pending !== null) {
+            this.commit(this.pending);
+        }
+        return this.update(input);
+    }
+
+    update(input) {
+        this.pending = input;
+        return input === null ? null : this.compute(input);
+    }
+}
+
+/**
+ * Simple moving average from a rolling sum of the last `period - 1` committed values
+ */
+class StreamingSma extends StreamingCalculation {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.window = new RingBuffer(period - 1);
+        this.sum = 0;
+    }
+
+    commit(value) {
+        this.sum += value - (this.window.push(value) ?? 0);
+    }
+
+    compute(value) {
+        return this.window.isFull() ? (this.sum + value) / this.period : null;
+    }
+}
+
+/**
+ * Population standard deviation over a rolling window, with Welford's running
+ * mean and sum of squared deviations (values are added and removed as the window moves)
+ */
+class StreamingStdDev extends StreamingCalculation {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.window = new RingBuffer(period - 1);
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    commit(value) {
+        if (this.window.capacity === 0) return;
+
+        const evicted = this.window.push(value);
+        if (evicted !== undefined) {
+            this.remove(evicted);
+        }
+        Object.assign(this, this.include(value));
+    }
+
+    include(value) {
+        const count = this.count + 1;
+        const delta = value - this.mean;
+        const mean = this.mean + delta / count;
+        return { count: count, mean: mean, m2: this.m2 + delta * (value - mean) };
+    }
+
+    remove(value) {
+        if (this.count === 1) {
+            this.count = 0;
+            this.mean = 0;
+            this.m2 = 0;
+            return;
+        }
+
+        const mean = (this.count * this.mean - value) / (this.count - 1);
+        this.m2 -= (value - this.mean) * (value - mean);
+        this.mean = mean;
+        this.count--;
+    }
+
+    compute(value) {
+        if (!this.window.isFull()) return null;
+
+        const { m2 } = this.include(value);
+        return Math.sqrt(Math.max(m2, 0) / this.period);
+    }
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values, like
+ * Indicators.ema. A multiplier of 1 / period gives Wilder's smoothing.
+ */
+class StreamingEma extends StreamingCalculation {
+    constructor(period, multiplier = 2 / (period + 1)) {
+        super();
+        this.period = period;
+        this.multiplier = multiplier;
+        this.count = 0;
+        this.sum = 0;
+        this.ema = null;
+    }
+
+    commit(value) {
+        if (this.count < this.period) {
+            this.sum += value;
+            this.count++;
+            if (this.count === this.period) {
+                this.ema = this.sum / this.period;
+            }
+        } else {
+            this.ema = (value - this.ema) * this.multiplier + this.ema;
+        }
+    }
+
+    compute(value) {
+        if (this.ema !== null) return (value - this.ema) * this.multiplier + this.ema;
+        return this.count === this.period - 1 ? (this.sum + value) / this.period : null;
+    }
+}
+
+class StreamingWilder extends StreamingEma {
+    constructor(period) {
+        super(period, 1 / period);
+    }
+}
+
+/**
+ * Highest (or lowest) of the last `period` values, with a monotonic queue of the
+ * committed window: amortized O(1) per bar
+ */
+class StreamingExtreme extends StreamingCalculation {
+    constructor(period, lowest = false) {
+        super();
+        this.period = period;
+        this.better = lowest ? (a, b) => a <= b : (a, b) => a >= b;
+        this.queue = [];
+        this.head = 0;
+        this.count = 0;
+    }
+
+    commit(value) {
+        while (this.queue.length > this.head && !this.better(this.queue[this.queue.length - 1].value, value)) {
+            this.queue.pop();
+        }
+        this.queue.push({ index: this.count, value: value });
+        this.count++;
+
+        while (this.head < this.queue.length && this.queue[this.head].index <= this.count - this.period) {
+            this.head++;
+        }
+
+        // Drop the consumed front now and then instead of shifting on every bar
+        if (this.head > 64 && this.head * 2 > this.queue.length) {
+            this.queue = this.queue.slice(this.head);
+            this.head = 0;
+        }
+    }
+
+    compute(value) {
+        if (this.count < this.period - 1) return null;
+        if (this.period === 1) return value;
+
+        const front = this.queue[this.head].value;
+        return this.better(front, value) ? front : value;
+    }
+}
+
+/**
+ * Volume-weighted average of the typical price, restarting when `getAnchor(bar.time)` changes
+ */
+class StreamingVwap extends StreamingCalculation {
+    constructor(getAnchor) {
+        super();
+        this.getAnchor = getAnchor;
+        this.anchor = null;
+        this.priceVolume = 0;
+        this.volume = 0;
+    }
+
+    totals(bar) {
+        const volume = bar.tickVolume || 1;
+        const priceVolume = ((bar.high + bar.low + bar.close) / 3) * volume;
+        const anchor = this.getAnchor(bar.time);
+
+        return anchor === this.anchor ?
+            { anchor: anchor, priceVolume: this.priceVolume + priceVolume, volume: this.volume + volume } :
+            { anchor: anchor, priceVolume: priceVolume, volume: volume };
+    }
+
+    commit(bar) {
+        Object.assign(this, this.totals(bar));
+    }
+
+    compute(bar) {
+        const { priceVolume, volume } = this.totals(bar);
+        return priceVolume / volume;
+    }
+}
+
+/**
+ * Parabolic SAR, stepping the same state as Indicators.psar one bar at a time
+ */
+class StreamingPsar extends StreamingCalculation {
+    constructor(step, maxStep) {
+        super();
+        this.step = step;
+        this.maxStep = maxStep;
+        this.state = null;
+        this.next = null;
+        this.previous = null;
+        this.beforePrevious = null;
+    }
+
+    commit(bar) {
+        this.state = this.next;
+        this.beforePrevious = this.previous || bar;
+        this.previous = bar;
+    }
+
+    compute(bar) {
+        const previous = this.previous;
+        if (!previous) return null;
+
+        const beforePrevious = this.beforePrevious;
+        let { rising, sar, extreme, factor } = this.state || {
+            rising: bar.close >= previous.close,
+            sar: bar.close >= previous.close ? previous.low : previous.high,
+            extreme: bar.close >= previous.close ? previous.high : previous.low,
+            factor: this.step
+        };
+
+        sar += factor * (extreme - sar);
+
+        if (rising) {
+            sar = Math.min(sar, previous.low, beforePrevious.low);
+            if (bar.low < sar) {
+                rising = false;
+                sar = extreme;
+                extreme = bar.low;
+                factor = this.step;
+            } else if (bar.high > extreme) {
+                extreme = bar.high;
+                factor = Math.min(factor + this.step, this.maxStep);
+            }
+        } else {
+            sar = Math.max(sar, previous.high, beforePrevious.high);
+            if (bar.high > sar) {
+                rising = true;
+                sar = extreme;
+                extreme = bar.high;
+                factor = this.step;
+            } else if (bar.low < extreme) {
+                extreme = bar.low;
+                factor = Math.min(factor + this.step, this.maxStep);
+            }
+        }
+
+        this.next = { rising: rising, sar: sar, extreme: extreme, factor: factor };
+        return sar;
+    }
+}
+
+/**
+ * Streaming form of an INDICATOR_LIBRARY entry. `calculate(bar, step, previous)` returns
+ * the outputs for the forming bar, calling step ('add' or 'update') on its streaming
+ * calculations; `previous` is the last committed bar. `values` holds one array per
+ * output aligned with the bars, the same series the batch calculate() returns.
+ */
+class IndicatorStream {
+    constructor(calculate) {
+        this.calculate = calculate;
+        this.values = {};
+        this.length = 0;
+        this.last = null;
+        this.previous = null;
+    }
+
+    /**
+     * Start a new bar; the previous bar is final
+     */
+    add(bar) {
+        this.previous = this.last;
+        this.last = { ...bar };
+        this.write(this.length, this.calculate(this.last, 'add', this.previous));
+        this.length++;
+    }
+
+    /**
+     * Revise the forming (last added) bar
+     */
+    update(bar) {
+        this.last = { ...bar };
+        this.write(this.length - 1, this.calculate(this.last, 'update', this.previous));
+    }
+
+    write(index, outputs) {
+        Object.entries(outputs).forEach(([key, value]) => {
+            (this.values[key] = this.values[key] || [])[index] = value;
+        });
+    }
+}
+
+/**
+ * True range of a bar given the previous one (none for the first bar)
+ */
+const getTrueRange = (bar, previous) => previous ?
+    Math.max(bar.high - bar.low, Math.abs(bar.high - previous.close), Math.abs(bar.low - previous.close)) :
+    bar.high - bar.low;
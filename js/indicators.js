@@ -0,0 +1,708 @@
+/**
+ * TradeMaster AI Pro - Technical Indicators
+ * Batch indicator calculations over OHLC bars and the indicator definitions the chart draws
+ */
+
+// Every function returns arrays aligned with its input, null where a value is not defined yet
+const Indicators = {
+    closes: (bars) => bars.map(bar => bar.close),
+
+    /**
+     * Simple moving average; a window containing null yields null
+     */
+    sma: (values, period) => {
+        return values.map((value, i) => {
+            if (i < period - 1) return null;
+
+            let sum = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                if (values[j] === null) return null;
+                sum += values[j];
+            }
+            return sum / period;
+        });
+    },
+
+    /**
+     * Exponential moving average, seeded with the SMA of the first `period` values
+     * (leading nulls are skipped, e.g. for the MACD signal line)
+     */
+    ema: (values, period) => {
+        const result = values.map(() => null);
+        const start = values.findIndex(value => value !== null);
+        if (start < 0 || values.length - start < period) return result;
+
+        const multiplier = 2 / (period + 1);
+        let sum = 0;
+        for (let i = start; i < start + period; i++) {
+            sum += values[i];
+        }
+
+        let ema = sum / period;
+        result[start + period - 1] = ema;
+
+        for (let i = start + period; i < values.length; i++) {
+            ema = (values[i] - ema) * multiplier + ema;
+            result[i] = ema;
+        }
+        return result;
+    },
+
+    /**
+     * Wilder's smoothing (an EMA with alpha 1 / period), seeded with the SMA
+     */
+    wilder: (values, period, start = 0) => {
+        const result = values.map(() => null);
+        if (values.length - start < period) return result;
+
+        let sum = 0;
+        for (let i = start; i < start + period; i++) {
+            sum += values[i];
+        }
+
+        let average = sum / period;
+        result[start + period - 1] = average;
+
+        for (let i = start + period; i < values.length; i++) {
+            average = (average * (period - 1) + values[i]) / period;
+            result[i] = average;
+        }
+        return result;
+    },
+
+    /**
+     * Population standard deviation over a rolling window
+     */
+    stdDev: (values, period) => {
+        const means = Indicators.sma(values, period);
+
+        return values.map((value, i) => {
+            if (means[i] === null) return null;
+
+            let sum = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                sum += (values[j] - means[i]) ** 2;
+            }
+            return Math.sqrt(sum / period);
+        });
+    },
+
+    highest: (values, period) => values.map((value, i) =>
+        i < period - 1 ? null : Math.max(...values.slice(i - period + 1, i + 1))),
+
+    lowest: (values, period) => values.map((value, i) =>
+        i < period - 1 ? null : Math.min(...values.slice(i - period + 1, i + 1))),
+
+    /**
+     * True range; the first bar has no previous close and uses its high-low range
+     */
+    trueRange: (bars) => bars.map((bar, i) => {
+        if (i === 0) return bar.high - bar.low;
+
+        const previousClose = bars[i - 1].close;
+        return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+    }),
+
+    bollinger: (values, period, multiplier) => {
+        const middle = Indicators.sma(values, period);
+        const deviation = Indicators.stdDev(values, period);
+
+        return {
+            upper: middle.map((value, i) => value === null ? null : value + deviation[i] * multiplier),
+            middle: middle,
+            lower: middle.map((value, i) => value === null ? null : value - deviation[i] * multiplier)
+        };
+    },
+
+    /**
+     * Relative Strength Index with Wilder's smoothing
+     */
+    rsi: (values, period) => {
+        const changes = values.map((value, i) => i === 0 ? 0 : value - values[i - 1]);
+        const gains = Indicators.wilder(changes.map(change => Math.max(change, 0)), period, 1);
+        const losses = Indicators.wilder(changes.map(change => Math.max(-change, 0)), period, 1);
+
+        return values.map((value, i) => {
+            if (gains[i] === null) return null;
+            if (losses[i] === 0) return gains[i] === 0 ? 50 : 100;
+            return 100 - 100 / (1 + gains[i] / losses[i]);
+        });
+    },
+
+    macd: (values, fastPeriod, slowPeriod, signalPeriod) => {
+        const fast = Indicators.ema(values, fastPeriod);
+        const slow = Indicators.ema(values, slowPeriod);
+        const macd = values.map((value, i) => fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]);
+        const signal = Indicators.ema(macd, signalPeriod);
+
+        return {
+            macd: macd,
+            signal: signal,
+            histogram: macd.map((value, i) => signal[i] === null ? null : value - signal[i])
+        };
+    },
+
+    /**
+     * Average True Range with Wilder's smoothing
+     */
+    atr: (bars, period) => Indicators.wilder(Indicators.trueRange(bars), period),
+
+    /**
+     * Slow stochastic: %K is the raw value smoothed over `smoothing` bars, %D its SMA
+     */
+    stochastic: (bars, kPeriod, dPeriod, smoothing) => {
+        const highs = Indicators.highest(bars.map(bar => bar.high), kPeriod);
+        const lows = Indicators.lowest(bars.map(bar => bar.low), kPeriod);
+        const raw = bars.map((bar, i) => {
+            if (highs[i] === null) return null;
+            const range = highs[i] - lows[i];
+            return range === 0 ? 50 : ((bar.close - lows[i]) / range) * 100;
+        });
+
+        const k = Indicators.sma(raw, smoothing);
+        return { k: k, d: Indicators.sma(k, dPeriod) };
+    },
+
+    /**
+     * Average Directional Index with the +DI / -DI lines (Wilder)
+     */
+    adx: (bars, period) => {
+        const plusDM = bars.map((bar, i) => {
+            if (i === 0) return 0;
+            const up = bar.high - bars[i - 1].high;
+            const down = bars[i - 1].low - bar.low;
+            return up > down && up > 0 ? up : 0;
+        });
+        const minusDM = bars.map((bar, i) => {
+            if (i === 0) return 0;
+            const up = bar.high - bars[i - 1].high;
+            const down = bars[i - 1].low - bar.low;
+            return down > up && down > 0 ? down : 0;
+        });
+
+        const trueRange = Indicators.wilder(Indicators.trueRange(bars), period, 1);
+        const plusSmoothed = Indicators.wilder(plusDM, period, 1);
+        const minusSmoothed = Indicators.wilder(minusDM, period, 1);
+
+        const plusDI = trueRange.map((tr, i) => tr === null ? null : tr === 0 ? 0 : (plusSmoothed[i] / tr) * 100);
+        const minusDI = trueRange.map((tr, i) => tr === null ? null : tr === 0 ? 0 : (minusSmoothed[i] / tr) * 100);
+        const dx = plusDI.map((plus, i) => {
+            if (plus === null) return null;
+            const total = plus + minusDI[i];
+            return total === 0 ? 0 : (Math.abs(plus - minusDI[i]) / total) * 100;
+        });
+
+        return {
+            adx: Indicators.wilder(dx, period, period),
+            plusDI: plusDI,
+            minusDI: minusDI
+        };
+    },
+
+    /**
+     * Ichimoku lines, unshifted: the chart draws the spans `displacement` bars ahead
+     * and the lagging span `displacement` bars back
+     */
+    ichimoku: (bars, conversionPeriod, basePeriod, spanBPeriod) => {
+        const highs = bars.map(bar => bar.high);
+        const lows = bars.map(bar => bar.low);
+        const midpoint = (period) => {
+            const high = Indicators.highest(highs, period);
+            const low = Indicators.lowest(lows, period);
+            return high.map((value, i) => value === null ? null : (value + low[i]) / 2);
+        };
+
+        const conversion = midpoint(conversionPeriod);
+        const base = midpoint(basePeriod);
+
+        return {
+            conversion: conversion,
+            base: base,
+            spanA: conversion.map((value, i) => value === null || base[i] === null ? null : (value + base[i]) / 2),
+            spanB: midpoint(spanBPeriod),
+            lagging: Indicators.closes(bars)
+        };
+    },
+
+    /**
+     * Volume-weighted average of the typical price, restarting whenever `getAnchor(time)` changes.
+     * Bars without volume count once.
+     */
+    vwap: (bars, getAnchor) => {
+        let anchor = null;
+        let priceVolume = 0;
+        let volume = 0;
+
+        return bars.map(bar => {
+            const barAnchor = getAnchor(bar.time);
+            if (barAnchor !== anchor) {
+                anchor = barAnchor;
+                priceVolume = 0;
+                volume = 0;
+            }
+
+            const barVolume = bar.tickVolume || 1;
+            priceVolume += ((bar.high + bar.low + bar.close) / 3) * barVolume;
+            volume += barVolume;
+            return priceVolume / volume;
+        });
+    },
+
+    /**
+     * Parabolic SAR (Wilder)
+     */
+    psar: (bars, step, maxStep) => {
+        const result = bars.map(() => null);
+        if (bars.length < 2) return result;
+
+        let rising = bars[1].close >= bars[0].close;
+        let sar = rising ? bars[0].low : bars[0].high;
+        let extreme = rising ? bars[0].high : bars[0].low;
+        let factor = step;
+
+        for (let i = 1; i < bars.length; i++) {
+            const bar = bars[i];
+            sar += factor * (extreme - sar);
+
+            if (rising) {
+                // SAR may not move into the previous two bars' range
+                sar = Math.min(sar, bars[i - 1].low, bars[Math.max(i - 2, 0)].low);
+                if (bar.low < sar) {
+                    rising = false;
+                    sar = extreme;
+                    extreme = bar.low;
+                    factor = step;
+                } else if (bar.high > extreme) {
+                    extreme = bar.high;
+                    factor = Math.min(factor + step, maxStep);
+                }
+            } else {
+                sar = Math.max(sar, bars[i - 1].high, bars[Math.max(i - 2, 0)].high);
+                if (bar.high > sar) {
+                    rising = true;
+                    sar = extreme;
+                    extreme = bar.high;
+                    factor = step;
+                } else if (bar.low < extreme) {
+                    extreme = bar.low;
+                    factor = Math.min(factor + step, maxStep);
+                }
+            }
+
+            result[i] = sar;
+        }
+        return result;
+    },
+
+    donchian: (bars, period) => {
+        const upper = Indicators.highest(bars.map(bar => bar.high), period);
+        const lower = Indicators.lowest(bars.map(bar => bar.low), period);
+
+        return {
+            upper: upper,
+            middle: upper.map((value, i) => value === null ? null : (value + lower[i]) / 2),
+            lower: lower
+        };
+    },
+
+    /**
+     * Keltner channel: EMA of the close plus/minus a multiple of the ATR
+     */
+    keltner: (bars, emaPeriod, atrPeriod, multiplier) => {
+        const middle = Indicators.ema(Indicators.closes(bars), emaPeriod);
+        const atr = Indicators.atr(bars, atrPeriod);
+        const band = (sign) => middle.map((value, i) =>
+            value === null || atr[i] === null ? null : value + sign * atr[i] * multiplier);
+
+        return { upper: band(1), middle: middle, lower: band(-1) };
+    }
+};
+
+/**
+ * Indicators the chart can draw. `pane: true` renders below the price chart.
+ *   params:  { name: { label, default, min, max, step } or { label, default, options: { value: label } } }
+ *   outputs: [{ key, label, color, type?: 'bar', dashed?, points?, fill?: relative dataset, fillColor?, shift?(params) in bars }]
+ *   levels:  horizontal reference lines for oscillators
+ * calculate(bars, params) is the batch reference; createStream(params) returns an IndicatorStream
+ * giving the same series incrementally, which the chart uses for live updates.
+ */
+const INDICATOR_LIBRARY = {
+    SMA: {
+        label: 'Simple Moving Average',
+        params: {
+            period: { label: 'Period', default: 20, min: 1, max: 500, step: 1 }
+        },
+        name: (p) => `SMA ${p.period}`,
+        outputs: [{ key: 'value', color: '#f59e0b' }],
+        calculate: (bars, p) => ({ value: Indicators.sma(Indicators.closes(bars), p.period) }),
+        createStream: (p) => {
+            const sma = new StreamingSma(p.period);
+            return new IndicatorStream((bar, step) => ({ value: sma[step](bar.close) }));
+        }
+    },
+
+    EMA: {
+        label: 'Exponential Moving Average',
+        params: {
+            period: { label: 'Period', default: 12, min: 1, max: 500, step: 1 }
+        },
+        name: (p) => `EMA ${p.period}`,
+        outputs: [{ key: 'value', color: '#10b981' }],
+        calculate: (bars, p) => ({ value: Indicators.ema(Indicators.closes(bars), p.period) }),
+        createStream: (p) => {
+            const ema = new StreamingEma(p.period);
+            return new IndicatorStream((bar, step) => ({ value: ema[step](bar.close) }));
+        }
+    },
+
+    BOLLINGER: {
+        label: 'Bollinger Bands',
+        params: {
+            period: { label: 'Period', default: 20, min: 2, max: 500, step: 1 },
+            multiplier: { label: 'Std. deviations', default: 2, min: 0.1, max: 10, step: 0.1 }
+        },
+        name: (p) => `BB ${p.period},${p.multiplier}`,
+        outputs: [
+            { key: 'upper', label: 'Upper', color: '#ef4444' },
+            { key: 'middle', label: 'Middle', color: '#ef4444', dashed: true },
+            { key: 'lower', label: 'Lower', color: '#ef4444', fill: '-2', fillColor: 'rgba(239, 68, 68, 0.1)' }
+        ],
+        calculate: (bars, p) => Indicators.bollinger(Indicators.closes(bars), p.period, p.multiplier),
+        createStream: (p) => {
+            const sma = new StreamingSma(p.period);
+            const deviation = new StreamingStdDev(p.period);
+            return new IndicatorStream((bar, step) => {
+                const middle = sma[step](bar.close);
+                const band = deviation[step](bar.close) * p.multiplier;
+                return {
+                    upper: middle === null ? null : middle + band,
+                    middle: middle,
+                    lower: middle === null ? null : middle - band
+                };
+            });
+        }
+    },
+
+    ICHIMOKU: {
+        label: 'Ichimoku Cloud',
+        params: {
+            conversionPeriod: { label: 'Conversion', default: 9, min: 1, max: 200, step: 1 },
+            basePeriod: { label: 'Base', default: 26, min: 1, max: 200, step: 1 },
+            spanBPeriod: { label: 'Span B', default: 52, min: 1, max: 400, step: 1 },
+            displacement: { label: 'Displacement', default: 26, min: 1, max: 200, step: 1 }
+        },
+        name: (p) => `Ichimoku ${p.conversionPeriod},${p.basePeriod},${p.spanBPeriod}`,
+        outputs: [
+            { key: 'conversion', label: 'Conversion', color: '#3b82f6' },
+            { key: 'base', label: 'Base', color: '#b91c1c' },
+            { key: 'spanA', label: 'Span A', color: '#16a34a', shift: (p) => p.displacement },
+            { key: 'spanB', label: 'Span B', color: '#dc2626', shift: (p) => p.displacement, fill: '-1', fillColor: 'rgba(22, 163, 74, 0.1)' },
+            { key: 'lagging', label: 'Lagging', color: '#a855f7', dashed: true, shift: (p) => -p.displacement }
+        ],
+        calculate: (bars, p) => Indicators.ichimoku(bars, p.conversionPeriod, p.basePeriod, p.spanBPeriod),
+        createStream: (p) => {
+            const midpoint = (period) => {
+                const highest = new StreamingExtreme(period);
+                const lowest = new StreamingExtreme(period, true);
+                return (bar, step) => {
+                    const high = highest[step](bar.high);
+                    const low = lowest[step](bar.low);
+                    return high === null ? null : (high + low) / 2;
+                };
+            };
+            const conversionLine = midpoint(p.conversionPeriod);
+            const baseLine = midpoint(p.basePeriod);
+            const spanBLine = midpoint(p.spanBPeriod);
+
+            return new IndicatorStream((bar, step) => {
+                const conversion = conversionLine(bar, step);
+                const base = baseLine(bar, step);
+                return {
+                    conversion: conversion,
+                    base: base,
+                    spanA: conversion === null || base === null ? null : (conversion + base) / 2,
+                    spanB: spanBLine(bar, step),
+                    lagging: bar.close
+                };
+            });
+        }
+    },
+
+    VWAP: {
+        label: 'VWAP',
+        params: {
+            anchor: { label: 'Anchor', default: 'D1', options: { D1: 'Session', W1: 'Week' } }
+        },
+        name: (p) => `VWAP ${p.anchor === 'W1' ? 'Week' : 'Session'}`,
+        outputs: [{ key: 'value', color: '#0ea5e9' }],
+        calculate: (bars, p) => {
+            // Sessions follow broker server time, like the bars
+            const sessions = new BarAggregator(p.anchor);
+            return { value: Indicators.vwap(bars, time => sessions.getBarStart(time)) };
+        },
+        createStream: (p) => {
+            const sessions = new BarAggregator(p.anchor);
+            const vwap = new StreamingVwap(time => sessions.getBarStart(time));
+            return new IndicatorStream((bar, step) => ({ value: vwap[step](bar) }));
+        }
+    },
+
+    PSAR: {
+        label: 'Parabolic SAR',
+        params: {
+            step: { label: 'Step', default: 0.02, min: 0.001, max: 1, step: 0.001 },
+            maxStep: { label: 'Maximum', default: 0.2, min: 0.01, max: 1, step: 0.01 }
+        },
+        name: (p) => `SAR ${p.step},${p.maxStep}`,
+        outputs: [{ key: 'value', color: '#8b5cf6', points: true }],
+        calculate: (bars, p) => ({ value: Indicators.psar(bars, p.step, p.maxStep) }),
+        createStream: (p) => {
+            const psar = new StreamingPsar(p.step, p.maxStep);
+            return new IndicatorStream((bar, step) => ({ value: psar[step](bar) }));
+        }
+    },
+
+    DONCHIAN: {
+        label: 'Donchian Channels',
+        params: {
+            period: { label: 'Period', default: 20, min: 1, max: 500, step: 1 }
+        },
+        name: (p) => `Donchian ${p.period}`,
+        outputs: [
+            { key: 'upper', label: 'Upper', color: '#14b8a6' },
+            { key: 'middle', label: 'Middle', color: '#14b8a6', dashed: true },
+            { key: 'lower', label: 'Lower', color: '#14b8a6', fill: '-2', fillColor: 'rgba(20, 184, 166, 0.08)' }
+        ],
+        calculate: (bars, p) => Indicators.donchian(bars, p.period),
+        createStream: (p) => {
+            const highest = new StreamingExtreme(p.period);
+            const lowest = new StreamingExtreme(p.period, true);
+            return new IndicatorStream((bar, step) => {
+                const upper = highest[step](bar.high);
+                const lower = lowest[step](bar.low);
+                return { upper: upper, middle: upper === null ? null : (upper + lower) / 2, lower: lower };
+            });
+        }
+    },
+
+    KELTNER: {
+        label: 'Keltner Channels',
+        params: {
+            emaPeriod: { label: 'EMA period', default: 20, min: 1, max: 500, step: 1 },
+            atrPeriod: { label: 'ATR period', default: 10, min: 1, max: 500, step: 1 },
+            multiplier: { label: 'ATR multiplier', default: 2, min: 0.1, max: 10, step: 0.1 }
+        },
+        name: (p) => `Keltner ${p.emaPeriod},${p.atrPeriod},${p.multiplier}`,
+        outputs: [
+            { key: 'upper', label: 'Upper', color: '#d946ef' },
+            { key: 'middle', label: 'Middle', color: '#d946ef', dashed: true },
+            { key: 'lower', label: 'Lower', color: '#d946ef', fill: '-2', fillColor: 'rgba(217, 70, 239, 0.08)' }
+        ],
+        calculate: (bars, p) => Indicators.keltner(bars, p.emaPeriod, p.atrPeriod, p.multiplier),
+        createStream: (p) => {
+            const ema = new StreamingEma(p.emaPeriod);
+            const atr = new StreamingWilder(p.atrPeriod);
+            return new IndicatorStream((bar, step, previous) => {
+                const middle = ema[step](bar.close);
+                const range = atr[step](getTrueRange(bar, previous));
+                const band = (sign) => middle === null || range === null ? null : middle + sign * range * p.multiplier;
+                return { upper: band(1), middle: middle, lower: band(-1) };
+            });
+        }
+    },
+
+    RSI: {
+        label: 'Relative Strength Index',
+        pane: true,
+        range: { min: 0, max: 100 },
+        levels: [30, 70],
+        params: {
+            period: { label: 'Period', default: 14, min: 2, max: 200, step: 1 }
+        },
+        name: (p) => `RSI ${p.period}`,
+        outputs: [{ key: 'value', color: '#8b5cf6' }],
+        calculate: (bars, p) => ({ value: Indicators.rsi(Indicators.closes(bars), p.period) }),
+        createStream: (p) => {
+            const gains = new StreamingWilder(p.period);
+            const losses = new StreamingWilder(p.period);
+            return new IndicatorStream((bar, step, previous) => {
+                const change = previous ? bar.close - previous.close : null;
+                const gain = gains[step](change === null ? null : Math.max(change, 0));
+                const loss = losses[step](change === null ? null : Math.max(-change, 0));
+
+                if (gain === null) return { value: null };
+                if (loss === 0) return { value: gain === 0 ? 50 : 100 };
+                return { value: 100 - 100 / (1 + gain / loss) };
+            });
+        }
+    },
+
+    MACD: {
+        label: 'MACD',
+        pane: true,
+        levels: [0],
+        params: {
+            fastPeriod: { label: 'Fast', default: 12, min: 1, max: 200, step: 1 },
+            slowPeriod: { label: 'Slow', default: 26, min: 2, max: 400, step: 1 },
+            signalPeriod: { label: 'Signal', default: 9, min: 1, max: 200, step: 1 }
+        },
+        name: (p) => `MACD ${p.fastPeriod},${p.slowPeriod},${p.signalPeriod}`,
+        outputs: [
+            { key: 'histogram', label: 'Histogram', color: 'rgba(100, 116, 139, 0.5)', type: 'bar' },
+            { key: 'macd', label: 'MACD', color: '#3b82f6' },
+            { key: 'signal', label: 'Signal', color: '#f97316' }
+        ],
+        calculate: (bars, p) => Indicators.macd(Indicators.closes(bars), p.fastPeriod, p.slowPeriod, p.signalPeriod),
+        createStream: (p) => {
+            const fast = new StreamingEma(p.fastPeriod);
+            const slow = new StreamingEma(p.slowPeriod);
+            const signalLine = new StreamingEma(p.signalPeriod);
+            return new IndicatorStream((bar, step) => {
+                const fastValue = fast[step](bar.close);
+                const slowValue = slow[step](bar.close);
+                const macd = fastValue === null || slowValue === null ? null : fastValue - slowValue;
+                const signal = signalLine[step](macd);
+                return { macd: macd, signal: signal, histogram: signal === null ? null : macd - signal };
+            });
+        }
+    },
+
+    ATR: {
+        label: 'Average True Range',
+        pane: true,
+        params: {
+            period: { label: 'Period', default: 14, min: 1, max: 200, step: 1 }
+        },
+        name: (p) => `ATR ${p.period}`,
+        outputs: [{ key: 'value', color: '#64748b' }],
+        calculate: (bars, p) => ({ value: Indicators.atr(bars, p.period) }),
+        createStream: (p) => {
+            const atr = new StreamingWilder(p.period);
+            return new IndicatorStream((bar, step, previous) => ({ value: atr[step](getTrueRange(bar, previous)) }));
+        }
+    },
+
+    STOCHASTIC: {
+        label: 'Stochastic Oscillator',
+        pane: true,
+        range: { min: 0, max: 100 },
+        levels: [20, 80],
+        params: {
+            kPeriod: { label: '%K period', default: 14, min: 1, max: 200, step: 1 },
+            dPeriod: { label: '%D period', default: 3, min: 1, max: 50, step: 1 },
+            smoothing: { label: 'Smoothing', default: 3, min: 1, max: 50, step: 1 }
+        },
+        name: (p) => `Stoch ${p.kPeriod},${p.dPeriod},${p.smoothing}`,
+        outputs: [
+            { key: 'k', label: '%K', color: '#3b82f6' },
+            { key: 'd', label: '%D', color: '#f97316' }
+        ],
+        calculate: (bars, p) => Indicators.stochastic(bars, p.kPeriod, p.dPeriod, p.smoothing),
+        createStream: (p) => {
+            const highest = new StreamingExtreme(p.kPeriod);
+            const lowest = new StreamingExtreme(p.kPeriod, true);
+            const kLine = new StreamingSma(p.smoothing);
+            const dLine = new StreamingSma(p.dPeriod);
+            return new IndicatorStream((bar, step) => {
+                const high = highest[step](bar.high);
+                const low = lowest[step](bar.low);
+                const raw = high === null ? null : high === low ? 50 : ((bar.close - low) / (high - low)) * 100;
+                const k = kLine[step](raw);
+                return { k: k, d: dLine[step](k) };
+            });
+        }
+    },
+
+    ADX: {
+        label: 'Average Directional Index',
+        pane: true,
+        levels: [25],
+        params: {
+            period: { label: 'Period', default: 14, min: 2, max: 200, step: 1 }
+        },
+        name: (p) => `ADX ${p.period}`,
+        outputs: [
+            { key: 'adx', label: 'ADX', color: '#0f172a' },
+            { key: 'plusDI', label: '+DI', color: '#10b981' },
+            { key: 'minusDI', label: '-DI', color: '#ef4444' }
+        ],
+        calculate: (bars, p) => Indicators.adx(bars, p.period),
+        createStream: (p) => {
+            const trueRange = new StreamingWilder(p.period);
+            const plusSmoothed = new StreamingWilder(p.period);
+            const minusSmoothed = new StreamingWilder(p.period);
+            const adxLine = new StreamingWilder(p.period);
+            return new IndicatorStream((bar, step, previous) => {
+                // The first bar has no directional movement and is skipped, as in the batch version
+                const up = previous ? bar.high - previous.high : 0;
+                const down = previous ? previous.low - bar.low : 0;
+                const tr = trueRange[step](previous ? getTrueRange(bar, previous) : null);
+                const plus = plusSmoothed[step](previous ? (up > down && up > 0 ? up : 0) : null);
+                const minus = minusSmoothed[step](previous ? (down > up && down > 0 ? down : 0) : null);
+
+                if (tr === null) return { adx: null, plusDI: null, minusDI: null };
+
+                const plusDI = tr === 0 ? 0 : (plus / tr) * 100;
+                const minusDI = tr === 0 ? 0 : (minus / tr) * 100;
+                const total = plusDI + minusDI;
+                const dx = total === 0 ? 0 : (Math.abs(plusDI - minusDI) / total) * 100;
+                return { adx: adxLine[step](dx), plusDI: plusDI, minusDI: minusDI };
+            });
+        }
+    }
+};
+
+/**
+ * Parameters of an indicator with `overrides` applied; invalid overrides fall back to the default
+ */
+const resolveIndicatorParams = (key, overrides = {}) => {
+    const definition = INDICATOR_LIBRARY[key];
+
+    return Object.fromEntries(Object.entries(definition.params).map(([name, param]) => {
+        const value = overrides[name];
+
+        if (param.options) {
+            return [name, Object.hasOwn(param.options, value) ? value : param.default];
+        }
+
+        const valid = typeof value === 'number' && value >= param.min && value <= param.max &&
+            (param.step !== 1 || Number.isInteger(value));
+        return [name, valid ? value : param.default];
+    }));
+};
+
+/**
+ * Compare every indicator's stream with its batch calculation over recorded bars (e.g. from
+ * marketData.getBars). Each bar is streamed as it would form live: opened, revised, then closed.
+ * Returns the mismatches, [{ indicator, output, index, batch, stream }], empty when they agree.
+ * `npm run test:indicators` runs it over test/fixtures/bars-m5.json or a given bar file.
+ */
+const verifyIndicatorStreams = (bars, tolerance = 1e-9) => {
+    const mismatches = [];
+
+    Object.entries(INDICATOR_LIBRARY).forEach(([key, definition]) => {
+        const params = resolveIndicatorParams(key);
+        const expected = definition.calculate(bars, params);
+        const stream = definition.createStream(params);
+
+        bars.forEach(bar => {
+            stream.add({ ...bar, high: bar.open, low: bar.open, close: bar.open, tickVolume: 1 });
+            stream.update({ ...bar, close: (bar.high + bar.low) / 2 });
+            stream.update(bar);
+        });
+
+        definition.outputs.forEach(({ key: output }) => {
+            expected[output].forEach((batch, index) => {
+                const value = stream.values[output][index];
+                const agrees = batch === null ? value === null :
+                    value !== null && Math.abs(value - batch) <= tolerance * Math.max(1, Math.abs(batch));
+
+                if (!agrees) {
+                    mismatches.push({ indicator: key, output: output, index: index, batch: batch, stream: value });
+                }
+            });
+        });
+    });
+
+    return mismatches;
+};
@@ -0,0 +1,479 @@
+/**
+ * TradeMaster AI Pro - Trade Journal
+ * Notes, tags, ratings and chart snapshots per position, persisted in IndexedDB
+ */
+
+class TradeJournal {
+    constructor(engine) {
+        this.engine = engine;
+        this.tracker = engine.performanceTracker;
+        this.storage = new IndexedDBStorage(CONFIG.JOURNAL.DB_NAME, JOURNAL_MIGRATIONS);
+        this.entries = new Map();
+        this.currentPositionId = null;
+        this.modal = null;
+
+        this.init();
+    }
+
+    /**
+     * Open the database, load entries and wire up capture events and the modal
+     */
+    async init() {
+        this.modal = document.getElementById('journal-modal');
+        this.setupEventHandlers();
+        this.populateTagSuggestions();
+
+        // Chart snapshots at entry and at each close
+        document.addEventListener('positionOpened', (e) => {
+            this.captureSnapshot(e.detail.position, 'entry');
+        });
+
+        document.addEventListener('tradeRecorded', (e) => {
+            if (e.detail.isNew) {
+                this.captureSnapshot(e.detail.record, 'exit', e.detail.record.id);
+            }
+            if (this.isOpen()) {
+                this.renderList();
+            }
+        });
+
+        document.addEventListener('tradeHistoryLoaded', () => {
+            if (this.isOpen()) {
+                this.renderList();
+            }
+        });
+
+        // Snapshots are the bulk of the journal; the oldest go first when storage is full
+        this.storage.onQuotaExceeded('snapshots', storage =>
+            storage.prune('snapshots', 'capturedAt', CONFIG.JOURNAL.QUOTA_KEEP_SNAPSHOTS));
+
+        if (await this.storage.isAvailable()) {
+            await this.loadEntries();
+            Logger.info(`Trade journal loaded with ${this.entries.size} entries`);
+        } else {
+            // Private browsing or blocked storage: keep working in memory for this session
+            Logger.warn('Trade journal storage unavailable, entries will not persist');
+        }
+
+        this.emitUpdate();
+    }
+
+    /**
+     * Load every journal entry into memory (entries are small; snapshots stay in the database)
+     */
+    async loadEntries() {
+        const entries = await this.storage.getAll('entries');
+        entries.forEach(entry => {
+            if (!this.entries.has(entry.positionId)) this.entries.set(entry.positionId, entry);
+        });
+    }
+
+    /**
+     * Journal entry for a position, or null if it has not been journaled
+     */
+    getEntry(positionId) {
+        return this.entries.get(positionId) || null;
+    }
+
+    /**
+     * Create or update the entry for a position
+     */
+    async saveEntry(positionId, updates) {
+        const trade = this.getTrades().find(item => String(item.positionId) === String(positionId));
+        const existing = this.getEntry(positionId);
+        const now = Date.now();
+
+        const entry = {
+            positionId: positionId,
+            symbol: existing?.symbol || trade?.symbol || null,
+            side: existing?.side || trade?.side || null,
+            notes: '',
+            rating: 0,
+            setupTags: [],
+            emotionTags: [],
+            mistakeTags: [],
+            createdAt: now,
+            ...existing,
+            ...updates,
+            updatedAt: now
+        };
+
+        entry.setupTags = this.normalizeTags(entry.setupTags);
+        entry.emotionTags = this.normalizeTags(entry.emotionTags);
+        entry.mistakeTags = this.normalizeTags(entry.mistakeTags);
+        entry.rating = Math.max(0, Math.min(5, parseInt(entry.rating) || 0));
+        entry.tags = [...new Set([...entry.setupTags, ...entry.emotionTags, ...entry.mistakeTags])];
+
+        this.entries.set(positionId, entry);
+
+        try {
+            await this.storage.put('entries', entry);
+        } catch (error) {
+            Logger.error('Failed to save journal entry:', error);
+            throw error;
+        } finally {
+            this.emitUpdate();
+        }
+
+        return entry;
+    }
+
+    /**
+     * Lowercase, trimmed, de-duplicated tags from an array or comma-separated string
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+
+        return [...new Set(list
+            .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+            .filter(Boolean))];
+    }
+
+    /**
+     * Every tag used in the journal, sorted
+     */
+    getAllTags() {
+        const tags = new Set();
+        this.entries.forEach(entry => (entry.tags || []).forEach(tag => tags.add(tag)));
+
+        return [...tags].sort();
+    }
+
+    /**
+     * Tags of the position a closed-trade record belongs to
+     */
+    getTagsForTrade(record) {
+        return this.getEntry(record.positionId)?.tags || [];
+    }
+
+    /**
+     * Store a PNG of the price chart for a position (entry) or a close record (exit).
+     * Skipped when the chart shows another symbol, since the picture would not be of this trade.
+     */
+    async captureSnapshot(trade, phase, tradeId = null) {
+        const canvas = document.getElementById('price-chart');
+        if (!canvas || typeof canvas.toDataURL !== 'function') return null;
+
+        const positionId = trade.positionId || trade.id;
+        if (chartManager.currentSymbol !== trade.symbol) {
+            Logger.debug(`Chart shows ${chartManager.currentSymbol}, skipping ${phase} snapshot for ${trade.symbol}`);
+            return null;
+        }
+
+        const snapshot = {
+            id: phase === 'entry' ? `${positionId}:entry` : `${tradeId}:exit`,
+            positionId: positionId,
+            tradeId: tradeId,
+            phase: phase,
+            symbol: trade.symbol,
+            timeframe: chartManager.currentTimeframe,
+            image: canvas.toDataURL(CONFIG.JOURNAL.SNAPSHOT_TYPE),
+            capturedAt: Date.now()
+        };
+
+        try {
+            await this.storage.put('snapshots', snapshot);
+            return snapshot;
+        } catch (error) {
+            // Quota errors land here; the trade itself is unaffected
+            Logger.warn(`Failed to store ${phase} snapshot for ${positionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Snapshots of a position, entry first then exits in time order
+     */
+    async getSnapshots(positionId) {
+        const snapshots = await this.storage.getAll('snapshots', { index: 'positionId', query: positionId });
+
+        return snapshots.sort((a, b) =>
+            (a.phase === 'entry' ? 0 : 1) - (b.phase === 'entry' ? 0 : 1) || a.capturedAt - b.capturedAt);
+    }
+
+    /**
+     * Closed-trade records grouped by position (partial closes roll up), newest first
+     */
+    getTrades() {
+        const positions = new Map();
+
+        this.tracker.getClosedTrades().forEach(record => {
+            const trade = positions.get(record.positionId) || {
+                positionId: record.positionId,
+                symbol: record.symbol,
+                side: record.side,
+                openTime: record.openTime,
+                closeTime: record.closeTime,
+                netProfit: 0,
+                records: []
+            };
+
+            trade.netProfit += record.netProfit;
+            trade.closeTime = Math.max(trade.closeTime, record.closeTime);
+            trade.records.push(record);
+            positions.set(record.positionId, trade);
+        });
+
+        return [...positions.values()]
+            .map(trade => ({ ...trade, entry: this.getEntry(trade.positionId) }))
+            .sort((a, b) => b.closeTime - a.closeTime);
+    }
+
+    /**
+     * Trades matching free text (symbol, notes, tags), a tag and a minimum rating
+     */
+    search({ text = '', tag = '', minRating = 0 } = {}) {
+        const query = text.trim().toLowerCase();
+
+        return this.getTrades().filter(trade => {
+            const entry = trade.entry;
+
+            if (tag && !(entry?.tags || []).includes(tag)) return false;
+            if (minRating > 0 && (entry?.rating || 0) < minRating) return false;
+            if (!query) return true;
+
+            const haystack = [trade.symbol, trade.side, entry?.notes, ...(entry?.tags || [])]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+
+            return haystack.includes(query);
+        });
+    }
+
+    /**
+     * Notify the analytics dashboard that tags may have changed
+     */
+    emitUpdate() {
+        document.dispatchEvent(new CustomEvent('journalUpdated', {
+            detail: { tags: this.getAllTags() }
+        }));
+    }
+
+    /**
+     * Bind modal controls
+     */
+    setupEventHandlers() {
+        document.getElementById('journal-toggle')?.addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('close-journal-modal')?.addEventListener('click', () => {
+            this.modal?.classList.add('hidden');
+        });
+
+        ['journal-search', 'journal-tag-filter', 'journal-rating-filter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                this.renderList();
+            });
+        });
+
+        document.getElementById('journal-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.journal-item');
+            if (item) {
+                this.openEditor(item.dataset.positionId);
+            }
+        });
+
+        document.getElementById('journal-back')?.addEventListener('click', () => {
+            this.closeEditor();
+        });
+
+        document.getElementById('journal-save')?.addEventListener('click', () => {
+            this.saveEditor();
+        });
+    }
+
+    /**
+     * Whether the journal modal is visible
+     */
+    isOpen() {
+        return !!this.modal && !this.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Show the journal list
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('hidden');
+        this.closeEditor();
+    }
+
+    /**
+     * Offer the configured tags as autocomplete options
+     */
+    populateTagSuggestions() {
+        const datalist = document.getElementById('journal-tag-suggestions');
+        if (!datalist) return;
+
+        const { SETUP_TAGS, EMOTION_TAGS, MISTAKE_TAGS } = CONFIG.JOURNAL;
+        datalist.innerHTML = [...SETUP_TAGS, ...EMOTION_TAGS, ...MISTAKE_TAGS]
+            .map(tag => `<option value="${tag}">`)
+            .join('');
+    }
+
+    /**
+     * Refresh the tag filter options, keeping the current selection
+     */
+    updateTagFilter() {
+        const select = document.getElementById('journal-tag-filter');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '<option value="">All tags</option>' +
+            this.getAllTags().map(tag =>
+                `<option value="${ValidationUtils.escapeAttribute(tag)}">${ValidationUtils.sanitizeHtml(tag)}</option>`
+            ).join('');
+        select.value = this.getAllTags().includes(current) ? current : '';
+    }
+
+    /**
+     * Render the filtered trade list
+     */
+    renderList() {
+        const list = document.getElementById('journal-list');
+        if (!list) return;
+
+        this.updateTagFilter();
+
+        const trades = this.search({
+            text: document.getElementById('journal-search')?.value || '',
+            tag: document.getElementById('journal-tag-filter')?.value || '',
+            minRating: parseInt(document.getElementById('journal-rating-filter')?.value) || 0
+        });
+
+        if (trades.length === 0) {
+            list.innerHTML = '<p class="journal-empty">No trades match.</p>';
+            return;
+        }
+
+        const currency = currencyConverter.getAccountCurrency();
+
+        list.innerHTML = trades.map(trade => {
+            const entry = trade.entry;
+            const notes = entry?.notes ? ValidationUtils.sanitizeHtml(entry.notes.slice(0, 120)) : '<em>Not journaled</em>';
+            const tags = (entry?.tags || []).map(tag => `<span class="journal-tag">${ValidationUtils.sanitizeHtml(tag)}</span>`).join('');
+
+            return `
+                <div class="journal-item" data-position-id="${ValidationUtils.escapeAttribute(trade.positionId)}">
+                    <div class="journal-item-header">
+                        <span class="journal-symbol">${ValidationUtils.sanitizeHtml(`${trade.symbol} ${trade.side.toUpperCase()}`)}</span>
+                        <span class="journal-rating">${this.formatRating(entry?.rating)}</span>
+                        <span class="journal-pnl ${trade.netProfit >= 0 ? 'positive' : 'negative'}">
+                            ${NumberUtils.formatCurrency(trade.netProfit, currency)}
+                        </span>
+                    </div>
+                    <div class="journal-item-meta">${DateUtils.formatTime(trade.closeTime, true)}</div>
+                    <div class="journal-notes">${notes}</div>
+                    <div class="journal-tags">${tags}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the editor for a position's entry
+     */
+    async openEditor(positionId) {
+        // Called with the list item's data attribute, which is always a string
+        const trade = this.getTrades().find(item => String(item.positionId) === String(positionId));
+        if (!trade) return;
+
+        this.currentPositionId = trade.positionId;
+        const entry = trade.entry || {};
+
+        document.getElementById('journal-editor-title').textContent =
+            `${trade.symbol} ${trade.side.toUpperCase()} · ${DateUtils.formatTime(trade.closeTime, true)}`;
+        document.getElementById('journal-notes').value = entry.notes || '';
+        document.getElementById('journal-setup-tags').value = (entry.setupTags || []).join(', ');
+        document.getElementById('journal-emotion-tags').value = (entry.emotionTags || []).join(', ');
+        document.getElementById('journal-mistake-tags').value = (entry.mistakeTags || []).join(', ');
+        document.getElementById('journal-rating').value = entry.rating || 0;
+
+        document.getElementById('journal-list-view').classList.add('hidden');
+        document.getElementById('journal-editor').classList.remove('hidden');
+
+        const container = document.getElementById('journal-snapshots');
+        container.innerHTML = '';
+
+        try {
+            const snapshots = (await this.getSnapshots(trade.positionId))
+                .filter(snapshot => SNAPSHOT_IMAGE_PATTERN.test(snapshot.image));
+            container.innerHTML = snapshots.length === 0 ?
+                '<p class="journal-empty">No chart snapshots for this trade.</p>' :
+                snapshots.map(snapshot => `
+                    <figure class="journal-snapshot">
+                        <img src="${ValidationUtils.escapeAttribute(snapshot.image)}" alt="${ValidationUtils.escapeAttribute(snapshot.phase)} snapshot">
+                        <figcaption>${snapshot.phase === 'entry' ? 'Entry' : 'Exit'} · ${ValidationUtils.sanitizeHtml(snapshot.timeframe)} · ${DateUtils.formatTime(snapshot.capturedAt)}</figcaption>
+                    </figure>
+                `).join('');
+        } catch (error) {
+            Logger.error('Failed to load journal snapshots:', error);
+        }
+    }
+
+    /**
+     * Back to the list
+     */
+    closeEditor() {
+        this.currentPositionId = null;
+        document.getElementById('journal-editor')?.classList.add('hidden');
+        document.getElementById('journal-list-view')?.classList.remove('hidden');
+        this.renderList();
+    }
+
+    /**
+     * Persist the editor fields
+     */
+    async saveEditor() {
+        if (!this.currentPositionId) return;
+
+        try {
+            await this.saveEntry(this.currentPositionId, {
+                notes: document.getElementById('journal-notes').value.trim(),
+                setupTags: document.getElementById('journal-setup-tags').value,
+                emotionTags: document.getElementById('journal-emotion-tags').value,
+                mistakeTags: document.getElementById('journal-mistake-tags').value,
+                rating: document.getElementById('journal-rating').value
+            });
+
+            this.engine.showTradeSuccess('Journal entry saved');
+            this.closeEditor();
+        } catch (error) {
+            this.engine.showTradeError(`Journal entry not saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * Star string for a 0-5 rating
+     */
+    formatRating(rating = 0) {
+        return rating > 0 ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '';
+    }
+}
+
+// Snapshots are rendered as <img src>, so only inline raster images are accepted
+const SNAPSHOT_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+// Journal database schema; append a migration for every change
+const JOURNAL_MIGRATIONS = [
+    // v1: entries by position, chart snapshots by position
+    (db) => {
+        const entries = db.createObjectStore('entries', { keyPath: 'positionId' });
+        entries.createIndex('symbol', 'symbol');
+        entries.createIndex('updatedAt', 'updatedAt');
+        entries.createIndex('tags', 'tags', { multiEntry: true });
+
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+        snapshots.createIndex('positionId', 'positionId');
+    },
+    // v2: capture-time index so quota pruning can drop the oldest snapshots
+    (db, transaction) => {
+        transaction.objectStore('snapshots').createIndex('capturedAt', 'capturedAt');
+    }
+];
+
+// Initialize trade journal
+const tradeJournal = new TradeJournal(tradingEngine);
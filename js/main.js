@@ -75,10 +75,7 @@ class TradeMasterApp {
             this.setupPeriodicTasks();
             
             // Load user settings
-            this.loadUserSettings();
-            
-            // Initialize watchlist
-            this.initializeWatchlist();
+            await this.loadUserSettings();
             
             // Connect to cTrader
             await this.connectTocTrader();
@@ -162,6 +159,11 @@ class TradeMasterApp {
             });
         }
         
+        // Theme setting (toggle button, settings modal, profile or import)
+        settingsStore.subscribe('theme', (theme) => {
+            this.applyTheme(theme);
+        });
+        
         // Settings toggle
         const settingsToggle = document.getElementById('settings-toggle');
         if (settingsToggle) {
@@ -231,7 +233,7 @@ class TradeMasterApp {
     setupPeriodicTasks() {
         // Clear expired cache every 5 minutes
         setInterval(() => {
-            StorageUtils.clearExpired();
+            appStorage.clearExpired();
         }, 5 * 60 * 1000);
         
         // Performance monitoring every minute
@@ -286,37 +288,6 @@ class TradeMasterApp {
         }
     }
     
-    /**
-     * Initialize watchlist with default symbols
-     */
-    initializeWatchlist() {
-        const watchlistContainer = document.getElementById('watchlist');
-        if (!watchlistContainer) return;
-        
-        const defaultSymbols = CONFIG.WATCHLIST.DEFAULT_SYMBOLS;
-        
-        watchlistContainer.innerHTML = defaultSymbols.map(symbol => `
-            <div class="watchlist-item" data-symbol="${symbol}">
-                <div class="symbol-info">
-                    <span class="symbol-name">${symbol}</span>
-                    <span class="symbol-price">Loading...</span>
-                </div>
-                <div class="symbol-change">--</div>
-            </div>
-        `).join('');
-        
-        // Add click handlers
-        watchlistContainer.addEventListener('click', (e) => {
-            const item = e.target.closest('.watchlist-item');
-            if (item) {
-                const symbol = item.dataset.symbol;
-                this.changeSymbol(symbol);
-            }
-        });
-        
-        Logger.info(`Initialized watchlist with ${defaultSymbols.length} symbols`);
-    }
-    
     /**
      * Change active symbol
      */
@@ -348,7 +319,7 @@ class TradeMasterApp {
             this.updateWatchlistSelection(symbol);
             
             // Save setting
-            StorageUtils.setItem('current_symbol', symbol);
+            appStorage.setItem('current_symbol', symbol);
             
         } catch (error) {
             Logger.error('Symbol change failed:', error);
@@ -411,16 +382,20 @@ class TradeMasterApp {
      * Toggle application theme
      */
     toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        
-        document.documentElement.setAttribute('data-theme', newTheme);
-        this.currentTheme = newTheme;
+        settingsStore.set('theme', this.currentTheme === 'dark' ? 'light' : 'dark');
+    }
+    
+    /**
+     * Apply a theme to the document and notify components
+     */
+    applyTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        this.currentTheme = theme;
         
         // Update theme toggle icon
         const themeIcon = document.querySelector('#theme-toggle i');
         if (themeIcon) {
-            themeIcon.className = newTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+            themeIcon.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
         }
         
         // Update chart theme
@@ -428,15 +403,12 @@ class TradeMasterApp {
             this.components.chartManager.updateChartTheme();
         }
         
-        // Save setting
-        StorageUtils.setItem('theme', newTheme);
-        
         // Emit theme change event
         document.dispatchEvent(new CustomEvent('themeChanged', {
-            detail: { theme: newTheme }
+            detail: { theme: theme }
         }));
         
-        Logger.info(`Theme changed to ${newTheme}`);
+        Logger.info(`Theme changed to ${theme}`);
     }
     
     /**
@@ -455,6 +427,8 @@ class TradeMasterApp {
      * Create settings modal
      */
     createSettingsModal() {
+        const limits = this.components.tradingEngine?.riskManager.limits || {};
+        
         const modal = DOMUtils.createElement('div', {
             className: 'modal',
             id: 'settings-modal'
@@ -469,51 +443,74 @@ class TradeMasterApp {
                 <div class="modal-body">
                     <div class="settings-section">
                         <h4>Trading Settings</h4>
+                        ${this.renderSettingField('defaultVolume')}
+                        ${this.renderSettingField('defaultRiskPercent')}
+                    </div>
+                    
+                    <div class="settings-section">
+                        <h4>Risk Limits</h4>
                         <div class="form-group">
-                            <label>Default Volume</label>
-                            <input type="number" id="setting-volume" value="${CONFIG.TRADING.DEFAULT_VOLUME}" step="0.01" min="0.01">
+                            <label>Max Daily Loss (%)</label>
+                            <input type="number" id="setting-max-daily-loss" value="${limits.maxDailyLossPercent ?? 0}" step="0.1" min="0">
                         </div>
                         <div class="form-group">
-                            <label>Default Risk (%)</label>
-                            <input type="number" id="setting-risk" value="${CONFIG.TRADING.DEFAULT_RISK_PERCENT}" step="0.1" min="0.1" max="10">
+                            <label>Max Drawdown From Day High (%)</label>
+                            <input type="number" id="setting-max-drawdown" value="${limits.maxDailyDrawdownPercent ?? 0}" step="0.1" min="0">
                         </div>
-                    </div>
-                    
-                    <div class="settings-section">
-                        <h4>Display Settings</h4>
                         <div class="form-group">
-                            <label>Theme</label>
-                            <select id="setting-theme">
-                                <option value="light" ${this.currentTheme === 'light' ? 'selected' : ''}>Light</option>
-                                <option value="dark" ${this.currentTheme === 'dark' ? 'selected' : ''}>Dark</option>
-                            </select>
+                            <label>Max Trades Per Day</label>
+                            <input type="number" id="setting-max-trades" value="${limits.maxTradesPerDay ?? 0}" step="1" min="0">
                         </div>
                         <div class="form-group">
-                            <label>Chart Update Interval (ms)</label>
-                            <input type="number" id="setting-chart-interval" value="${CONFIG.PERFORMANCE.CHART_UPDATE_INTERVAL}" step="100" min="100">
+                            <label>Cooldown After Consecutive Losses</label>
+                            <input type="number" id="setting-max-losses" value="${limits.maxConsecutiveLosses ?? 0}" step="1" min="0">
+                        </div>
+                        <div class="form-group">
+                            <label>Cooldown Length (minutes)</label>
+                            <input type="number" id="setting-cooldown" value="${limits.cooldownMinutes ?? 0}" step="5" min="0">
                         </div>
                     </div>
                     
+                    <div class="settings-section">
+                        <h4>Display Settings</h4>
+                        ${this.renderSettingField('theme', [
+                            { value: 'light', label: 'Light' },
+                            { value: 'dark', label: 'Dark' }
+                        ])}
+                        ${this.renderSettingField('chartType', Object.entries(CONFIG.CHART.TYPES)
+                            .map(([value, label]) => ({ value, label })))}
+                        ${this.renderSettingField('chartUpdateInterval')}
+                    </div>
+                    
                     <div class="settings-section">
                         <h4>AI Assistant</h4>
-                        <div class="form-group">
-                            <label>Voice Language</label>
-                            <select id="setting-voice-language">
-                                ${this.components.voiceManager?.getAvailableLanguages().map(lang => `
-                                    <option value="${lang.code}" ${lang.code === 'en-US' ? 'selected' : ''}>${lang.name}</option>
-                                `).join('') || '<option value="en-US">English (US)</option>'}
-                            </select>
+                        ${this.renderSettingField('voiceLanguage', (this.components.voiceManager?.getAvailableLanguages() ||
+                            [{ code: 'en-US', name: 'English (US)' }]).map(lang => ({ value: lang.code, label: lang.name })))}
+                        ${this.renderSettingField('voiceFeedback')}
+                    </div>
+                    
+                    <div class="settings-section">
+                        <h4>Backup</h4>
+                        <p class="settings-hint">Settings, trade history, journal and chat history in one JSON file.</p>
+                        <div class="backup-actions">
+                            <button class="btn-secondary" onclick="backupManager.downloadBackup()">Export Backup</button>
+                            <button class="btn-secondary" onclick="document.getElementById('backup-file-input').click()">Import Backup</button>
+                            <input type="file" id="backup-file-input" class="hidden" accept="application/json,.json"
+                                   onchange="backupManager.handleImportFile(this.files[0]); this.value = '';">
                         </div>
-                        <div class="form-group">
-                            <label>
-                                <input type="checkbox" id="setting-voice-feedback" checked>
-                                Enable voice feedback
-                            </label>
+                    </div>
+                    
+                    <div class="settings-section">
+                        <h4>Trade History Export</h4>
+                        <p class="settings-hint">CSV for spreadsheets and a printable statement for accountants or prop-firm reviews.</p>
+                        <div class="backup-actions">
+                            <button class="btn-secondary" onclick="tradeExporter.showExportDialog()">Export Trade History</button>
                         </div>
                     </div>
                     
                     <div class="settings-actions">
                         <button class="btn-primary" onclick="window.app.saveSettingsFromModal()">Save Settings</button>
+                        <button class="btn-secondary" onclick="window.app.resetSettings()">Reset to Defaults</button>
                         <button class="btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
                     </div>
                 </div>
@@ -523,46 +520,97 @@ class TradeMasterApp {
         return modal;
     }
     
+    /**
+     * Form field for a settings schema entry; `choices` turns it into a select
+     */
+    renderSettingField(key, choices = null) {
+        const field = SETTINGS_SCHEMA[key];
+        const value = settingsStore.get(key);
+        const id = `setting-${key}`;
+        let control;
+        
+        if (field.type === 'boolean') {
+            return `
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="${id}" data-setting="${key}" ${value ? 'checked' : ''}>
+                        ${field.label}
+                    </label>
+                    <small class="setting-error hidden" data-setting-error="${key}"></small>
+                </div>
+            `;
+        }
+        
+        if (choices) {
+            control = `
+                <select id="${id}" data-setting="${key}">
+                    ${choices.map(choice => `
+                        <option value="${choice.value}" ${choice.value === value ? 'selected' : ''}>${choice.label}</option>
+                    `).join('')}
+                </select>
+            `;
+        } else {
+            const type = field.type === 'number' || field.type === 'integer' ? 'number' : 'text';
+            const attributes = ['min', 'max', 'step']
+                .filter(attribute => field[attribute] !== undefined)
+                .map(attribute => `${attribute}="${field[attribute]}"`)
+                .join(' ');
+            control = `<input type="${type}" id="${id}" data-setting="${key}" value="${value}" ${attributes}>`;
+        }
+        
+        return `
+            <div class="form-group">
+                <label for="${id}">${field.label}</label>
+                ${control}
+                <small class="setting-error hidden" data-setting-error="${key}"></small>
+            </div>
+        `;
+    }
+    
     /**
      * Save settings from modal
      */
-    saveSettingsFromModal() {
+    async saveSettingsFromModal() {
         const modal = document.getElementById('settings-modal');
         if (!modal) return;
         
         try {
             // Get values
-            const volume = parseFloat(document.getElementById('setting-volume')?.value || CONFIG.TRADING.DEFAULT_VOLUME);
-            const risk = parseFloat(document.getElementById('setting-risk')?.value || CONFIG.TRADING.DEFAULT_RISK_PERCENT);
-            const theme = document.getElementById('setting-theme')?.value || 'light';
-            const chartInterval = parseInt(document.getElementById('setting-chart-interval')?.value || CONFIG.PERFORMANCE.CHART_UPDATE_INTERVAL);
-            const voiceLanguage = document.getElementById('setting-voice-language')?.value || 'en-US';
-            const voiceFeedback = document.getElementById('setting-voice-feedback')?.checked || true;
-            
-            // Apply settings
-            CONFIG.TRADING.DEFAULT_VOLUME = volume;
-            CONFIG.TRADING.DEFAULT_RISK_PERCENT = risk;
-            CONFIG.PERFORMANCE.CHART_UPDATE_INTERVAL = chartInterval;
-            
-            // Update theme if changed
-            if (theme !== this.currentTheme) {
-                document.documentElement.setAttribute('data-theme', theme);
-                this.currentTheme = theme;
-            }
+            const values = {};
+            modal.querySelectorAll('[data-setting]').forEach(input => {
+                values[input.dataset.setting] = input.type === 'checkbox' ? input.checked : input.value;
+            });
             
-            // Update voice settings
-            if (this.components.voiceManager) {
-                this.components.voiceManager.setLanguage(voiceLanguage);
+            // Validate and apply; components follow through settingsChanged
+            const errors = await settingsStore.update(values);
+            modal.querySelectorAll('[data-setting-error]').forEach(element => {
+                const error = errors[element.dataset.settingError];
+                element.textContent = error || '';
+                element.classList.toggle('hidden', !error);
+            });
+            
+            if (Object.keys(errors).length > 0) {
+                this.showNotification('Please fix the highlighted settings', 'error');
+                return;
             }
             
-            // Save to storage
-            this.saveUserSettings();
+            // Update account limits (0 disables a limit)
+            if (this.components.tradingEngine) {
+                const readLimit = (id) => Math.max(0, parseFloat(document.getElementById(id)?.value) || 0);
+                this.components.tradingEngine.riskManager.setLimits({
+                    maxDailyLossPercent: readLimit('setting-max-daily-loss'),
+                    maxDailyDrawdownPercent: readLimit('setting-max-drawdown'),
+                    maxTradesPerDay: Math.floor(readLimit('setting-max-trades')),
+                    maxConsecutiveLosses: Math.floor(readLimit('setting-max-losses')),
+                    cooldownMinutes: readLimit('setting-cooldown')
+                });
+            }
             
             // Close modal
             modal.remove();
             
             // Show success message
-            this.showNotification('Settings saved successfully', 'success');
+            this.showNotification(CONFIG.SUCCESS.SETTINGS_SAVED, 'success');
             
         } catch (error) {
             Logger.error('Settings save failed:', error);
@@ -570,6 +618,25 @@ class TradeMasterApp {
         }
     }
     
+    /**
+     * Restore settings and risk limits to their defaults
+     */
+    async resetSettings() {
+        if (!confirm('Reset all settings and risk limits to their defaults?')) {
+            return;
+        }
+        
+        await settingsStore.reset();
+        
+        const riskManager = this.components.tradingEngine?.riskManager;
+        if (riskManager) {
+            riskManager.setLimits(riskManager.resolveLimits());
+        }
+        
+        document.getElementById('settings-modal')?.remove();
+        this.showNotification('Settings reset to defaults', 'success');
+    }
+    
     /**
      * Show help information
      */
@@ -591,7 +658,9 @@ class TradeMasterApp {
             this.showNotification('Thank you for your feedback!', 'success');
             
             // In a real application, this would be sent to a feedback service
-            StorageUtils.setItem('user_feedback_' + Date.now(), feedback);
+            appStorage.add('feedback', { text: feedback.trim(), timestamp: Date.now() }).catch(error => {
+                Logger.error('Failed to store feedback:', error);
+            });
         }
     }
     
@@ -873,22 +942,18 @@ class TradeMasterApp {
     /**
      * Load user settings from storage
      */
-    loadUserSettings() {
+    async loadUserSettings() {
         try {
-            const savedSymbol = StorageUtils.getItem('current_symbol');
+            const savedSymbol = await appStorage.getItem('current_symbol');
+            
             if (savedSymbol && savedSymbol !== this.currentSymbol) {
                 this.changeSymbol(savedSymbol);
             }
             
-            const savedTheme = StorageUtils.getItem('theme');
-            if (savedTheme && savedTheme !== this.currentTheme) {
-                document.documentElement.setAttribute('data-theme', savedTheme);
-                this.currentTheme = savedTheme;
-            }
-            
-            // Load component-specific settings
-            if (this.components.tradingEngine) {
-                this.components.tradingEngine.loadTradingSettings();
+            // Saved theme may have loaded before the settings subscription existed
+            await settingsStore.ready;
+            if (settingsStore.get('theme') !== this.currentTheme) {
+                this.applyTheme(settingsStore.get('theme'));
             }
             
             Logger.info('User settings loaded');
@@ -903,13 +968,7 @@ class TradeMasterApp {
      */
     saveUserSettings() {
         try {
-            StorageUtils.setItem('current_symbol', this.currentSymbol);
-            StorageUtils.setItem('theme', this.currentTheme);
-            
-            // Save component-specific settings
-            if (this.components.tradingEngine) {
-                this.components.tradingEngine.saveTradingSettings();
-            }
+            appStorage.setItem('current_symbol', this.currentSymbol);
             
             Logger.debug('User settings saved');
             
@@ -960,24 +1019,10 @@ class TradeMasterApp {
     }
     
     /**
-     * Export data for backup/analysis
+     * Export all user data as a versioned backup object (see BackupManager)
      */
-    exportData() {
-        const data = {
-            timestamp: new Date().toISOString(),
-            version: CONFIG.VERSION,
-            settings: {
-                currentSymbol: this.currentSymbol,
-                currentTheme: this.currentTheme,
-                platformInfo: this.platformInfo
-            },
-            tradingHistory: this.components.tradingEngine?.getTradingHistory() || [],
-            chatHistory: this.components.aiAssistant?.chatMessages || [],
-            voiceHistory: this.components.voiceManager?.getCommandHistory() || [],
-            performanceStats: this.getSystemStats()
-        };
-        
-        return data;
+    async exportData() {
+        return backupManager.createBackup();
     }
 }
 
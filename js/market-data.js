@@ -0,0 +1,254 @@
+/**
+ * TradeMaster AI Pro - Market Data Cache
+ * Bars and recent ticks per symbol in IndexedDB. Stored ranges are tracked per
+ * symbol/timeframe so only the missing gaps are fetched from the host.
+ */
+
+class MarketDataCache {
+    constructor() {
+        this.storage = new IndexedDBStorage(CONFIG.MARKET_DATA.DB_NAME, MARKET_DATA_MIGRATIONS);
+        this.pendingTicks = [];
+        this.flushTimer = null;
+        // Bar loads run one at a time so concurrent callers never fetch the same gap twice
+        this.queue = Promise.resolve();
+
+        this.storage.onQuotaExceeded('bars', () => this.evict(true));
+
+        if (window.ctraderSDK) {
+            window.ctraderSDK.onQuote((quote) => {
+                this.recordTick(quote);
+            });
+        }
+
+        this.ready = this.storage.ready.then(() => this.evict());
+    }
+
+    getSeriesKey(symbol, timeframe) {
+        return `${symbol}|${timeframe}`;
+    }
+
+    // Ranges
+
+    /**
+     * Stored coverage of a symbol/timeframe:
+     * { series, symbol, timeframe, ranges: [[from, to], ...] sorted and merged, barCount, lastUsed }
+     */
+    async getSeries(symbol, timeframe) {
+        const key = this.getSeriesKey(symbol, timeframe);
+
+        return await this.storage.get('series', key) ||
+            { series: key, symbol: symbol, timeframe: timeframe, ranges: [], barCount: 0, lastUsed: Date.now() };
+    }
+
+    /**
+     * Stored ranges of a symbol/timeframe, e.g. for a backtester to check what is available offline
+     */
+    async getCoverage(symbol, timeframe) {
+        return (await this.getSeries(symbol, timeframe)).ranges;
+    }
+
+    /**
+     * Parts of [from, to] not covered by `ranges`
+     */
+    getMissingRanges(ranges, from, to) {
+        const missing = [];
+        let cursor = from;
+
+        for (const [start, end] of ranges) {
+            if (end < cursor) continue;
+            if (start > to) break;
+
+            if (start > cursor) {
+                missing.push([cursor, start - 1]);
+            }
+            cursor = Math.max(cursor, end + 1);
+        }
+
+        if (cursor <= to) {
+            missing.push([cursor, to]);
+        }
+        return missing;
+    }
+
+    /**
+     * Add [from, to] to sorted ranges, merging overlapping and adjacent ones
+     */
+    addRange(ranges, from, to) {
+        const merged = [];
+
+        [...ranges, [from, to]]
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([start, end]) => {
+                const last = merged[merged.length - 1];
+                if (last && start <= last[1] + 1) {
+                    last[1] = Math.max(last[1], end);
+                } else {
+                    merged.push([start, end]);
+                }
+            });
+
+        return merged;
+    }
+
+    // Bars
+
+    /**
+     * Bars opening within [from, to], oldest first. Gaps are fetched from the host and
+     * stored first; with `cacheOnly`, or while disconnected, only stored bars are returned.
+     */
+    getBars(symbol, timeframe, { from, to = window.ctraderSDK?.getServerTime() ?? Date.now(), cacheOnly = false } = {}) {
+        const load = this.queue.then(() => this.loadBars(symbol, timeframe, from, to, cacheOnly));
+        this.queue = load.catch(() => {});
+        return load;
+    }
+
+    async loadBars(symbol, timeframe, from, to, cacheOnly) {
+        const series = await this.getSeries(symbol, timeframe);
+        const sdk = window.ctraderSDK;
+
+        if (!cacheOnly && sdk?.isConnected) {
+            // The forming bar is stored but never marked as covered, so the next load refreshes it
+            const closedUntil = new BarAggregator(timeframe).getBarStart(sdk.getServerTime()) - 1;
+
+            for (const [gapFrom, gapTo] of this.getMissingRanges(series.ranges, from, to)) {
+                let bars;
+                try {
+                    bars = await sdk.getTrendbars(symbol, timeframe, {
+                        from: gapFrom,
+                        to: gapTo,
+                        count: Math.ceil((gapTo - gapFrom + 1) / BarAggregator.getPeriod(timeframe))
+                    });
+                } catch (error) {
+                    Logger.warn(`Serving cached ${timeframe} bars for ${symbol} only:`, error);
+                    break;
+                }
+
+                await this.storage.putAll('bars', bars.map(bar => ({ series: series.series, ...bar })));
+
+                const coveredTo = Math.min(gapTo, closedUntil);
+                if (coveredTo >= gapFrom) {
+                    series.ranges = this.addRange(series.ranges, gapFrom, coveredTo);
+                }
+            }
+
+            series.barCount = await this.storage.count('bars', this.getSeriesRange(series.series));
+        }
+
+        series.lastUsed = Date.now();
+        await this.storage.put('series', series);
+
+        const records = await this.storage.getAll('bars', { query: this.getSeriesRange(series.series, from, to) });
+        return records.map(({ series: key, ...bar }) => bar);
+    }
+
+    getSeriesRange(key, from = -Infinity, to = Infinity) {
+        return IDBKeyRange.bound([key, from], [key, to]);
+    }
+
+    // Ticks
+
+    /**
+     * Buffer a quote of a subscribed symbol; buffered ticks are written every TICK_FLUSH_INTERVAL
+     */
+    recordTick(quote) {
+        if (!quote?.symbol || !quoteSubscriptions.isSubscribed(quote.symbol)) return;
+
+        this.pendingTicks.push({ symbol: quote.symbol, time: quote.timestamp, bid: quote.bid, ask: quote.ask });
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushTicks(), CONFIG.MARKET_DATA.TICK_FLUSH_INTERVAL);
+        }
+    }
+
+    async flushTicks() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const ticks = this.pendingTicks;
+        this.pendingTicks = [];
+        if (ticks.length === 0) return;
+
+        try {
+            await this.storage.putAll('ticks', ticks);
+        } catch (error) {
+            Logger.error('Failed to store ticks:', error);
+        }
+    }
+
+    /**
+     * Stored ticks of a symbol within [from, to], oldest first: { symbol, time, bid, ask }
+     */
+    async getTicks(symbol, { from = -Infinity, to = Infinity } = {}) {
+        await this.flushTicks();
+        return this.storage.getAll('ticks', { query: IDBKeyRange.bound([symbol, from], [symbol, to]) });
+    }
+
+    // Eviction
+
+    /**
+     * Drop series unused for MAX_SERIES_AGE_DAYS, then the least recently used ones while over
+     * MAX_BARS (half of it when `urgent`, after a quota error), and ticks past their age or count
+     * limit. Whole series go at once so their stored ranges stay accurate. Resolves true if anything was removed.
+     */
+    async evict(urgent = false) {
+        if (!await this.storage.isAvailable()) return false;
+
+        const maxBars = urgent ? CONFIG.MARKET_DATA.MAX_BARS / 2 : CONFIG.MARKET_DATA.MAX_BARS;
+        const maxAge = CONFIG.MARKET_DATA.MAX_SERIES_AGE_DAYS * 24 * 60 * 60 * 1000;
+        const seriesList = (await this.storage.getAll('series')).sort((a, b) => a.lastUsed - b.lastUsed);
+        let total = seriesList.reduce((sum, series) => sum + (series.barCount || 0), 0);
+        let removed = 0;
+
+        for (const series of seriesList) {
+            if (Date.now() - series.lastUsed < maxAge && total <= maxBars) break;
+
+            await this.storage.delete('bars', this.getSeriesRange(series.series));
+            await this.storage.delete('series', series.series);
+            total -= series.barCount || 0;
+            removed++;
+        }
+
+        const cutoff = Date.now() - CONFIG.MARKET_DATA.TICK_MAX_AGE;
+        let removedTicks = 0;
+        await this.storage.write('ticks', store => {
+            store.index('time').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    removedTicks++;
+                    cursor.continue();
+                }
+            };
+        });
+        removedTicks += await this.storage.prune('ticks', 'time', CONFIG.MARKET_DATA.MAX_TICKS);
+
+        if (removed > 0 || removedTicks > 0) {
+            Logger.info(`Market data cache: evicted ${removed} series and ${removedTicks} ticks`);
+        }
+        return removed > 0 || removedTicks > 0;
+    }
+
+    /**
+     * Remove every stored bar and tick
+     */
+    async clear() {
+        await Promise.all(['bars', 'ticks', 'series'].map(store => this.storage.clear(store)));
+    }
+}
+
+// Market data database schema; append a migration for every change
+const MARKET_DATA_MIGRATIONS = [
+    // v1: bars by series and open time, ticks by symbol and time, stored ranges per series
+    (db) => {
+        db.createObjectStore('bars', { keyPath: ['series', 'time'] });
+
+        const ticks = db.createObjectStore('ticks', { keyPath: ['symbol', 'time'] });
+        ticks.createIndex('time', 'time');
+
+        const series = db.createObjectStore('series', { keyPath: 'series' });
+        series.createIndex('lastUsed', 'lastUsed');
+    }
+];
+
+// Initialize market data cache
+const marketData = new MarketDataCache();
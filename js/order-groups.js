@@ -0,0 +1,570 @@
+/**
+ * TradeMaster AI Pro - Order Groups
+ * Linked orders: brackets (entry + take-profit/stop-loss ladders) and OCO (one-cancels-other) pairs
+ */
+
+class OrderGroupManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.groups = new Map();
+        this.groupSequence = 0;
+
+        this.ready = this.load();
+        this.init();
+    }
+
+    /**
+     * Restore stored group definitions
+     */
+    async load() {
+        const saved = await appStorage.getItem('order_groups') || [];
+        saved.forEach(group => {
+            if (!this.groups.has(group.id)) this.groups.set(group.id, group);
+        });
+
+        Logger.info(`Order Group Manager loaded ${this.groups.size} active groups`);
+    }
+
+    /**
+     * Listen for executions
+     */
+    init() {
+        if (window.ctraderSDK) {
+            window.ctraderSDK.onExecution((execution) => {
+                this.handleExecution(execution);
+            });
+        }
+
+        Logger.info('Order Group Manager initialized');
+    }
+
+    /**
+     * Only active groups are persisted; finished ones live in the trading history
+     */
+    saveGroups() {
+        this.ready.then(() => appStorage.setItem('order_groups', this.getActiveGroups()));
+    }
+
+    /**
+     * Group IDs stay unique when several groups are created in the same millisecond
+     */
+    createGroupId() {
+        return `GRP_${Date.now()}_${++this.groupSequence}`;
+    }
+
+    getActiveGroups() {
+        return Array.from(this.groups.values()).filter(group => group.status === 'active');
+    }
+
+    /**
+     * Find the active group and leg for an order ID
+     */
+    findByOrderId(orderId) {
+        for (const group of this.getActiveGroups()) {
+            const leg = group.legs.find(l => l.orderId === orderId);
+            if (leg) return { group, leg };
+        }
+        return null;
+    }
+
+    /**
+     * Short tag for the working orders list, e.g. "OCO", "TP 2/3" or "SL 1/2"
+     */
+    getOrderLabel(orderId) {
+        const match = this.findByOrderId(orderId);
+        if (!match) return '';
+
+        const { group, leg } = match;
+        if (group.type === CONFIG.TRADING.OCO_GROUP) return 'OCO';
+
+        if (leg.role === 'tp' || leg.role === 'sl') {
+            const ladder = group.legs.filter(l => l.role === leg.role);
+            return `${leg.role.toUpperCase()} ${ladder.indexOf(leg) + 1}/${ladder.length}`;
+        }
+
+        return 'BRACKET';
+    }
+
+    /**
+     * Place a group described by trade params (params.group)
+     */
+    async placeGroup(params) {
+        switch (params.group.type) {
+            case CONFIG.TRADING.BRACKET_GROUP:
+                return this.createBracket(params, params.group.takeProfits, params.group.stopLosses);
+            case CONFIG.TRADING.OCO_GROUP:
+                return this.createOCO(params, params.group.entryPrice);
+            default:
+                return { success: false, error: `Unknown order group: ${params.group.type}` };
+        }
+    }
+
+    /**
+     * Entry (market or pending) with take-profit and stop-loss ladders placed once it fills.
+     * takeProfits / stopLosses: [{ price, percent }], each ladder at most 100% of the position
+     */
+    async createBracket(params, takeProfits = [], stopLosses = []) {
+        const direction = params.side === 'buy' ? 1 : -1;
+        const entryPrice = params.entryPrice || params.currentPrice;
+
+        if (takeProfits.length === 0 && stopLosses.length === 0) {
+            return { success: false, error: 'Bracket needs at least one take-profit or stop-loss level' };
+        }
+
+        if (entryPrice && takeProfits.some(tp => (tp.price - entryPrice) * direction <= 0)) {
+            return { success: false, error: 'Take-profit levels must be beyond the entry price' };
+        }
+
+        if (entryPrice && stopLosses.some(sl => (sl.price - entryPrice) * direction >= 0)) {
+            return { success: false, error: 'Stop-loss levels must be on the losing side of the entry price' };
+        }
+
+        const exitSide = params.side === 'buy' ? 'sell' : 'buy';
+        const ladders = [
+            { role: 'tp', name: 'Take-profit', orderType: CONFIG.TRADING.LIMIT_ORDER, levels: takeProfits },
+            { role: 'sl', name: 'Stop-loss', orderType: CONFIG.TRADING.STOP_ORDER, levels: stopLosses }
+        ];
+        const exitLegs = [];
+
+        for (const ladder of ladders) {
+            const totalPercent = ladder.levels.reduce((sum, level) => sum + level.percent, 0);
+            if (totalPercent > 100) {
+                return { success: false, error: `${ladder.name} ladder exceeds 100% of the position` };
+            }
+
+            // Floored to the volume step so the legs never add up to more than the position
+            const legs = ladder.levels.map(level => ({
+                role: ladder.role,
+                orderId: null,
+                side: exitSide,
+                orderType: ladder.orderType,
+                volume: symbolRegistry.floorVolume(params.symbol, params.volume * level.percent / 100),
+                price: level.price,
+                status: 'waiting'
+            }));
+
+            const tooSmall = legs.find(leg => leg.volume === null);
+            if (tooSmall) {
+                return { success: false, error: `${ladder.name} @ ${tooSmall.price} is below the minimum volume` };
+            }
+
+            const totalVolume = legs.reduce((sum, leg) => sum + leg.volume, 0);
+            if (totalVolume > params.volume + 1e-9) {
+                return { success: false, error: `${ladder.name} ladder volume ${totalVolume} exceeds the position volume ${params.volume}` };
+            }
+
+            exitLegs.push(...legs);
+        }
+
+        const group = {
+            id: this.createGroupId(),
+            type: CONFIG.TRADING.BRACKET_GROUP,
+            symbol: params.symbol,
+            side: params.side,
+            status: 'active',
+            positionId: null,
+            legs: [
+                {
+                    role: 'entry',
+                    orderId: null,
+                    side: params.side,
+                    orderType: params.orderType,
+                    volume: params.volume,
+                    price: entryPrice,
+                    status: 'pending'
+                },
+                ...exitLegs
+            ],
+            createdAt: Date.now()
+        };
+
+        const entryLeg = group.legs[0];
+        const isMarket = params.orderType === CONFIG.TRADING.MARKET_ORDER;
+        const result = await this.placeLeg(params, isMarket);
+        if (!result.success) return result;
+
+        entryLeg.orderId = result.orderId;
+        entryLeg.status = 'working';
+
+        this.groups.set(group.id, group);
+        this.saveGroups();
+
+        // The fill event can arrive before the group is stored (or never, in mock mode)
+        if (isMarket && result.positionId) {
+            await this.onLegFilled(group, entryLeg, result.positionId);
+        }
+
+        Logger.info(`Bracket group ${group.id} created:`, group);
+        return {
+            ...result,
+            groupId: group.id,
+            message: `Bracket ${params.side.toUpperCase()} ${params.volume} ${params.symbol} with ${takeProfits.length} take-profit and ${stopLosses.length} stop-loss levels`
+        };
+    }
+
+    /**
+     * Two pending orders where the first fill or cancel cancels the other.
+     * The opposite leg mirrors the SL/TP distances of the main leg.
+     */
+    async createOCO(params, oppositeEntryPrice) {
+        if (params.orderType === CONFIG.TRADING.MARKET_ORDER) {
+            return { success: false, error: 'OCO legs must be pending orders' };
+        }
+
+        const mirror = (level) => level ? symbolRegistry.roundPrice(params.symbol, oppositeEntryPrice - (level - params.entryPrice)) : null;
+        const oppositeParams = {
+            ...params,
+            side: params.side === 'buy' ? 'sell' : 'buy',
+            entryPrice: oppositeEntryPrice,
+            limitPrice: params.limitPrice ? mirror(params.limitPrice) : null,
+            stopLoss: mirror(params.stopLoss),
+            takeProfit: mirror(params.takeProfit),
+            group: null
+        };
+
+        const validation = this.engine.validateTrade(oppositeParams);
+        if (!validation.isValid) {
+            return { success: false, error: `OCO leg: ${validation.errors.join(', ')}` };
+        }
+
+        const legParams = [params, oppositeParams];
+        const group = {
+            id: this.createGroupId(),
+            type: CONFIG.TRADING.OCO_GROUP,
+            symbol: params.symbol,
+            status: 'active',
+            legs: [],
+            createdAt: Date.now()
+        };
+
+        for (const leg of legParams) {
+            const result = await this.placeLeg(leg, false);
+
+            if (!result.success) {
+                // Never leave half an OCO working
+                await this.cancelLegs(group);
+                return { success: false, error: `OCO placement failed: ${result.error}` };
+            }
+
+            group.legs.push({
+                role: 'oco',
+                orderId: result.orderId,
+                side: leg.side,
+                orderType: leg.orderType,
+                volume: leg.volume,
+                price: leg.entryPrice,
+                status: 'working'
+            });
+        }
+
+        this.groups.set(group.id, group);
+        this.saveGroups();
+        this.engine.updateOrdersDisplay();
+
+        Logger.info(`OCO group ${group.id} created:`, group);
+        return {
+            success: true,
+            groupId: group.id,
+            message: `OCO placed: ${params.side.toUpperCase()} @ ${params.entryPrice} / ${oppositeParams.side.toUpperCase()} @ ${oppositeEntryPrice}`
+        };
+    }
+
+    /**
+     * Place one leg through the trading engine so it shows up in positions/orders
+     */
+    async placeLeg(params, isMarket) {
+        if (isMarket) {
+            const result = await this.engine.executeMarketOrder(params);
+            if (result.success) this.engine.handleTradeSuccess(result, params);
+            return result;
+        }
+
+        const result = await this.engine.executePendingOrder(params);
+        if (result.success) this.engine.handlePendingOrderPlaced(result, params);
+        return result;
+    }
+
+    /**
+     * Route execution events to the group owning the order or position
+     */
+    handleExecution(execution) {
+        const orderId = execution?.order?.orderId || execution?.orderId;
+        const positionId = execution?.positionId || execution?.position?.positionId;
+
+        const match = orderId ? this.findByOrderId(orderId) : null;
+        if (match) {
+            switch (execution.type) {
+                case 'ORDER_FILLED':
+                    this.onLegFilled(match.group, match.leg, positionId);
+                    break;
+                case 'ORDER_CANCELLED':
+                case 'ORDER_EXPIRED':
+                case 'ORDER_REJECTED':
+                    this.onLegCancelled(match.group, match.leg);
+                    break;
+            }
+        }
+
+        // SL hits and manual closes arrive as fills of orders outside the group; an
+        // exit leg's own fill can also close the position
+        if (positionId && this.isPositionClosed(execution)) {
+            this.getActiveGroups()
+                .filter(group => group.positionId === positionId)
+                .forEach(group => this.onPositionClosed(group));
+        }
+    }
+
+    isPositionClosed(execution) {
+        const position = execution.position;
+        return !!position && (position.positionStatus === 'POSITION_STATUS_CLOSED' || position.tradeData?.volume === 0);
+    }
+
+    async onLegFilled(group, leg, positionId) {
+        // A market entry is handled on placement; its fill event repeats it
+        if (leg.status === 'filled') return;
+
+        leg.status = 'filled';
+        leg.positionId = positionId || null;
+
+        if (group.type === CONFIG.TRADING.OCO_GROUP) {
+            await this.cancelLegs(group);
+            this.finishGroup(group, 'filled');
+            return;
+        }
+
+        if (leg.role === 'entry') {
+            group.positionId = positionId;
+            this.saveGroups();
+            await this.placeExitLegs(group);
+            return;
+        }
+
+        // Exit leg filled: the rest goes once the position is flat, otherwise the
+        // opposite ladder shrinks to what is left of it
+        if (this.getOpenVolume(group) <= 1e-9) {
+            await this.cancelLegs(group);
+            this.finishGroup(group, 'completed');
+            return;
+        }
+
+        await this.resizeLadder(group, leg.role === 'tp' ? 'sl' : 'tp');
+
+        const exits = group.legs.filter(l => l.role !== 'entry');
+        if (!exits.some(l => l.status === 'working' || l.status === 'waiting')) {
+            this.finishGroup(group, 'completed');
+        } else {
+            this.saveGroups();
+        }
+    }
+
+    /**
+     * Bracket volume still open: the entry less every filled exit leg
+     */
+    getOpenVolume(group) {
+        const entry = group.legs.find(leg => leg.role === 'entry');
+        return group.legs
+            .filter(leg => leg.role !== 'entry' && leg.status === 'filled')
+            .reduce((open, leg) => open - leg.volume, entry.volume);
+    }
+
+    /**
+     * Fit a ladder's unfilled legs into the open volume. Legs nearest the entry keep
+     * their size; farther ones are reduced, or cancelled once nothing is left for them.
+     */
+    async resizeLadder(group, role) {
+        const entry = group.legs.find(leg => leg.role === 'entry');
+        const legs = group.legs
+            .filter(leg => leg.role === role && (leg.status === 'working' || leg.status === 'waiting'))
+            .sort((a, b) => Math.abs(a.price - entry.price) - Math.abs(b.price - entry.price));
+        let room = this.getOpenVolume(group);
+
+        for (const leg of legs) {
+            const volume = symbolRegistry.floorVolume(group.symbol, Math.min(leg.volume, room));
+            room -= volume || 0;
+            if (volume === leg.volume) continue;
+
+            if (volume === null) {
+                if (leg.status === 'waiting') {
+                    leg.status = 'cancelled';
+                } else {
+                    await this.cancelLegs(group, [leg]);
+                }
+                continue;
+            }
+
+            if (leg.status === 'working') {
+                const result = await this.engine.modifyOrder(leg.orderId, { volume: volume }, { silent: true });
+                if (!result.success) {
+                    this.engine.showTradeError(`Could not resize linked order ${leg.orderId} to ${volume}: ${result.error}`);
+                    continue;
+                }
+            }
+            leg.volume = volume;
+        }
+    }
+
+    async onLegCancelled(group, leg) {
+        if (leg.status !== 'working') return;
+        leg.status = 'cancelled';
+
+        if (group.type === CONFIG.TRADING.OCO_GROUP) {
+            await this.cancelLegs(group);
+            this.finishGroup(group, 'cancelled');
+            return;
+        }
+
+        if (leg.role === 'entry') {
+            this.finishGroup(group, 'cancelled');
+        } else {
+            this.saveGroups();
+        }
+    }
+
+    async onPositionClosed(group) {
+        await this.cancelLegs(group);
+        this.finishGroup(group, 'closed');
+    }
+
+    /**
+     * Place the take-profit and stop-loss ladders against the filled bracket position
+     */
+    async placeExitLegs(group) {
+        for (const leg of group.legs.filter(l => l.role !== 'entry' && l.status === 'waiting')) {
+            const result = await this.placeLeg({
+                symbol: group.symbol,
+                side: leg.side,
+                orderType: leg.orderType,
+                volume: leg.volume,
+                entryPrice: leg.price,
+                positionId: group.positionId
+            }, false);
+
+            if (result.success) {
+                leg.orderId = result.orderId;
+                leg.status = 'working';
+            } else {
+                leg.status = 'failed';
+                this.engine.showTradeError(`Bracket ${leg.role === 'sl' ? 'stop-loss' : 'take-profit'} @ ${leg.price} failed: ${result.error}`);
+            }
+        }
+
+        this.saveGroups();
+    }
+
+    /**
+     * Cancel every still-working leg of a group (or of `legs`)
+     */
+    async cancelLegs(group, legs = group.legs) {
+        const working = legs.filter(leg => leg.status === 'working' && leg.orderId);
+
+        // Mark first so the ORDER_CANCELLED echo of our own cancel is ignored
+        working.forEach(leg => leg.status = 'cancelling');
+
+        await Promise.all(working.map(async leg => {
+            const result = await this.engine.cancelOrder(leg.orderId, { silent: true });
+            leg.status = result.success ? 'cancelled' : 'orphaned';
+
+            if (!result.success) {
+                this.engine.showTradeError(`Could not cancel linked order ${leg.orderId}: ${result.error}`);
+            }
+        }));
+    }
+
+    finishGroup(group, status) {
+        if (group.status !== 'active') return;
+
+        group.status = status;
+        group.closedAt = Date.now();
+
+        this.engine.tradingHistory.push({
+            groupId: group.id,
+            groupType: group.type,
+            symbol: group.symbol,
+            status: `group_${status}`,
+            legs: group.legs.map(leg => ({ ...leg })),
+            timestamp: group.closedAt
+        });
+
+        this.groups.delete(group.id);
+        this.saveGroups();
+        this.engine.updateOrdersDisplay();
+
+        Logger.info(`Order group ${group.id} ${status}`);
+    }
+
+    /**
+     * Rebuild groups after a reload from stored definitions plus live orders/positions
+     */
+    async rebuild() {
+        const liveOrderIds = new Set(window.ctraderSDK?.getOrders().map(order => order.id) || []);
+
+        for (const group of this.getActiveGroups()) {
+            const missing = group.legs.filter(leg => leg.status === 'working' && !liveOrderIds.has(leg.orderId));
+
+            if (group.type === CONFIG.TRADING.OCO_GROUP) {
+                // A leg disappeared while offline: it filled or was cancelled - either way the rest goes
+                if (missing.length > 0) {
+                    missing.forEach(leg => leg.status = 'resolved');
+                    await this.cancelLegs(group);
+                    this.finishGroup(group, 'resolved');
+                }
+                continue;
+            }
+
+            const entry = group.legs.find(leg => leg.role === 'entry');
+
+            if (missing.includes(entry)) {
+                const position = this.findBracketPosition(group);
+                if (position) {
+                    entry.status = 'filled';
+                    group.positionId = position.id;
+                    await this.placeExitLegs(group);
+                } else {
+                    entry.status = 'resolved';
+                    this.finishGroup(group, 'cancelled');
+                }
+                continue;
+            }
+
+            if (group.positionId && !this.engine.positions.has(group.positionId)) {
+                await this.onPositionClosed(group);
+                continue;
+            }
+
+            // Exit legs gone while the position is still open were filled
+            missing.forEach(leg => leg.status = 'filled');
+            if (entry.status === 'filled' && group.legs.some(leg => leg.status === 'waiting')) {
+                await this.placeExitLegs(group);
+            }
+        }
+
+        this.saveGroups();
+        Logger.info(`Order groups rebuilt: ${this.getActiveGroups().length} active`);
+    }
+
+    /**
+     * Best match for a bracket entry that filled while the app was closed
+     */
+    findBracketPosition(group) {
+        const entry = group.legs.find(leg => leg.role === 'entry');
+        const claimed = new Set(this.getActiveGroups().map(g => g.positionId).filter(Boolean));
+
+        return Array.from(this.engine.positions.values()).find(position =>
+            position.symbol === group.symbol &&
+            position.side === group.side &&
+            position.volume === entry.volume &&
+            (position.openTime || 0) >= group.createdAt &&
+            !claimed.has(position.id)
+        ) || null;
+    }
+
+    /**
+     * Parse a take-profit or stop-loss ladder like "1.0900:50, 1.0950:50"
+     */
+    parseLadder(input) {
+        return (input || '').split(',')
+            .map(pair => pair.trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/))
+            .filter(Boolean)
+            .map(match => ({ price: parseFloat(match[1]), percent: parseFloat(match[2]) }));
+    }
+}
@@ -0,0 +1,599 @@
+/**
+ * TradeMaster AI Pro - Position Manager
+ * Automatic management of open positions: trailing stops, break-even, step stops and scale-out plans
+ */
+
+class PositionManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.rules = new Map();
+        this.orderPlans = new Map();
+        this.bars = new Map();
+        this.lastModify = new Map();
+        this.inFlight = new Set();
+
+        this.ready = this.load();
+        this.init();
+    }
+
+    /**
+     * Load persisted rules and plans; ones set before the load finished win
+     */
+    async load() {
+        const [saved, savedPlans] = await Promise.all([
+            appStorage.getItem('position_rules'),
+            appStorage.getItem('order_scale_out_plans')
+        ]);
+
+        (saved || []).forEach(rule => {
+            if (!this.rules.has(rule.positionId)) this.rules.set(rule.positionId, rule);
+        });
+        (savedPlans || []).forEach(entry => {
+            if (!this.orderPlans.has(entry.orderId)) this.orderPlans.set(entry.orderId, entry);
+        });
+
+        Logger.info(`Position Manager loaded ${this.rules.size} rule sets`);
+    }
+
+    /**
+     * Subscribe to quotes and executions
+     */
+    init() {
+        if (window.ctraderSDK) {
+            window.ctraderSDK.onQuote((quote) => {
+                this.handleQuote(quote);
+            });
+
+            window.ctraderSDK.onExecution((execution) => {
+                this.handleExecution(execution);
+            });
+        }
+
+        Logger.info('Position Manager initialized');
+    }
+
+    saveRules() {
+        this.ready.then(() => appStorage.setItem('position_rules', Array.from(this.rules.values())));
+    }
+
+    saveOrderPlans() {
+        this.ready.then(() => appStorage.setItem('order_scale_out_plans', Array.from(this.orderPlans.values())));
+    }
+
+    /**
+     * Attach stop rules to a position.
+     * trailing: { mode: 'pips' | 'atr', distance, activationPips }
+     * breakEven: { triggerPips, offsetPips }
+     * steps: [{ profitPips, lockPips }]
+     */
+    setRules(positionId, rules) {
+        const position = this.engine.positions.get(positionId);
+        if (!position) {
+            Logger.warn(`Cannot set stop rules - position ${positionId} not found`);
+            return false;
+        }
+
+        const current = this.rules.get(positionId);
+        const rule = {
+            positionId: positionId,
+            symbol: position.symbol,
+            trailing: rules.trailing || null,
+            breakEven: rules.breakEven ? { ...rules.breakEven, triggered: false } : null,
+            steps: (rules.steps || [])
+                .map(step => ({ ...step, triggered: false }))
+                .sort((a, b) => a.profitPips - b.profitPips),
+            scaleOut: rules.scaleOut !== undefined ? rules.scaleOut : (current?.scaleOut || null),
+            history: current?.history || [],
+            createdAt: Date.now()
+        };
+
+        if (!rule.trailing && !rule.breakEven && rule.steps.length === 0 && !rule.scaleOut) {
+            this.removeRules(positionId);
+            return true;
+        }
+
+        this.rules.set(positionId, rule);
+        this.saveRules();
+
+        Logger.info(`Stop rules set for position ${positionId}:`, rule);
+        this.engine.updatePositionsDisplay();
+        return true;
+    }
+
+    getRules(positionId) {
+        return this.rules.get(positionId) || null;
+    }
+
+    /**
+     * Build a scale-out plan. R is measured from entry to the initial stop.
+     * levels: [{ r, percent }], trailRest: trailing rule applied after the last level
+     */
+    createScaleOutPlan({ entryPrice, stopLoss, volume }, levels, trailRest = null) {
+        return {
+            riskDistance: Math.abs(entryPrice - stopLoss),
+            initialVolume: volume,
+            levels: levels
+                .map(level => ({ ...level, done: false, attempts: 0 }))
+                .sort((a, b) => a.r - b.r),
+            trailRest: trailRest
+        };
+    }
+
+    /**
+     * Remember a plan entered with an order until the order fills into a position
+     */
+    attachPlanToOrder(orderId, params) {
+        this.orderPlans.set(orderId, { orderId, symbol: params.symbol, plan: this.createPlanFromParams(params) });
+        this.saveOrderPlans();
+    }
+
+    /**
+     * Attach a plan entered with a market order straight to the position the fill
+     * opened; its fill event can arrive before the order ID is known
+     */
+    attachPlanToPosition(positionId, params, fillPrice = null) {
+        this.setScaleOut(positionId, params.symbol, this.createPlanFromParams(params, fillPrice));
+    }
+
+    createPlanFromParams(params, fillPrice = null) {
+        const { levels, trailRest } = params.scaleOutPlan;
+        return this.createScaleOutPlan({
+            entryPrice: fillPrice || params.entryPrice || params.currentPrice,
+            stopLoss: params.stopLoss,
+            volume: params.volume
+        }, levels, trailRest);
+    }
+
+    /**
+     * Give a position a scale-out plan, keeping any stop rules it already has
+     */
+    setScaleOut(positionId, symbol, plan) {
+        const current = this.rules.get(positionId);
+        this.rules.set(positionId, {
+            positionId: positionId,
+            symbol: symbol,
+            trailing: current?.trailing || null,
+            breakEven: current?.breakEven || null,
+            steps: current?.steps || [],
+            scaleOut: plan,
+            history: current?.history || [],
+            createdAt: Date.now()
+        });
+        this.saveRules();
+    }
+
+    /**
+     * Move order plans onto the position created by the fill
+     */
+    handleExecution(execution) {
+        const orderId = execution?.order?.orderId || execution?.orderId;
+        const entry = orderId ? this.orderPlans.get(orderId) : null;
+        if (!entry) return;
+
+        switch (execution.type) {
+            case 'ORDER_FILLED': {
+                const positionId = execution.positionId || execution.position?.positionId;
+                if (!positionId) return;
+
+                // Re-anchor R on the actual fill price
+                const fillPrice = execution.executionPrice || execution.position?.entryPrice;
+                const stopLoss = execution.position?.stopLoss;
+                if (fillPrice && stopLoss) {
+                    entry.plan.riskDistance = Math.abs(fillPrice - stopLoss);
+                }
+
+                this.setScaleOut(positionId, entry.symbol, entry.plan);
+                break;
+            }
+            case 'ORDER_CANCELLED':
+            case 'ORDER_EXPIRED':
+            case 'ORDER_REJECTED':
+                break;
+            default:
+                return;
+        }
+
+        this.orderPlans.delete(orderId);
+        this.saveOrderPlans();
+    }
+
+    /**
+     * Scale-out and stop events recorded for a position
+     */
+    getPositionHistory(positionId) {
+        return this.rules.get(positionId)?.history || [];
+    }
+
+    removeRules(positionId) {
+        if (this.rules.delete(positionId)) {
+            this.lastModify.delete(positionId);
+            this.saveRules();
+        }
+    }
+
+    /**
+     * Drop rules for positions that no longer exist
+     */
+    pruneRules(openPositionIds) {
+        const open = new Set(openPositionIds);
+        Array.from(this.rules.keys())
+            .filter(positionId => !open.has(positionId))
+            .forEach(positionId => this.removeRules(positionId));
+    }
+
+    /**
+     * Process a quote for every managed position on its symbol
+     */
+    handleQuote(quote) {
+        if (!quote || !quote.symbol) return;
+
+        const rules = Array.from(this.rules.values()).filter(rule => rule.symbol === quote.symbol);
+
+        // Bars (and the history behind them) only for symbols with an ATR trail
+        if (this.bars.has(quote.symbol) || rules.some(rule => rule.trailing?.mode === 'atr')) {
+            this.updateBars(quote);
+        }
+
+        rules.forEach(rule => this.evaluatePosition(rule, quote));
+    }
+
+    /**
+     * Aggregate mid prices into ATR_TIMEFRAME bars on server time, seeded with history
+     * from the market data cache the first time a symbol needs them
+     */
+    updateBars(quote) {
+        const { ATR_TIMEFRAME, MAX_ATR_BARS, MAX_ATR_TICKS } = CONFIG.TRADING.POSITION_MANAGER;
+
+        if (!this.bars.has(quote.symbol)) {
+            const aggregator = new BarAggregator(ATR_TIMEFRAME, { maxBars: MAX_ATR_BARS, maxTicks: MAX_ATR_TICKS });
+            this.bars.set(quote.symbol, aggregator);
+            this.loadBarHistory(quote.symbol, aggregator);
+        }
+
+        const timestamp = quote.timestamp || window.ctraderSDK?.getServerTime() || Date.now();
+        this.bars.get(quote.symbol).addTick((quote.bid + quote.ask) / 2, timestamp);
+    }
+
+    async loadBarHistory(symbol, aggregator) {
+        const { ATR_TIMEFRAME, MAX_ATR_BARS } = CONFIG.TRADING.POSITION_MANAGER;
+        const asOf = window.ctraderSDK?.getServerTime() ?? Date.now();
+
+        try {
+            const bars = await marketData.getBars(symbol, ATR_TIMEFRAME, {
+                from: asOf - MAX_ATR_BARS * BarAggregator.getPeriod(ATR_TIMEFRAME),
+                to: asOf
+            });
+            if (bars.length > 0) {
+                aggregator.setHistory(bars, asOf);
+            }
+        } catch (error) {
+            Logger.warn(`ATR trails for ${symbol} wait for live bars:`, error);
+        }
+    }
+
+    getATR(symbol) {
+        const aggregator = this.bars.get(symbol);
+        return aggregator ? TradingUtils.calculateATR(aggregator.getBars(), CONFIG.TRADING.POSITION_MANAGER.ATR_PERIOD) : null;
+    }
+
+    /**
+     * Work out the best stop the rules allow and send it if it tightens the current one
+     */
+    evaluatePosition(rule, quote) {
+        const position = this.engine.positions.get(rule.positionId);
+        if (!position || this.inFlight.has(rule.positionId)) return;
+
+        const { MODIFY_THROTTLE_MS, MIN_STOP_STEP_PIPS } = CONFIG.TRADING.POSITION_MANAGER;
+        const lastModify = this.lastModify.get(rule.positionId) || 0;
+        if (Date.now() - lastModify < MODIFY_THROTTLE_MS) return;
+
+        const symbol = position.symbol;
+        const direction = position.side === 'buy' ? 1 : -1;
+        const exitPrice = position.side === 'buy' ? quote.bid : quote.ask;
+
+        // Partial closes take priority; stops are re-evaluated on the next quote
+        if (this.evaluateScaleOut(rule, position, exitPrice, direction)) return;
+
+        const profitPips = (exitPrice - position.entryPrice) * direction / symbolRegistry.getPipSize(symbol);
+        const fromEntry = (pips) => position.entryPrice + direction * symbolRegistry.pipsToPrice(symbol, pips);
+
+        const candidates = [];
+        const reached = { breakEven: false, steps: [] };
+
+        if (rule.breakEven && profitPips >= rule.breakEven.triggerPips) {
+            candidates.push(fromEntry(rule.breakEven.offsetPips || 0));
+            reached.breakEven = true;
+        }
+
+        rule.steps.forEach((step, index) => {
+            if (profitPips >= step.profitPips) {
+                candidates.push(fromEntry(step.lockPips));
+                reached.steps.push(index);
+            }
+        });
+
+        if (rule.trailing && profitPips >= (rule.trailing.activationPips || 0)) {
+            const distance = rule.trailing.mode === 'atr' ?
+                (this.getATR(symbol) || 0) * rule.trailing.distance :
+                symbolRegistry.pipsToPrice(symbol, rule.trailing.distance);
+
+            // ATR trails wait until enough bars have been loaded or collected
+            if (distance > 0) {
+                candidates.push(exitPrice - direction * distance);
+            }
+        }
+
+        // Stops must stay on the losing side of the current price
+        const valid = candidates.filter(stop => (exitPrice - stop) * direction > 0);
+        if (valid.length === 0) return;
+
+        const target = symbolRegistry.roundPrice(symbol, direction === 1 ? Math.max(...valid) : Math.min(...valid));
+
+        // Only ever tighten, and only by a meaningful amount
+        if (position.stopLoss) {
+            const improvementPips = (target - position.stopLoss) * direction / symbolRegistry.getPipSize(symbol);
+            if (improvementPips < MIN_STOP_STEP_PIPS) return;
+        }
+
+        this.moveStop(rule, position, target, reached);
+    }
+
+    /**
+     * Close the next plan level once price reaches its R multiple
+     */
+    evaluateScaleOut(rule, position, exitPrice, direction) {
+        const plan = rule.scaleOut;
+        if (!plan || !plan.riskDistance) return false;
+
+        const level = plan.levels.find(l => !l.done);
+        if (!level) return false;
+
+        const currentR = (exitPrice - position.entryPrice) * direction / plan.riskDistance;
+        if (currentR < level.r) return false;
+
+        this.executeScaleOut(rule, position, level, exitPrice);
+        return true;
+    }
+
+    async executeScaleOut(rule, position, level, price) {
+        const plan = rule.scaleOut;
+        const spec = symbolRegistry.get(position.symbol);
+
+        let volume = symbolRegistry.normalizeVolume(position.symbol, plan.initialVolume * level.percent / 100);
+        const remaining = position.volume - volume;
+        const closesAll = volume >= position.volume || remaining < spec.minVolume;
+        if (closesAll) volume = position.volume;
+
+        this.inFlight.add(rule.positionId);
+        this.lastModify.set(rule.positionId, Date.now());
+        level.attempts++;
+
+        try {
+            Logger.info(`Scale-out ${position.symbol} #${position.id}: closing ${volume} lots at ${level.r}R`);
+
+            const profit = currencyConverter.calculatePnL(position.symbol, position.side, position.entryPrice, price, volume);
+            const result = await this.engine.closePosition(position.id, closesAll ? null : volume, { silent: true });
+
+            const entry = {
+                type: 'scale_out',
+                r: level.r,
+                percent: level.percent,
+                volume: volume,
+                price: price,
+                profit: result.success ? profit : null,
+                success: result.success,
+                error: result.success ? null : result.error,
+                timestamp: Date.now()
+            };
+            rule.history.push(entry);
+
+            this.engine.tradingHistory.push({
+                ...entry,
+                positionId: position.id,
+                symbol: position.symbol,
+                side: position.side,
+                status: result.success ? 'partial_close' : 'failed'
+            });
+
+            if (result.success) {
+                level.done = true;
+                const profitText = profit === null ? '' : ` (${NumberUtils.formatCurrency(profit, currencyConverter.getAccountCurrency())})`;
+                this.engine.showTradeSuccess(`Scaled out ${volume} ${position.symbol} at ${level.r}R${profitText}`);
+
+                // Hand the runner to the trailing stop once the plan is complete
+                if (plan.levels.every(l => l.done) && plan.trailRest) {
+                    rule.trailing = plan.trailRest;
+                }
+            } else if (level.attempts >= 3) {
+                level.done = true;
+                level.failed = true;
+                this.engine.showTradeError(`Scale-out at ${level.r}R for ${position.symbol} failed: ${result.error}`);
+            }
+
+            // The rule is gone if this closed the whole position
+            if (this.rules.has(rule.positionId)) {
+                this.saveRules();
+                this.engine.updatePositionsDisplay();
+            }
+
+        } finally {
+            this.inFlight.delete(rule.positionId);
+        }
+    }
+
+    /**
+     * Send the stop change through the trading engine
+     */
+    async moveStop(rule, position, stopLoss, reached) {
+        this.inFlight.add(rule.positionId);
+        this.lastModify.set(rule.positionId, Date.now());
+
+        try {
+            Logger.info(`Auto stop ${position.symbol} #${position.id}: ${position.stopLoss || 'none'} -> ${stopLoss}`);
+
+            const result = await this.engine.modifyPosition(position.id, stopLoss, null, { silent: true });
+
+            if (result.success) {
+                if (reached.breakEven && !rule.breakEven.triggered) {
+                    rule.breakEven.triggered = true;
+                    this.engine.showTradeSuccess(`${position.symbol} stop moved to break-even`);
+                }
+                reached.steps.forEach(index => rule.steps[index].triggered = true);
+
+                this.saveRules();
+            } else {
+                Logger.warn(`Auto stop for position ${position.id} rejected:`, result.error);
+            }
+
+        } finally {
+            this.inFlight.delete(rule.positionId);
+        }
+    }
+
+    /**
+     * Short label for the positions list, e.g. "TS 20p · BE"
+     */
+    getRuleSummary(positionId) {
+        const rule = this.rules.get(positionId);
+        if (!rule) return '';
+
+        const parts = [];
+        if (rule.trailing) {
+            parts.push(rule.trailing.mode === 'atr' ? `TS ${rule.trailing.distance}×ATR` : `TS ${rule.trailing.distance}p`);
+        }
+        if (rule.breakEven) {
+            parts.push(rule.breakEven.triggered ? 'BE ✓' : `BE @${rule.breakEven.triggerPips}p`);
+        }
+        if (rule.steps.length > 0) {
+            parts.push(`Steps ${rule.steps.filter(step => step.triggered).length}/${rule.steps.length}`);
+        }
+        if (rule.scaleOut) {
+            const levels = rule.scaleOut.levels;
+            parts.push(`Scale ${levels.filter(level => level.done).length}/${levels.length}`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Configure stop rules for a position from the positions list
+     */
+    showRulesDialog(positionId) {
+        const position = this.engine.positions.get(positionId);
+        if (!position) return;
+
+        const current = this.rules.get(positionId);
+
+        const trailingInput = prompt(
+            'Trailing stop distance - pips (e.g. 20) or ATR multiple (e.g. 2atr). Leave empty for none:',
+            current?.trailing ? `${current.trailing.distance}${current.trailing.mode === 'atr' ? 'atr' : ''}` : ''
+        );
+        if (trailingInput === null) return;
+
+        const breakEvenInput = prompt(
+            'Break-even - trigger pips + offset pips (e.g. 15+1). Leave empty for none:',
+            current?.breakEven ? `${current.breakEven.triggerPips}+${current.breakEven.offsetPips}` : ''
+        );
+        if (breakEvenInput === null) return;
+
+        const stepsInput = prompt(
+            'Step stops - profit:lock pips pairs (e.g. 20:5, 40:20). Leave empty for none:',
+            current?.steps.map(step => `${step.profitPips}:${step.lockPips}`).join(', ') || ''
+        );
+        if (stepsInput === null) return;
+
+        const scaleOutInput = prompt(
+            'Scale-out plan - R:percent levels, optional trail for the rest (e.g. 1R:50, 2R:25, trail 20). Leave empty for none:',
+            current?.scaleOut ? this.formatScaleOutPlan(current.scaleOut) : ''
+        );
+        if (scaleOutInput === null) return;
+
+        const rules = {
+            trailing: this.parseTrailing(trailingInput),
+            breakEven: this.parseBreakEven(breakEvenInput),
+            steps: this.parseSteps(stepsInput)
+        };
+
+        // Keep a running plan's progress unless it was edited
+        const scaleOut = this.parseScaleOutPlan(scaleOutInput);
+        if (current?.scaleOut && scaleOutInput.trim() === this.formatScaleOutPlan(current.scaleOut)) {
+            rules.scaleOut = current.scaleOut;
+        } else if (scaleOut.error) {
+            this.engine.showTradeError(scaleOut.error);
+            rules.scaleOut = current?.scaleOut || null;
+        } else if (scaleOut.levels.length > 0 && !position.stopLoss) {
+            this.engine.showTradeError('Scale-out plan needs a stop loss to measure R');
+            rules.scaleOut = current?.scaleOut || null;
+        } else {
+            rules.scaleOut = scaleOut.levels.length > 0 ?
+                this.createScaleOutPlan(position, scaleOut.levels, scaleOut.trailRest) :
+                null;
+        }
+
+        this.setRules(positionId, rules);
+        this.engine.showTradeSuccess(this.getRuleSummary(positionId) ?
+            `Stop rules updated: ${this.getRuleSummary(positionId)}` :
+            'Stop rules removed');
+    }
+
+    parseTrailing(input) {
+        const match = input.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(atr)?$/);
+        if (!match) return null;
+
+        return {
+            mode: match[2] ? 'atr' : 'pips',
+            distance: parseFloat(match[1]),
+            activationPips: 0
+        };
+    }
+
+    parseBreakEven(input) {
+        const match = input.trim().match(/^(\d+(?:\.\d+)?)\s*(?:\+\s*(-?\d+(?:\.\d+)?))?$/);
+        if (!match) return null;
+
+        return {
+            triggerPips: parseFloat(match[1]),
+            offsetPips: match[2] ? parseFloat(match[2]) : 0
+        };
+    }
+
+    /**
+     * Parse "1R:50, 2R:25, trail 20" into levels and an optional trailing rule.
+     * `error` is set when the levels close more than the whole position.
+     */
+    parseScaleOutPlan(input) {
+        const levels = [];
+        let trailRest = null;
+
+        (input || '').split(',').map(part => part.trim().toLowerCase()).forEach(part => {
+            const level = part.match(/^(\d+(?:\.\d+)?)\s*r?\s*:\s*(\d+(?:\.\d+)?)%?$/);
+            const trail = part.match(/^trail\s*:?\s*(.+)$/);
+
+            if (level) {
+                levels.push({ r: parseFloat(level[1]), percent: parseFloat(level[2]) });
+            } else if (trail) {
+                trailRest = this.parseTrailing(trail[1]);
+            }
+        });
+
+        const totalPercent = levels.reduce((sum, level) => sum + level.percent, 0);
+        const error = totalPercent > 100 ? `Scale-out plan closes ${totalPercent}% of the position` : null;
+
+        return { levels, trailRest, error };
+    }
+
+    formatScaleOutPlan(plan) {
+        const parts = plan.levels.map(level => `${level.r}R:${level.percent}`);
+        if (plan.trailRest) {
+            parts.push(`trail ${plan.trailRest.distance}${plan.trailRest.mode === 'atr' ? 'atr' : ''}`);
+        }
+        return parts.join(', ');
+    }
+
+    parseSteps(input) {
+        return input.split(',')
+            .map(pair => pair.trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(-?\d+(?:\.\d+)?)$/))
+            .filter(Boolean)
+            .map(match => ({ profitPips: parseFloat(match[1]), lockPips: parseFloat(match[2]) }));
+    }
+}
@@ -0,0 +1,427 @@
+/**
+ * TradeMaster AI Pro - Workspace Profiles
+ * Named bundles of trade defaults, risk limits, chart setup, watchlist and panel layout
+ */
+
+// Panels a profile can hide; the chart and trade form are always shown
+const PROFILE_PANELS = {
+    watchlist: { label: 'Watchlist', selector: '.watchlist-panel' },
+    scanner: { label: 'Market Scanner', selector: '.scanner-panel' },
+    chat: { label: 'AI Assistant', selector: '.ai-chat-panel' },
+    portfolio: { label: 'Portfolio', selector: '.portfolio-panel' },
+    news: { label: 'News', selector: '.news-panel' }
+};
+
+// Profile ids appear in URLs (?profile=) and data attributes; createId() produces this form
+const PROFILE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+class ProfileManager {
+    constructor(engine, chart) {
+        this.engine = engine;
+        this.chart = chart;
+        this.profiles = new Map();
+        this.activeId = null;
+
+        this.setupEventHandlers();
+        this.ready = this.load();
+    }
+
+    /**
+     * Load saved profiles and apply the one requested by the host URL, or the last active one.
+     * The first run saves the current workspace as "Default".
+     */
+    async load() {
+        try {
+            await Promise.all([settingsStore.ready, this.engine.ready, watchlistManager.ready]);
+
+            const [profiles, activeId] = await Promise.all([
+                appStorage.getItem('profiles'),
+                appStorage.getItem('active_profile')
+            ]);
+
+            (profiles || []).forEach(profile => {
+                const problem = ProfileManager.validateProfile(profile);
+                if (problem) {
+                    Logger.warn(`Skipping stored profile: ${problem}`);
+                    return;
+                }
+                this.profiles.set(profile.id, profile);
+            });
+
+            if (this.profiles.size === 0) {
+                const profile = this.captureCurrent('Default');
+                this.profiles.set(profile.id, profile);
+                await this.save();
+            }
+
+            const requested = getUrlParameter(CONFIG.WEBVIEW.PROFILE_PARAM);
+            const fromUrl = requested ? this.find(requested) : null;
+            if (requested && !fromUrl) {
+                Logger.warn(`Profile "${requested}" not found, using the last active profile`);
+            }
+
+            const profile = fromUrl || this.profiles.get(activeId) || this.profiles.values().next().value;
+            await this.apply(profile);
+        } catch (error) {
+            Logger.error('Failed to load profiles:', error);
+        }
+    }
+
+    save() {
+        return appStorage.setItem('profiles', [...this.profiles.values()]);
+    }
+
+    /**
+     * Problem with a stored or imported profile, or null if it is usable
+     */
+    static validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') return 'not a profile';
+        if (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id)) return `invalid id "${profile.id}"`;
+        if (typeof profile.name !== 'string' || !profile.name.trim()) return `profile ${profile.id} has no name`;
+        return null;
+    }
+
+    /**
+     * Find a profile by id or (case-insensitive) name
+     */
+    find(idOrName) {
+        const key = String(idOrName).trim().toLowerCase();
+        return this.profiles.get(key) ||
+            [...this.profiles.values()].find(profile => profile.name.toLowerCase() === key) ||
+            null;
+    }
+
+    getActive() {
+        return this.profiles.get(this.activeId) || null;
+    }
+
+    getProfiles() {
+        return [...this.profiles.values()];
+    }
+
+    /**
+     * URL-safe, unique id from a profile name
+     */
+    createId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+        let id = base;
+
+        for (let n = 2; this.profiles.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * Snapshot of the current workspace as a profile
+     */
+    captureCurrent(name, id = this.createId(name)) {
+        return {
+            id: id,
+            name: name,
+            tradeDefaults: {
+                defaultVolume: settingsStore.get('defaultVolume'),
+                defaultRiskPercent: settingsStore.get('defaultRiskPercent')
+            },
+            riskLimits: { ...this.engine.riskManager.limits },
+            chart: {
+                timeframe: this.chart.currentTimeframe,
+                indicators: [...this.chart.enabledIndicators],
+                indicatorParams: this.chart.indicatorParams
+            },
+            watchlist: watchlistManager.activeId,
+            layout: {
+                hiddenPanels: Object.keys(PROFILE_PANELS)
+                    .filter(key => document.querySelector(PROFILE_PANELS[key].selector)?.classList.contains('hidden'))
+            },
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Make a profile active and push its values to every component
+     */
+    async apply(profile) {
+        const errors = await settingsStore.update(profile.tradeDefaults || {});
+        if (Object.keys(errors).length > 0) {
+            Logger.warn(`Profile "${profile.name}" has invalid trade defaults:`, errors);
+        }
+
+        if (profile.riskLimits) {
+            this.engine.riskManager.setLimits(profile.riskLimits);
+        }
+
+        if (profile.chart) {
+            const timeframeSelect = document.getElementById('timeframe-select');
+            if (timeframeSelect) {
+                timeframeSelect.value = profile.chart.timeframe;
+            }
+            this.chart.setIndicators(profile.chart.indicators || [], profile.chart.indicatorParams || {});
+            await this.chart.changeTimeframe(profile.chart.timeframe);
+        }
+
+        if (profile.watchlist) {
+            await watchlistManager.setActive(profile.watchlist);
+        }
+
+        this.applyLayout(profile.layout || {});
+
+        this.activeId = profile.id;
+        appStorage.setItem('active_profile', profile.id);
+        this.updateProfileSelect();
+
+        document.dispatchEvent(new CustomEvent('profileChanged', {
+            detail: { profile }
+        }));
+
+        Logger.info(`Profile "${profile.name}" active`);
+    }
+
+    applyLayout(layout) {
+        const hidden = layout.hiddenPanels || [];
+
+        Object.entries(PROFILE_PANELS).forEach(([key, panel]) => {
+            document.querySelector(panel.selector)?.classList.toggle('hidden', hidden.includes(key));
+        });
+    }
+
+    /**
+     * Switch to another profile by id
+     */
+    async switchTo(id) {
+        const profile = this.profiles.get(id);
+        if (!profile || id === this.activeId) return;
+
+        await this.ready;
+        await this.apply(profile);
+        window.app?.showNotification(`Profile: ${profile.name}`, 'info');
+    }
+
+    /**
+     * Overwrite the active profile with the current workspace
+     */
+    async saveActive() {
+        const active = this.getActive();
+        if (!active) return;
+
+        const profile = this.captureCurrent(active.name, active.id);
+        this.profiles.set(profile.id, profile);
+        await this.save();
+    }
+
+    /**
+     * Save the current workspace as a new profile and make it active
+     */
+    async saveAsNew(name) {
+        name = (name || '').trim();
+        if (!name) return null;
+
+        if (this.find(name)) {
+            window.app?.showNotification(`A profile named "${name}" already exists`, 'error');
+            return null;
+        }
+
+        const profile = this.captureCurrent(name);
+        this.profiles.set(profile.id, profile);
+        await this.save();
+        await this.apply(profile);
+
+        return profile;
+    }
+
+    async deleteProfile(id) {
+        if (this.profiles.size <= 1) {
+            window.app?.showNotification('The last profile cannot be deleted', 'error');
+            return;
+        }
+
+        this.profiles.delete(id);
+        await this.save();
+
+        if (id === this.activeId) {
+            await this.apply(this.profiles.values().next().value);
+        } else {
+            this.updateProfileSelect();
+        }
+    }
+
+    // UI
+
+    setupEventHandlers() {
+        const profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', (e) => {
+                this.switchTo(e.target.value);
+            });
+        }
+
+        const manageButton = document.getElementById('profiles-toggle');
+        if (manageButton) {
+            manageButton.addEventListener('click', () => {
+                this.showProfilesDialog();
+            });
+        }
+    }
+
+    updateProfileSelect() {
+        const profileSelect = document.getElementById('profile-select');
+        if (!profileSelect) return;
+
+        profileSelect.innerHTML = this.getProfiles().map(profile => `
+            <option value="${ValidationUtils.escapeAttribute(profile.id)}" ${profile.id === this.activeId ? 'selected' : ''}>${ValidationUtils.sanitizeHtml(profile.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * One-line summary of a profile, escaped for HTML
+     */
+    describe(profile) {
+        return ValidationUtils.sanitizeHtml([
+            profile.chart?.timeframe,
+            `${profile.tradeDefaults?.defaultRiskPercent}% risk`,
+            `${profile.tradeDefaults?.defaultVolume} lots`,
+            watchlistManager.lists.find(list => list.id === profile.watchlist)?.name
+        ].filter(Boolean).join(' · '));
+    }
+
+    /**
+     * Dialog listing profiles, with panel choices for the active one
+     */
+    showProfilesDialog() {
+        document.getElementById('profiles-modal')?.remove();
+
+        const active = this.getActive();
+        const hiddenPanels = active?.layout?.hiddenPanels || [];
+
+        const modal = DOMUtils.createElement('div', {
+            className: 'modal',
+            id: 'profiles-modal'
+        }, `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Workspace Profiles</h3>
+                    <button class="btn-close" data-profile-action="close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="profile-list">
+                        ${this.getProfiles().map(profile => `
+                            <div class="profile-item ${profile.id === this.activeId ? 'active' : ''}">
+                                <div class="profile-info">
+                                    <span class="profile-name">${ValidationUtils.sanitizeHtml(profile.name)}</span>
+                                    <small>${this.describe(profile)} · ?${CONFIG.WEBVIEW.PROFILE_PARAM}=${ValidationUtils.sanitizeHtml(profile.id)}</small>
+                                </div>
+                                <div class="profile-actions">
+                                    ${profile.id === this.activeId ? '<span class="profile-badge">Active</span>' : `
+                                        <button class="btn-secondary" data-profile-action="switch" data-profile-id="${ValidationUtils.escapeAttribute(profile.id)}">Switch</button>
+                                    `}
+                                    <button class="btn-icon" title="Delete profile" data-profile-action="delete" data-profile-id="${ValidationUtils.escapeAttribute(profile.id)}">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    <div class="settings-section">
+                        <h4>${ValidationUtils.sanitizeHtml(active?.name || '')}</h4>
+                        <p class="settings-hint">Saving stores the current trade defaults, risk limits, chart timeframe, indicators and watchlist with these choices.</p>
+                        <div class="form-group">
+                            <label>Panels</label>
+                            <div class="checkbox-group">
+                                ${Object.entries(PROFILE_PANELS).map(([key, panel]) => `
+                                    <label><input type="checkbox" name="profile-panel" value="${key}" ${hiddenPanels.includes(key) ? '' : 'checked'}> ${panel.label}</label>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="settings-actions">
+                        <button class="btn-primary" data-profile-action="save">Save Profile</button>
+                        <button class="btn-secondary" data-profile-action="save-new">Save as New…</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const actions = {
+            close: () => modal.remove(),
+            switch: (id) => this.switchTo(id).then(() => this.showProfilesDialog()),
+            delete: (id) => this.confirmDelete(id),
+            save: () => this.saveFromDialog(),
+            'save-new': () => this.saveAsNewFromDialog()
+        };
+
+        modal.querySelectorAll('[data-profile-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                actions[button.dataset.profileAction](button.dataset.profileId);
+            });
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Dialog choices as profile overrides
+     */
+    readDialogChoices() {
+        const checked = (name) => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+        const visiblePanels = checked('profile-panel');
+
+        return {
+            hiddenPanels: Object.keys(PROFILE_PANELS).filter(key => !visiblePanels.includes(key))
+        };
+    }
+
+    async saveFromDialog() {
+        const { hiddenPanels } = this.readDialogChoices();
+
+        // Apply the choices first so they are part of the captured workspace
+        this.applyLayout({ hiddenPanels });
+        await this.saveActive();
+
+        document.getElementById('profiles-modal')?.remove();
+        window.app?.showNotification(`Profile "${this.getActive().name}" saved`, 'success');
+    }
+
+    async saveAsNewFromDialog() {
+        const name = prompt('Profile name:');
+        if (!name) return;
+
+        const { hiddenPanels } = this.readDialogChoices();
+        this.applyLayout({ hiddenPanels });
+
+        const profile = await this.saveAsNew(name);
+        if (profile) {
+            document.getElementById('profiles-modal')?.remove();
+            window.app?.showNotification(`Profile "${profile.name}" created`, 'success');
+        }
+    }
+
+    async confirmDelete(id) {
+        const profile = this.profiles.get(id);
+        if (!profile || !confirm(`Delete profile "${profile.name}"?`)) return;
+
+        await this.deleteProfile(id);
+        this.showProfilesDialog();
+    }
+}
+
+// Initialize profile manager
+const profileManager = new ProfileManager(tradingEngine, chartManager);
+
+backupManager.registerSection('profiles', {
+    label: 'Workspace profiles',
+    type: 'kv',
+    keys: ['profiles', 'active_profile'],
+    validateItem: (key, value) => {
+        if (key === 'active_profile') {
+            return typeof value === 'string' && PROFILE_ID_PATTERN.test(value) ? null : 'invalid profile id';
+        }
+        if (!Array.isArray(value)) return 'expected a list';
+
+        const problems = value.map(profile => ProfileManager.validateProfile(profile)).filter(Boolean);
+        return problems.length > 0 ? problems.join(', ') : null;
+    }
+});
@@ -0,0 +1,125 @@
+/**
+ * TradeMaster AI Pro - Quote Subscriptions
+ * Reference-counted quote subscriptions shared by the chart, watchlist and other consumers
+ */
+
+class QuoteSubscriptionManager {
+    constructor(interval = CONFIG.PERFORMANCE.PRICE_UPDATE_INTERVAL) {
+        this.interval = interval;
+        this.refCounts = new Map();
+        this.listeners = new Set();
+        this.pending = new Map();
+        this.timers = new Map();
+
+        if (window.ctraderSDK) {
+            window.ctraderSDK.onQuote((quote) => {
+                this.handleQuote(quote);
+            });
+
+            // Host subscriptions do not survive a dropped connection
+            window.ctraderSDK.onConnection((connected) => {
+                if (connected) {
+                    this.resubscribeAll();
+                }
+            });
+        }
+    }
+
+    /**
+     * Take a reference to a symbol's quotes; the first reference subscribes
+     */
+    acquire(symbol) {
+        if (!symbol) return;
+
+        const count = this.refCounts.get(symbol) || 0;
+        this.refCounts.set(symbol, count + 1);
+
+        if (count === 0) {
+            window.ctraderSDK?.subscribeToSymbol(symbol);
+        }
+    }
+
+    /**
+     * Drop a reference taken with acquire(); the last reference unsubscribes
+     */
+    release(symbol) {
+        const count = this.refCounts.get(symbol);
+        if (!count) return;
+
+        if (count > 1) {
+            this.refCounts.set(symbol, count - 1);
+            return;
+        }
+
+        this.refCounts.delete(symbol);
+        this.pending.delete(symbol);
+        clearTimeout(this.timers.get(symbol));
+        this.timers.delete(symbol);
+
+        window.ctraderSDK?.unsubscribeFromSymbol(symbol);
+    }
+
+    isSubscribed(symbol) {
+        return this.refCounts.has(symbol);
+    }
+
+    getSymbols() {
+        return [...this.refCounts.keys()];
+    }
+
+    resubscribeAll() {
+        const sdk = window.ctraderSDK;
+        if (!sdk) return;
+
+        Logger.info(`Resubscribing to ${this.refCounts.size} symbols`);
+        this.refCounts.forEach((count, symbol) => sdk.subscribeToSymbol(symbol));
+    }
+
+    /**
+     * Call handler(quote) for subscribed symbols, at most once per symbol per interval
+     * with the latest quote. Returns an unsubscribe function.
+     */
+    onQuote(handler) {
+        this.listeners.add(handler);
+        return () => this.listeners.delete(handler);
+    }
+
+    /**
+     * Deliver the first quote immediately, then hold later ones until the symbol's interval ends
+     */
+    handleQuote(quote) {
+        const symbol = quote?.symbol;
+        if (!this.refCounts.has(symbol)) return;
+
+        if (this.timers.has(symbol)) {
+            this.pending.set(symbol, quote);
+            return;
+        }
+
+        this.emit(quote);
+        this.timers.set(symbol, setTimeout(() => this.flush(symbol), this.interval));
+    }
+
+    flush(symbol) {
+        this.timers.delete(symbol);
+
+        const quote = this.pending.get(symbol);
+        if (quote) {
+            this.pending.delete(symbol);
+            this.handleQuote(quote);
+        }
+    }
+
+    emit(quote) {
+        this.listeners.forEach(handler => {
+            try {
+                handler(quote);
+            } catch (error) {
+                Logger.error('Quote listener error:', error);
+            }
+        });
+    }
+}
+
+// Initialize quote subscriptions
+const quoteSubscriptions = new QuoteSubscriptionManager();
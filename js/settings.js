@@ -0,0 +1,258 @@
+/**
+ * TradeMaster AI Pro - Settings
+ * Declarative, validated user settings persisted in appStorage with change events
+ */
+
+// type: 'number' | 'integer' | 'boolean' | 'string' | 'enum'
+const SETTINGS_SCHEMA = {
+    defaultVolume: {
+        label: 'Default Volume',
+        type: 'number',
+        default: CONFIG.TRADING.DEFAULT_VOLUME,
+        min: CONFIG.TRADING.MIN_VOLUME,
+        max: CONFIG.TRADING.MAX_VOLUME,
+        step: CONFIG.TRADING.VOLUME_STEP
+    },
+    defaultRiskPercent: {
+        label: 'Default Risk (%)',
+        type: 'number',
+        default: CONFIG.TRADING.DEFAULT_RISK_PERCENT,
+        min: 0.1,
+        max: CONFIG.TRADING.MAX_RISK_PERCENT,
+        step: 0.1
+    },
+    theme: {
+        label: 'Theme',
+        type: 'enum',
+        // The host's theme parameter applies until the user picks one
+        default: ['light', 'dark'].includes(getUrlParameter(CONFIG.WEBVIEW.THEME_PARAM)) ?
+            getUrlParameter(CONFIG.WEBVIEW.THEME_PARAM) : CONFIG.WEBVIEW.DEFAULT_THEME,
+        options: ['light', 'dark']
+    },
+    chartType: {
+        label: 'Chart Type',
+        type: 'enum',
+        default: 'candlestick',
+        options: Object.keys(CONFIG.CHART.TYPES)
+    },
+    chartUpdateInterval: {
+        label: 'Chart Update Interval (ms)',
+        type: 'integer',
+        default: CONFIG.PERFORMANCE.CHART_UPDATE_INTERVAL,
+        min: 100,
+        max: 60000,
+        step: 100
+    },
+    voiceLanguage: {
+        label: 'Voice Language',
+        type: 'string',
+        default: 'en-US',
+        pattern: /^[a-z]{2}-[A-Z]{2}$/
+    },
+    voiceFeedback: {
+        label: 'Enable voice feedback',
+        type: 'boolean',
+        default: true
+    }
+};
+
+// Keys used before settings were stored as one record; folded in on load
+const LEGACY_SETTING_KEYS = {
+    theme: 'theme',
+    default_volume: 'defaultVolume',
+    default_risk_percent: 'defaultRiskPercent'
+};
+
+class SettingsStore {
+    constructor(schema) {
+        this.schema = schema;
+        this.values = this.getDefaults();
+
+        this.ready = this.load();
+    }
+
+    getDefaults() {
+        return Object.fromEntries(Object.entries(this.schema).map(([key, field]) => [key, field.default]));
+    }
+
+    /**
+     * Load saved settings; values that no longer validate fall back to their default
+     */
+    async load() {
+        try {
+            const saved = await appStorage.getItem('settings') || {};
+
+            for (const [legacyKey, key] of Object.entries(LEGACY_SETTING_KEYS)) {
+                const legacyValue = await appStorage.getItem(legacyKey);
+                if (legacyValue !== null && legacyValue !== undefined) {
+                    saved[key] = legacyValue;
+                    await appStorage.removeItem(legacyKey);
+                }
+            }
+
+            const loaded = {};
+            Object.entries(saved).forEach(([key, value]) => {
+                if (!(key in this.schema)) return;
+
+                const error = this.validate(key, value);
+                if (error) {
+                    Logger.warn(`Ignoring saved setting ${key}: ${error}`);
+                    return;
+                }
+                loaded[key] = this.coerce(key, value);
+            });
+
+            this.apply(loaded);
+            await this.save();
+        } catch (error) {
+            Logger.error('Failed to load settings:', error);
+        }
+    }
+
+    /**
+     * Persist only values that differ from their default, so changed defaults still reach users
+     */
+    save() {
+        const overrides = Object.fromEntries(Object.entries(this.values)
+            .filter(([key, value]) => value !== this.schema[key].default));
+
+        return appStorage.setItem('settings', overrides);
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Convert form input (strings) to the field type; returns the value unchanged when it cannot
+     */
+    coerce(key, value) {
+        const field = this.schema[key];
+
+        if ((field.type === 'number' || field.type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+            return Number(value);
+        }
+        if (field.type === 'boolean' && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+
+        return value;
+    }
+
+    /**
+     * Error message for an invalid value, or null
+     */
+    validate(key, value) {
+        const field = this.schema[key];
+        if (!field) return 'Unknown setting';
+
+        value = this.coerce(key, value);
+
+        switch (field.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+                if (field.type === 'integer' && !Number.isInteger(value)) return 'Must be a whole number';
+                if (field.min !== undefined && value < field.min) return `Must be at least ${field.min}`;
+                if (field.max !== undefined && value > field.max) return `Must be at most ${field.max}`;
+                return null;
+
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'Must be on or off';
+
+            case 'enum':
+                return field.options.includes(value) ? null : `Must be one of: ${field.options.join(', ')}`;
+
+            case 'string':
+                if (typeof value !== 'string') return 'Must be text';
+                if (field.pattern && !field.pattern.test(value)) return 'Invalid format';
+                return null;
+
+            default:
+                return 'Unknown setting type';
+        }
+    }
+
+    /**
+     * Validate and save several settings at once. Nothing is applied if any value is invalid.
+     * Returns a map of key -> error message (empty on success).
+     */
+    async update(values) {
+        const errors = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            const error = this.validate(key, value);
+            if (error) {
+                errors[key] = error;
+            }
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return errors;
+        }
+
+        await this.ready;
+        const coerced = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, this.coerce(key, value)]));
+        this.apply(coerced);
+        await this.save();
+
+        return errors;
+    }
+
+    set(key, value) {
+        return this.update({ [key]: value });
+    }
+
+    /**
+     * Restore every setting to its schema default
+     */
+    async reset() {
+        await this.ready;
+        this.apply(this.getDefaults());
+        await this.save();
+
+        Logger.info('Settings reset to defaults');
+    }
+
+    /**
+     * Store values and emit settingsChanged with the ones that actually changed
+     */
+    apply(values) {
+        const changes = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (this.values[key] !== value) {
+                changes[key] = { value: value, previous: this.values[key] };
+                this.values[key] = value;
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            document.dispatchEvent(new CustomEvent('settingsChanged', {
+                detail: { changes }
+            }));
+        }
+    }
+
+    /**
+     * Call handler(value, previous) whenever the setting changes; returns an unsubscribe function
+     */
+    subscribe(key, handler) {
+        const listener = (event) => {
+            const change = event.detail.changes[key];
+            if (change) {
+                handler(change.value, change.previous);
+            }
+        };
+
+        document.addEventListener('settingsChanged', listener);
+        return () => document.removeEventListener('settingsChanged', listener);
+    }
+}
+
+// Initialize settings store
+const settingsStore = new SettingsStore(SETTINGS_SCHEMA);
@@ -0,0 +1,517 @@
+/**
+ * TradeMaster AI Pro - IndexedDB Storage
+ * Async named object stores with indexes, versioned schema migrations,
+ * expiring key/value items and quota handling
+ */
+
+class IndexedDBStorage {
+    /**
+     * @param {string} name - database name
+     * @param {Function[]} migrations - migrations[n] upgrades the schema from version n to n + 1
+     * @param {Object} options - { importLegacy: import the old localStorage data once after opening }
+     */
+    constructor(name, migrations, options = {}) {
+        this.name = name;
+        this.migrations = migrations;
+        this.options = options;
+        this.db = null;
+        this.quotaHandlers = new Map();
+        this.ready = this.init();
+    }
+
+    /**
+     * Open the database and run the one-time localStorage import.
+     * Never rejects: without IndexedDB every operation degrades (see the fallbacks below).
+     */
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            Logger.info(`Storage "${this.name}" ready (schema v${this.db.version})`);
+        } catch (error) {
+            this.db = null;
+            Logger.warn(`Storage "${this.name}" unavailable, falling back:`, error);
+            return;
+        }
+
+        if (this.options.importLegacy) {
+            try {
+                await this.importLegacyStorage();
+            } catch (error) {
+                // Nothing was removed from localStorage, so the import is retried on the next load
+                Logger.error('localStorage import failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Open the database, applying pending migrations in order
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.name, this.migrations.length);
+
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                for (let version = e.oldVersion; version < this.migrations.length; version++) {
+                    Logger.info(`Migrating storage "${this.name}" to v${version + 1}`);
+                    this.migrations[version](db, request.transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer tab upgrade the schema instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    Logger.warn(`Storage "${this.name}" closed for a schema upgrade in another tab`);
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Storage "${this.name}" upgrade blocked by another tab`));
+        });
+    }
+
+    /**
+     * Whether the database is open (waits for initialization)
+     */
+    async isAvailable() {
+        await this.ready;
+        return !!this.db;
+    }
+
+    /**
+     * Run a transaction; `action` receives the store(s) and may return a request
+     * whose result becomes the resolved value
+     */
+    run(storeNames, mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const stores = Array.isArray(storeNames) ?
+                storeNames.map(name => transaction.objectStore(name)) :
+                transaction.objectStore(storeNames);
+
+            let outcome;
+            try {
+                outcome = action(stores, transaction);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Run a write, freeing space through the registered quota handlers and retrying once when full
+     */
+    async write(storeNames, action) {
+        if (!await this.isAvailable()) return null;
+
+        try {
+            return await this.run(storeNames, 'readwrite', action);
+        } catch (error) {
+            if (!this.isQuotaError(error)) throw error;
+
+            Logger.warn(`Storage "${this.name}" is full, pruning old data`);
+            if (!await this.freeSpace()) {
+                this.emitQuotaExceeded(error);
+                throw error;
+            }
+
+            try {
+                return await this.run(storeNames, 'readwrite', action);
+            } catch (retryError) {
+                if (this.isQuotaError(retryError)) {
+                    this.emitQuotaExceeded(retryError);
+                }
+                throw retryError;
+            }
+        }
+    }
+
+    isQuotaError(error) {
+        return error?.name === 'QuotaExceededError';
+    }
+
+    /**
+     * Register a pruning function for a store, called when a write hits the quota.
+     * It should delete the least valuable records and resolve true if anything was removed.
+     */
+    onQuotaExceeded(storeName, handler) {
+        this.quotaHandlers.set(storeName, handler);
+    }
+
+    /**
+     * Run every quota handler; true if any freed space
+     */
+    async freeSpace() {
+        let freed = false;
+
+        for (const [storeName, handler] of this.quotaHandlers) {
+            try {
+                freed = (await handler(this)) || freed;
+            } catch (error) {
+                Logger.error(`Quota handler for "${storeName}" failed:`, error);
+            }
+        }
+
+        return freed;
+    }
+
+    emitQuotaExceeded(error) {
+        Logger.error(`Storage "${this.name}" quota exceeded:`, error);
+        document.dispatchEvent(new CustomEvent('storageQuotaExceeded', {
+            detail: { database: this.name }
+        }));
+    }
+
+    /**
+     * Storage usage and quota in bytes, when the browser reports them
+     */
+    async getUsage() {
+        if (!navigator.storage?.estimate) return null;
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota, percent: quota ? (usage / quota) * 100 : null };
+    }
+
+    /**
+     * Ask the browser not to evict this origin's data under storage pressure
+     */
+    async requestPersistence() {
+        if (!navigator.storage?.persist) return false;
+        return navigator.storage.persist();
+    }
+
+    // Record stores
+
+    async get(storeName, key) {
+        if (!await this.isAvailable()) return null;
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * All records of a store or of an index (optionally within a key range)
+     */
+    async getAll(storeName, { index = null, query = null, count } = {}) {
+        if (!await this.isAvailable()) return [];
+
+        return this.run(storeName, 'readonly', store => {
+            const source = index ? store.index(index) : store;
+            return source.getAll(query, count);
+        });
+    }
+
+    /**
+     * The newest `count` records by an index, returned oldest first
+     */
+    async getLatest(storeName, index, count) {
+        if (!await this.isAvailable()) return [];
+
+        const records = [];
+        await this.run(storeName, 'readonly', store => {
+            store.index(index).openCursor(null, 'prev').onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor && records.length < count) {
+                    records.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+        });
+
+        return records.reverse();
+    }
+
+    async put(storeName, value) {
+        return this.write(storeName, store => store.put(value));
+    }
+
+    /**
+     * Put many records in one transaction
+     */
+    async putAll(storeName, values) {
+        return this.write(storeName, store => {
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    async add(storeName, value) {
+        return this.write(storeName, store => store.add(value));
+    }
+
+    async delete(storeName, key) {
+        return this.write(storeName, store => store.delete(key));
+    }
+
+    async clear(storeName) {
+        return this.write(storeName, store => store.clear());
+    }
+
+    async count(storeName, query = null) {
+        if (!await this.isAvailable()) return 0;
+        return this.run(storeName, 'readonly', store => store.count(query));
+    }
+
+    /**
+     * Delete the oldest records by an index so that at most `keep` remain; returns how many went
+     */
+    async prune(storeName, index, keep) {
+        if (!await this.isAvailable()) return 0;
+
+        let removed = 0;
+        await this.run(storeName, 'readwrite', store => {
+            store.count().onsuccess = (e) => {
+                let excess = e.target.result - keep;
+                if (excess <= 0) return;
+
+                store.index(index).openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        removed++;
+                        cursor.continue();
+                    }
+                };
+            };
+        });
+
+        return removed;
+    }
+
+    // Key/value items (same expiration semantics as StorageUtils)
+
+    /**
+     * Set item with optional expiration; falls back to localStorage without IndexedDB
+     */
+    async setItem(key, value, expirationMs = null) {
+        if (!await this.isAvailable()) {
+            return StorageUtils.setItem(key, value, expirationMs);
+        }
+
+        const item = {
+            key: key,
+            value: value,
+            timestamp: Date.now(),
+            expiration: expirationMs ? Date.now() + expirationMs : null
+        };
+
+        try {
+            await this.put('kv', item);
+            return true;
+        } catch (error) {
+            Logger.error('Storage set error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get item with expiration check
+     */
+    async getItem(key) {
+        if (!await this.isAvailable()) {
+            return StorageUtils.getItem(key);
+        }
+
+        try {
+            const item = await this.get('kv', key);
+            if (!item) return null;
+
+            if (item.expiration && Date.now() > item.expiration) {
+                await this.delete('kv', key);
+                return null;
+            }
+
+            return item.value;
+        } catch (error) {
+            Logger.error('Storage get error:', error);
+            return null;
+        }
+    }
+
+    async removeItem(key) {
+        if (!await this.isAvailable()) {
+            return StorageUtils.removeItem(key);
+        }
+
+        try {
+            await this.delete('kv', key);
+            return true;
+        } catch (error) {
+            Logger.error('Storage remove error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete expired key/value items
+     */
+    async clearExpired() {
+        if (!await this.isAvailable()) {
+            return StorageUtils.clearExpired();
+        }
+
+        let removed = 0;
+        await this.run('kv', 'readwrite', store => {
+            // Items without expiration (null) are not part of the index
+            store.index('expiration').openCursor(IDBKeyRange.upperBound(Date.now())).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    removed++;
+                    cursor.continue();
+                }
+            };
+        });
+
+        Logger.info(`Cleared ${removed} expired items`);
+        return removed;
+    }
+
+    // One-time import of the localStorage data written before this storage layer
+
+    /**
+     * Copy this app's localStorage data (LEGACY_KEYS) into the stores, then remove it
+     * from localStorage. Other keys on the origin belong to other apps and are left alone.
+     * Runs once; the marker item records when it happened.
+     */
+    async importLegacyStorage() {
+        const marker = await this.run('kv', 'readonly', store => store.get(LEGACY_IMPORT_MARKER));
+        if (marker) return;
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (LEGACY_KEYS.includes(key) || LEGACY_KEY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+                keys.push(key);
+            }
+        }
+
+        const imported = [];
+        const now = Date.now();
+
+        await this.run(Object.values(LEGACY_STORES).concat('kv'), 'readwrite', (stores, transaction) => {
+            const byName = (name) => transaction.objectStore(name);
+
+            keys.forEach(key => {
+                const raw = this.parseLegacyItem(localStorage.getItem(key));
+                if (raw === undefined) return;
+
+                // The conversation was stored as a bare array, everything else through StorageUtils
+                if (key === 'trademaster_conversation' && Array.isArray(raw)) {
+                    raw.forEach((message, index) => {
+                        byName(LEGACY_STORES.conversation).add({ ...this.withoutId(message), timestamp: now - (raw.length - index) });
+                    });
+                    imported.push(key);
+                    return;
+                }
+
+                if (!raw || typeof raw !== 'object' || !('value' in raw) || !('timestamp' in raw)) return;
+                if (raw.expiration && now > raw.expiration) {
+                    imported.push(key);
+                    return;
+                }
+
+                if (key === 'closed_trades' && Array.isArray(raw.value)) {
+                    raw.value.forEach(trade => byName(LEGACY_STORES.closedTrades).put(trade));
+                } else if (key === 'trading_history' && Array.isArray(raw.value)) {
+                    raw.value.forEach(entry => byName(LEGACY_STORES.submissions).add(this.withoutId(entry)));
+                } else if (key.startsWith('user_feedback_')) {
+                    byName(LEGACY_STORES.feedback).add({ text: raw.value, timestamp: raw.timestamp });
+                } else {
+                    byName('kv').put({ key, value: raw.value, timestamp: raw.timestamp, expiration: raw.expiration || null });
+                }
+                imported.push(key);
+            });
+
+            byName('kv').put({ key: LEGACY_IMPORT_MARKER, value: { keys: imported.length }, timestamp: now, expiration: null });
+        });
+
+        imported.forEach(key => localStorage.removeItem(key));
+        if (imported.length > 0) {
+            Logger.info(`Imported ${imported.length} localStorage items into "${this.name}"`);
+        }
+    }
+
+    /**
+     * Copy of a record without an `id`, so auto-increment stores assign one
+     */
+    withoutId(record) {
+        const { id, ...rest } = record;
+        return rest;
+    }
+
+    /**
+     * Parsed JSON, or undefined for values that are not JSON
+     */
+    parseLegacyItem(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return undefined;
+        }
+    }
+}
+
+const LEGACY_IMPORT_MARKER = '__legacy_localstorage_import';
+
+// Keys the app wrote to localStorage before this storage layer
+const LEGACY_KEYS = [
+    'trademaster_conversation', 'current_symbol', 'theme', 'default_volume', 'default_risk_percent',
+    'trading_history', 'closed_trades', 'risk_limits', 'risk_session', 'risk_lock_events',
+    'position_rules', 'order_scale_out_plans', 'order_groups', 'position_open_info', 'voice_command_history'
+];
+const LEGACY_KEY_PREFIXES = ['user_feedback_'];
+
+// Stores that receive the old localStorage blobs
+const LEGACY_STORES = {
+    closedTrades: 'closed_trades',
+    submissions: 'trade_submissions',
+    conversation: 'conversation',
+    feedback: 'feedback'
+};
+
+// App database schema; append a migration for every change, never edit a shipped one
+const APP_STORAGE_MIGRATIONS = [
+    // v1: key/value items, closed trades, order submissions, AI conversation, feedback
+    (db) => {
+        const kv = db.createObjectStore('kv', { keyPath: 'key' });
+        kv.createIndex('expiration', 'expiration');
+
+        const closedTrades = db.createObjectStore('closed_trades', { keyPath: 'id' });
+        closedTrades.createIndex('closeTime', 'closeTime');
+        closedTrades.createIndex('positionId', 'positionId');
+        closedTrades.createIndex('symbol', 'symbol');
+
+        const submissions = db.createObjectStore('trade_submissions', { keyPath: 'id', autoIncrement: true });
+        submissions.createIndex('timestamp', 'timestamp');
+
+        const conversation = db.createObjectStore('conversation', { keyPath: 'id', autoIncrement: true });
+        conversation.createIndex('timestamp', 'timestamp');
+
+        const feedback = db.createObjectStore('feedback', { keyPath: 'id', autoIncrement: true });
+        feedback.createIndex('timestamp', 'timestamp');
+    }
+];
+
+// Initialize app storage
+const appStorage = new IndexedDBStorage(CONFIG.STORAGE.DB_NAME, APP_STORAGE_MIGRATIONS, { importLegacy: true });
+
+// Bounded history stores give up their oldest records first when the quota is hit
+appStorage.onQuotaExceeded('trade_submissions', storage =>
+    storage.prune('trade_submissions', 'timestamp', CONFIG.STORAGE.QUOTA_KEEP.SUBMISSIONS));
+appStorage.onQuotaExceeded('conversation', storage =>
+    storage.prune('conversation', 'timestamp', CONFIG.STORAGE.QUOTA_KEEP.CONVERSATION));
+appStorage.onQuotaExceeded('feedback', storage =>
+    storage.prune('feedback', 'timestamp', CONFIG.STORAGE.QUOTA_KEEP.FEEDBACK));
@@ -0,0 +1,178 @@
+/**
+ * TradeMaster AI Pro - Symbol Registry
+ * Symbol metadata (digits, pip size, lot size, volume limits) for every tradeable instrument
+ */
+
+class SymbolRegistry {
+    constructor() {
+        this.symbols = new Map();
+    }
+
+    /**
+     * Register symbols from getLightSymbolList / getSymbols.
+     * Volumes from cTrader are in units and are stored here in lots.
+     */
+    register(symbols = []) {
+        symbols.forEach(symbol => {
+            const name = (symbol.name || symbol.symbolName || '').toUpperCase();
+            if (!name) return;
+
+            const defaults = this.getDefaults(name);
+            const lotSize = symbol.lotSize || defaults.lotSize;
+            const toLots = (units) => units ? units / lotSize : null;
+
+            this.symbols.set(name, {
+                name: name,
+                description: symbol.description || defaults.description,
+                baseCurrency: symbol.baseCurrency || null,
+                quoteCurrency: symbol.quoteCurrency || null,
+                digits: symbol.digits ?? defaults.digits,
+                pipPosition: symbol.pipPosition ?? defaults.pipPosition,
+                lotSize: lotSize,
+                minVolume: toLots(symbol.minVolume) || defaults.minVolume,
+                maxVolume: toLots(symbol.maxVolume) || defaults.maxVolume,
+                volumeStep: toLots(symbol.volumeStep) || defaults.volumeStep
+            });
+        });
+
+        Logger.info(`Symbol registry holds ${this.symbols.size} symbols`);
+    }
+
+    /**
+     * Get symbol spec, falling back to defaults inferred from the name
+     */
+    get(symbol) {
+        const name = (symbol || CONFIG.WEBVIEW.DEFAULT_SYMBOL).toUpperCase();
+        return this.symbols.get(name) || this.getDefaults(name);
+    }
+
+    has(symbol) {
+        return this.symbols.has((symbol || '').toUpperCase());
+    }
+
+    /**
+     * Find symbols by name or description; names starting with the query rank first.
+     * Before the host sends its symbol list, the default watchlist symbols are searched.
+     */
+    search(query, limit = 10) {
+        const term = (query || '').trim().toUpperCase();
+        if (!term) return [];
+
+        const candidates = this.symbols.size > 0 ?
+            [...this.symbols.values()] :
+            CONFIG.WATCHLIST.DEFAULT_SYMBOLS.map(name => this.getDefaults(name));
+
+        return candidates
+            .filter(spec => spec.name.includes(term) || (spec.description || '').toUpperCase().includes(term))
+            .sort((a, b) => (b.name.startsWith(term) - a.name.startsWith(term)) || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * Best-guess spec for symbols the host has not described yet
+     */
+    getDefaults(name) {
+        const spec = {
+            name: name,
+            description: name,
+            digits: 5,
+            pipPosition: 4,
+            lotSize: 100000,
+            minVolume: CONFIG.TRADING.MIN_VOLUME,
+            maxVolume: CONFIG.TRADING.MAX_VOLUME,
+            volumeStep: CONFIG.TRADING.VOLUME_STEP
+        };
+
+        if (/^X(AU|PT|PD)/.test(name)) {
+            return { ...spec, digits: 2, pipPosition: 1, lotSize: 100 };
+        }
+
+        if (/^XAG/.test(name)) {
+            return { ...spec, digits: 3, pipPosition: 2, lotSize: 5000 };
+        }
+
+        if (/^(BTC|ETH)/.test(name)) {
+            return { ...spec, digits: 2, pipPosition: 0, lotSize: 1 };
+        }
+
+        if (/^(US30|US500|NAS100|USTEC|GER40|UK100|JP225)/.test(name)) {
+            return { ...spec, digits: 1, pipPosition: 0, lotSize: 1 };
+        }
+
+        if (name.endsWith('JPY')) {
+            return { ...spec, digits: 3, pipPosition: 2 };
+        }
+
+        return spec;
+    }
+
+    getDigits(symbol) {
+        return this.get(symbol).digits;
+    }
+
+    getPipSize(symbol) {
+        return Math.pow(10, -this.get(symbol).pipPosition);
+    }
+
+    /**
+     * Smallest price increment, used for input step attributes
+     */
+    getTickSize(symbol) {
+        return Math.pow(10, -this.get(symbol).digits);
+    }
+
+    lotsToUnits(symbol, lots) {
+        return parseFloat(lots) * this.get(symbol).lotSize;
+    }
+
+    unitsToLots(symbol, units) {
+        return units / this.get(symbol).lotSize;
+    }
+
+    priceToPips(symbol, priceDistance) {
+        return Math.abs(priceDistance) / this.getPipSize(symbol);
+    }
+
+    pipsToPrice(symbol, pips) {
+        return pips * this.getPipSize(symbol);
+    }
+
+    formatPrice(symbol, price) {
+        return NumberUtils.formatNumber(price, this.getDigits(symbol));
+    }
+
+    roundPrice(symbol, price) {
+        return parseFloat(price.toFixed(this.getDigits(symbol)));
+    }
+
+    /**
+     * Snap volume in lots to the symbol's step and clamp to its limits
+     */
+    normalizeVolume(symbol, lots) {
+        const { minVolume, maxVolume, volumeStep } = this.get(symbol);
+        const stepDecimals = Math.max(0, -Math.floor(Math.log10(volumeStep)));
+        const snapped = Math.round(lots / volumeStep) * volumeStep;
+
+        return parseFloat(Math.min(maxVolume, Math.max(minVolume, snapped)).toFixed(stepDecimals));
+    }
+
+    /**
+     * Largest volume in lots on the symbol's step that does not exceed `lots`, capped at the
+     * maximum; null when even the minimum volume is larger (e.g. sizing from a risk budget)
+     */
+    floorVolume(symbol, lots) {
+        const { minVolume, maxVolume, volumeStep } = this.get(symbol);
+        const stepDecimals = Math.max(0, -Math.floor(Math.log10(volumeStep)));
+        // The epsilon keeps e.g. 0.3 / 0.1 = 2.9999999999999996 from losing a step
+        const floored = Math.min(maxVolume, Math.floor(lots / volumeStep + 1e-9) * volumeStep);
+
+        return floored < minVolume ? null : parseFloat(floored.toFixed(stepDecimals));
+    }
+
+    getSymbolNames() {
+        return Array.from(this.symbols.keys());
+    }
+}
+
+// Initialize symbol registry
+const symbolRegistry = new SymbolRegistry();
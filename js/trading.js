@@ -6,13 +6,29 @@
 class TradingEngine {
     constructor() {
         this.isInitialized = false;
+        this.isFlattening = false;
         this.currentSymbol = initializeSymbol();
-        this.defaultVolume = CONFIG.TRADING.DEFAULT_VOLUME;
+        this.defaultVolume = settingsStore.get('defaultVolume');
+        this.defaultRiskPercent = settingsStore.get('defaultRiskPercent');
+        this.riskMode = false;
+        // Why the form's risk budget could not be turned into a volume, or null
+        this.riskSizingError = null;
+        this.mockOrderSequence = 0;
         this.positions = new Map();
         this.pendingOrders = new Map();
         this.tradingHistory = [];
         this.riskManager = new RiskManager();
         this.performanceTracker = new PerformanceTracker();
+        this.positionManager = new PositionManager(this);
+        this.orderGroups = new OrderGroupManager(this);
+        
+        // Persisted state the SDK reconciliation below depends on
+        this.ready = Promise.all([
+            this.riskManager.ready,
+            this.performanceTracker.ready,
+            this.positionManager.ready,
+            this.orderGroups.ready
+        ]);
         
         this.init();
     }
@@ -24,7 +40,8 @@ class TradingEngine {
         Logger.info('Initializing Trading Engine...');
         
         this.setupEventHandlers();
-        this.loadTradingSettings();
+        this.applyTradingSettings();
+        this.updateTradingLockDisplay();
         
         // Connect to cTrader SDK
         if (window.ctraderSDK) {
@@ -37,6 +54,14 @@ class TradingEngine {
             window.ctraderSDK.onExecution((execution) => {
                 this.handleExecutionUpdate(execution);
             });
+            
+            window.ctraderSDK.onQuote((quote) => {
+                this.riskManager.evaluate();
+                
+                if (quote.symbol === this.currentSymbol) {
+                    this.updateTradingInterface();
+                }
+            });
         }
         
         this.isInitialized = true;
@@ -63,6 +88,30 @@ class TradingEngine {
             });
         }
         
+        // Order type selector
+        const orderTypeSelect = document.getElementById('order-type-select');
+        if (orderTypeSelect) {
+            orderTypeSelect.addEventListener('change', (e) => {
+                this.updateOrderTypeFields(e.target.value);
+            });
+        }
+        
+        // Order group selector (bracket / OCO)
+        const orderGroupSelect = document.getElementById('order-group-select');
+        if (orderGroupSelect) {
+            orderGroupSelect.addEventListener('change', (e) => {
+                this.updateOrderGroupFields(e.target.value);
+            });
+        }
+        
+        // Cancel all working orders for the active symbol
+        const cancelSymbolOrdersButton = document.getElementById('cancel-symbol-orders');
+        if (cancelSymbolOrdersButton) {
+            cancelSymbolOrdersButton.addEventListener('click', () => {
+                this.cancelAllOrders(this.currentSymbol);
+            });
+        }
+        
         // Volume input validation
         const volumeInput = document.getElementById('volume-input');
         if (volumeInput) {
@@ -82,12 +131,40 @@ class TradingEngine {
         if (slInput) {
             slInput.addEventListener('input', (e) => {
                 this.validatePriceInput(e.target, 'sl');
+                this.updateRiskDisplay();
             });
         }
         
         if (tpInput) {
             tpInput.addEventListener('input', (e) => {
                 this.validatePriceInput(e.target, 'tp');
+                this.updateRiskDisplay();
+            });
+        }
+        
+        // Risk-based sizing
+        const riskModeToggle = document.getElementById('risk-mode-toggle');
+        if (riskModeToggle) {
+            riskModeToggle.addEventListener('change', (e) => {
+                this.setRiskMode(e.target.checked);
+            });
+        }
+        
+        ['risk-value-input', 'risk-unit-select', 'sl-pips-input', 'volume-input', 'entry-price-input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateRiskDisplay());
+            }
+        });
+        
+        const riskUnitSelect = document.getElementById('risk-unit-select');
+        if (riskUnitSelect) {
+            riskUnitSelect.addEventListener('change', (e) => {
+                const riskInput = document.getElementById('risk-value-input');
+                if (riskInput && e.target.value === 'percent') {
+                    riskInput.value = this.defaultRiskPercent;
+                }
+                this.updateRiskDisplay();
             });
         }
         
@@ -96,11 +173,25 @@ class TradingEngine {
             this.handleKeyboardShortcuts(e);
         });
         
+        // Panic flatten
+        const panicButton = document.getElementById('panic-button');
+        if (panicButton) {
+            panicButton.addEventListener('click', () => {
+                this.flattenAll();
+            });
+        }
+        
         // Symbol changes
         document.addEventListener('symbolChanged', (e) => {
             this.currentSymbol = e.detail.symbol;
+            this.watchConversionSymbols();
             this.updateTradingInterface();
         });
+        
+        // Account guardrail lock/unlock
+        document.addEventListener('tradingLockChanged', (e) => {
+            this.handleTradingLockChanged(e.detail);
+        });
     }
     
     /**
@@ -110,8 +201,20 @@ class TradingEngine {
         try {
             Logger.info('Trading Engine connected to cTrader SDK');
             
+            // Stored rules, groups and trade info must be loaded before reconciling them
+            await this.ready;
+            
             // Load existing positions
             await this.loadPositions();
+            this.syncPendingOrders();
+            
+            // Reattach linked order groups to live orders and positions
+            await this.orderGroups.rebuild();
+            this.updateOrdersDisplay();
+            
+            // Start the risk session from the live account snapshot
+            this.riskManager.evaluate();
+            this.updateTradingLockDisplay();
             
             // Update trading interface
             this.updateTradingInterface();
@@ -122,12 +225,22 @@ class TradingEngine {
     }
     
     /**
-     * Execute trade (market order)
+     * Execute trade (market or pending order)
      */
     async executeTrade(side, customParams = {}) {
         try {
             Logger.info(`Executing ${side} trade for ${this.currentSymbol}`);
             
+            // A form trade in risk mode must fit the risk budget; size it from the latest
+            // price and stop before the volume is read
+            if (this.riskMode && Object.keys(customParams).length === 0) {
+                this.updateRiskDisplay(side);
+                if (this.riskSizingError) {
+                    this.showTradeError(this.riskSizingError);
+                    return { success: false, error: this.riskSizingError };
+                }
+            }
+            
             // Get trade parameters
             const params = this.getTradeParameters(side, customParams);
             
@@ -156,12 +269,52 @@ class TradingEngine {
             // Disable trading buttons during execution
             this.setTradingButtonsEnabled(false);
             
+            // Linked order groups place their own legs
+            if (params.group) {
+                const groupResult = await this.orderGroups.placeGroup(params);
+                
+                if (groupResult.success) {
+                    if (params.scaleOutPlan && groupResult.orderId) {
+                        this.positionManager.attachPlanToOrder(groupResult.orderId, params);
+                    }
+                    this.riskManager.recordTradeOpened();
+                    this.showTradeSuccess(groupResult.message);
+                    this.clearTradeForm();
+                } else {
+                    this.handleTradeError(groupResult.error);
+                    this.showTradeError(groupResult.error);
+                }
+                
+                return groupResult;
+            }
+            
+            const isPending = params.orderType !== CONFIG.TRADING.MARKET_ORDER;
+            
             // Execute trade via cTrader SDK
-            const result = await this.executeMarketOrder(params);
+            const result = isPending ?
+                await this.executePendingOrder(params) :
+                await this.executeMarketOrder(params);
             
-            if (result.success) {
+            // Scale-out plans follow the order onto its position; market fills already have one
+            if (result.success && params.scaleOutPlan) {
+                if (!isPending && result.positionId) {
+                    this.positionManager.attachPlanToPosition(result.positionId, params, result.executionPrice);
+                } else {
+                    this.positionManager.attachPlanToOrder(result.orderId, params);
+                }
+            }
+            
+            if (result.success && isPending) {
+                this.handlePendingOrderPlaced(result, params);
+                this.riskManager.recordTradeOpened();
+                
+                this.showTradeSuccess(`${side.toUpperCase()} ${this.getOrderTypeLabel(params.orderType)} order placed at ${params.entryPrice}`);
+                this.clearTradeForm();
+                
+            } else if (result.success) {
                 this.handleTradeSuccess(result, params);
                 this.performanceTracker.recordTrade(params, result);
+                this.riskManager.recordTradeOpened();
                 
                 // Show success notification
                 this.showTradeSuccess(`${side.toUpperCase()} order executed successfully`);
@@ -193,24 +346,98 @@ class TradingEngine {
      */
     getTradeParameters(side, customParams = {}) {
         const volumeInput = document.getElementById('volume-input');
-        const slInput = document.getElementById('sl-input');
         const tpInput = document.getElementById('tp-input');
+        const orderTypeSelect = document.getElementById('order-type-select');
+        const entryInput = document.getElementById('entry-price-input');
+        const limitInput = document.getElementById('limit-price-input');
+        const expiryInput = document.getElementById('expiry-input');
         
         const quote = window.ctraderSDK?.getCurrentQuote(this.currentSymbol);
         const currentPrice = quote ? (side === 'buy' ? quote.ask : quote.bid) : null;
         
+        // Voice and AI callers pass their own params and default to market
+        const orderType = customParams.orderType ||
+            (Object.keys(customParams).length === 0 && orderTypeSelect?.value) ||
+            CONFIG.TRADING.MARKET_ORDER;
+        const isPending = orderType !== CONFIG.TRADING.MARKET_ORDER;
+        const entryPrice = isPending ?
+            (customParams.entryPrice || (entryInput?.value ? parseFloat(entryInput.value) : null)) : null;
+        const formStopLoss = Object.keys(customParams).length === 0 ?
+            this.getFormStopLoss(side, entryPrice || currentPrice) : null;
+        
         return {
             symbol: this.currentSymbol,
             side: side.toLowerCase(),
             volume: customParams.volume || parseFloat(volumeInput?.value || this.defaultVolume),
-            stopLoss: customParams.stopLoss || (slInput?.value ? parseFloat(slInput.value) : null),
+            stopLoss: customParams.stopLoss || formStopLoss,
             takeProfit: customParams.takeProfit || (tpInput?.value ? parseFloat(tpInput.value) : null),
-            orderType: 'market',
+            orderType: orderType,
+            entryPrice: entryPrice,
+            limitPrice: orderType === CONFIG.TRADING.STOP_LIMIT_ORDER ?
+                (customParams.limitPrice || (limitInput?.value ? parseFloat(limitInput.value) : null)) : null,
+            expiry: isPending ?
+                (customParams.expiry || (expiryInput?.value ? new Date(expiryInput.value).getTime() : null)) : null,
+            group: Object.keys(customParams).length === 0 ? this.getFormOrderGroup() : (customParams.group || null),
+            scaleOutPlan: Object.keys(customParams).length === 0 ? this.getFormScaleOutPlan() : (customParams.scaleOutPlan || null),
             currentPrice: currentPrice,
             timestamp: Date.now()
         };
     }
     
+    /**
+     * Order group settings from the form, or null for a single order
+     */
+    getFormOrderGroup() {
+        const groupType = document.getElementById('order-group-select')?.value;
+        
+        switch (groupType) {
+            case CONFIG.TRADING.BRACKET_GROUP:
+                return {
+                    type: groupType,
+                    takeProfits: this.orderGroups.parseLadder(document.getElementById('tp-ladder-input')?.value),
+                    stopLosses: this.orderGroups.parseLadder(document.getElementById('sl-ladder-input')?.value)
+                };
+            case CONFIG.TRADING.OCO_GROUP:
+                return {
+                    type: groupType,
+                    entryPrice: parseFloat(document.getElementById('oco-price-input')?.value) || null
+                };
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Scale-out plan from the form, or null when none is entered
+     */
+    getFormScaleOutPlan() {
+        const plan = this.positionManager.parseScaleOutPlan(document.getElementById('scale-out-input')?.value);
+        return plan.levels.length > 0 ? plan : null;
+    }
+    
+    /**
+     * Stop loss from the form: explicit price, else pip distance from entry
+     */
+    getFormStopLoss(side, entryPrice) {
+        const slInput = document.getElementById('sl-input');
+        const slPipsInput = document.getElementById('sl-pips-input');
+        
+        if (slInput?.value) {
+            return parseFloat(slInput.value);
+        }
+        
+        const pips = parseFloat(slPipsInput?.value);
+        if (!this.riskMode || !pips || !entryPrice) {
+            return null;
+        }
+        
+        const distance = symbolRegistry.pipsToPrice(this.currentSymbol, pips);
+        return symbolRegistry.roundPrice(
+            this.currentSymbol,
+            side.toLowerCase() === 'buy' ? entryPrice - distance : entryPrice + distance
+        );
+    }
+    
     /**
      * Validate trade parameters
      */
@@ -218,33 +445,56 @@ class TradingEngine {
         const errors = [];
         
         // Volume validation
+        const spec = symbolRegistry.get(params.symbol);
+        
         if (!params.volume || params.volume <= 0) {
             errors.push('Invalid volume');
         }
         
-        if (params.volume < CONFIG.TRADING.MIN_VOLUME) {
-            errors.push(`Volume below minimum (${CONFIG.TRADING.MIN_VOLUME})`);
+        if (params.volume < spec.minVolume) {
+            errors.push(`Volume below minimum (${spec.minVolume})`);
+        }
+        
+        if (params.volume > spec.maxVolume) {
+            errors.push(`Volume above maximum (${spec.maxVolume})`);
         }
         
-        if (params.volume > CONFIG.TRADING.MAX_VOLUME) {
-            errors.push(`Volume above maximum (${CONFIG.TRADING.MAX_VOLUME})`);
+        // Scale-out levels are R multiples, so they need the initial stop
+        if (params.scaleOutPlan) {
+            if (!params.stopLoss) {
+                errors.push('Scale-out plan needs a stop loss');
+            }
+            
+            const totalPercent = params.scaleOutPlan.levels.reduce((sum, level) => sum + level.percent, 0);
+            if (totalPercent > 100) {
+                errors.push('Scale-out plan closes more than 100%');
+            }
+        }
+        
+        // Pending order validation
+        const isPending = params.orderType && params.orderType !== CONFIG.TRADING.MARKET_ORDER;
+        if (isPending) {
+            errors.push(...this.validatePendingOrder(params));
         }
         
+        // SL/TP are measured from the fill price: entry level for pending orders
+        const referencePrice = isPending ? params.entryPrice : params.currentPrice;
+        
         // Price validation
-        if (params.stopLoss && params.currentPrice) {
+        if (params.stopLoss && referencePrice) {
             const isValidSL = params.side === 'buy' ? 
-                params.stopLoss < params.currentPrice : 
-                params.stopLoss > params.currentPrice;
+                params.stopLoss < referencePrice : 
+                params.stopLoss > referencePrice;
                 
             if (!isValidSL) {
                 errors.push('Invalid stop loss level');
             }
         }
         
-        if (params.takeProfit && params.currentPrice) {
+        if (params.takeProfit && referencePrice) {
             const isValidTP = params.side === 'buy' ? 
-                params.takeProfit > params.currentPrice : 
-                params.takeProfit < params.currentPrice;
+                params.takeProfit > referencePrice : 
+                params.takeProfit < referencePrice;
                 
             if (!isValidTP) {
                 errors.push('Invalid take profit level');
@@ -262,6 +512,44 @@ class TradingEngine {
         };
     }
     
+    /**
+     * Validate entry, limit and expiry of a pending order
+     */
+    validatePendingOrder(params) {
+        const errors = [];
+        const { side, orderType, entryPrice, limitPrice, expiry, currentPrice } = params;
+        
+        if (!entryPrice || entryPrice <= 0) {
+            errors.push('Entry price required for pending orders');
+            return errors;
+        }
+        
+        // Limits rest on the better side of the market, stops on the worse side
+        if (currentPrice) {
+            const isLimit = orderType === CONFIG.TRADING.LIMIT_ORDER;
+            const isBelowMarket = entryPrice < currentPrice;
+            const mustBeBelow = (side === 'buy') === isLimit;
+            
+            if (isBelowMarket !== mustBeBelow) {
+                errors.push(`${side.toUpperCase()} ${this.getOrderTypeLabel(orderType)} entry must be ${mustBeBelow ? 'below' : 'above'} market (${currentPrice})`);
+            }
+        }
+        
+        if (orderType === CONFIG.TRADING.STOP_LIMIT_ORDER) {
+            if (!limitPrice || limitPrice <= 0) {
+                errors.push('Limit price required for stop limit orders');
+            } else if (side === 'buy' ? limitPrice < entryPrice : limitPrice > entryPrice) {
+                errors.push(`Limit price must be ${side === 'buy' ? 'at or above' : 'at or below'} the stop price`);
+            }
+        }
+        
+        if (expiry && expiry <= Date.now()) {
+            errors.push('Expiry must be in the future');
+        }
+        
+        return errors;
+    }
+    
     /**
      * Execute market order via cTrader SDK
      */
@@ -291,6 +579,13 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Mock IDs stay unique when several orders are placed in the same millisecond (bracket legs)
+     */
+    createMockId(prefix) {
+        return `${prefix}_${Date.now()}_${++this.mockOrderSequence}`;
+    }
+    
     /**
      * Mock trade execution for development
      */
@@ -301,12 +596,13 @@ class TradingEngine {
         const success = Math.random() > 0.1; // 90% success rate
         
         if (success) {
-            const orderId = 'MOCK_' + Date.now();
+            const orderId = this.createMockId('MOCK');
             return {
                 success: true,
                 orderId: orderId,
+                positionId: this.createMockId('MOCK_POS'),
                 message: 'Mock trade executed successfully',
-                executionPrice: params.currentPrice + (Math.random() - 0.5) * 0.0001
+                executionPrice: params.currentPrice + (Math.random() - 0.5) * symbolRegistry.getPipSize(params.symbol)
             };
         } else {
             return {
@@ -316,6 +612,84 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Place pending order via cTrader SDK
+     */
+    async executePendingOrder(params) {
+        try {
+            if (!window.ctraderSDK || !window.ctraderSDK.isReady()) {
+                // Mock placement for development
+                return this.mockPendingOrderPlacement(params);
+            }
+            
+            const result = await window.ctraderSDK.createPendingOrder(
+                params.symbol,
+                params.side,
+                params.orderType,
+                params.volume,
+                params.entryPrice,
+                {
+                    limitPrice: params.limitPrice,
+                    expiry: params.expiry,
+                    stopLoss: params.stopLoss,
+                    takeProfit: params.takeProfit,
+                    positionId: params.positionId
+                }
+            );
+            
+            return result;
+            
+        } catch (error) {
+            Logger.error('Pending order placement failed:', error);
+            return {
+                success: false,
+                error: error.message || 'Order placement failed'
+            };
+        }
+    }
+    
+    /**
+     * Mock pending order placement for development
+     */
+    mockPendingOrderPlacement(params) {
+        Logger.info('Placing mock pending order:', params);
+        
+        return {
+            success: true,
+            orderId: this.createMockId('MOCK_ORD'),
+            message: 'Mock pending order placed successfully'
+        };
+    }
+    
+    /**
+     * Track a newly placed pending order
+     */
+    handlePendingOrderPlaced(result, params) {
+        Logger.info('Pending order placed:', result);
+        
+        this.pendingOrders.set(result.orderId, {
+            id: result.orderId,
+            symbol: params.symbol,
+            side: params.side,
+            orderType: params.orderType,
+            volume: params.volume,
+            entryPrice: params.entryPrice,
+            limitPrice: params.limitPrice,
+            stopLoss: params.stopLoss,
+            takeProfit: params.takeProfit,
+            expiry: params.expiry,
+            createdTime: Date.now()
+        });
+        
+        this.tradingHistory.push({
+            ...params,
+            orderId: result.orderId,
+            status: 'pending'
+        });
+        
+        this.updateOrdersDisplay();
+    }
+    
     /**
      * Handle successful trade execution
      */
@@ -359,7 +733,7 @@ class TradingEngine {
     /**
      * Close position
      */
-    async closePosition(positionId, volume = null) {
+    async closePosition(positionId, volume = null, options = {}) {
         try {
             Logger.info(`Closing position ${positionId}${volume ? ` (${volume} lots)` : ''}`);
             
@@ -383,7 +757,11 @@ class TradingEngine {
             }
             
             if (result.success) {
-                this.showTradeSuccess('Position closed successfully');
+                if (!options.silent) {
+                    this.showTradeSuccess('Position closed successfully');
+                }
+                
+                this.recordPositionClose(position, volume);
                 
                 if (!volume) {
                     // Full close - remove position
@@ -396,10 +774,14 @@ class TradingEngine {
                     }
                 }
                 
+                if (!this.positions.has(positionId)) {
+                    this.positionManager.removeRules(positionId);
+                }
+                
                 this.updatePositionsDisplay();
                 this.refreshPortfolio();
                 
-            } else {
+            } else if (!options.silent) {
                 this.showTradeError(result.error || 'Failed to close position');
             }
             
@@ -407,7 +789,9 @@ class TradingEngine {
             
         } catch (error) {
             Logger.error('Position close failed:', error);
-            this.showTradeError('Failed to close position');
+            if (!options.silent) {
+                this.showTradeError('Failed to close position');
+            }
             return { success: false, error: error.message };
             
         } finally {
@@ -415,10 +799,56 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Record a close from closePosition; the host's closing deal refines it when it arrives
+     */
+    recordPositionClose(position, volume = null) {
+        const closedVolume = volume || position.volume;
+        const closedShare = Math.min(1, closedVolume / position.volume);
+        
+        const quote = window.ctraderSDK?.getCurrentQuote(position.symbol);
+        const exitPrice = quote ? (position.side === 'buy' ? quote.bid : quote.ask) : position.currentPrice;
+        // Without a quote or conversion rate, take the host's P&L share
+        const grossProfit = (quote ?
+            currencyConverter.calculatePnL(position.symbol, position.side, position.entryPrice, exitPrice, closedVolume) :
+            null) ?? (position.profit || 0) * closedShare;
+        
+        this.handleClosedTrade({
+            positionId: position.id,
+            symbol: position.symbol,
+            side: position.side,
+            volume: closedVolume,
+            entryPrice: position.entryPrice,
+            exitPrice: exitPrice,
+            openTime: position.openTime,
+            closeTime: Date.now(),
+            grossProfit: grossProfit,
+            swap: (position.swap || 0) * closedShare,
+            commission: (position.commission || 0) * closedShare
+        });
+    }
+    
+    /**
+     * Store a closed trade and feed new results to the risk manager
+     */
+    handleClosedTrade(data) {
+        // Scale-out legs so far go with the record; the rule holding them is removed on close
+        const scaleOuts = this.positionManager.getPositionHistory(data.positionId);
+        const { record, isNew } = this.performanceTracker.recordClosedTrade(scaleOuts.length > 0 ?
+            { ...data, scaleOuts: scaleOuts.map(entry => ({ ...entry })) } :
+            data);
+        
+        if (isNew) {
+            this.riskManager.recordTradeClosed(record.netProfit);
+        }
+        
+        return record;
+    }
+    
     /**
      * Modify position (change SL/TP)
      */
-    async modifyPosition(positionId, stopLoss = null, takeProfit = null) {
+    async modifyPosition(positionId, stopLoss = null, takeProfit = null, options = {}) {
         try {
             Logger.info(`Modifying position ${positionId}`);
             
@@ -443,10 +873,12 @@ class TradingEngine {
                 if (stopLoss !== null) position.stopLoss = stopLoss;
                 if (takeProfit !== null) position.takeProfit = takeProfit;
                 
-                this.showTradeSuccess('Position modified successfully');
+                if (!options.silent) {
+                    this.showTradeSuccess('Position modified successfully');
+                }
                 this.updatePositionsDisplay();
                 
-            } else {
+            } else if (!options.silent) {
                 this.showTradeError(result.error || 'Failed to modify position');
             }
             
@@ -454,9 +886,154 @@ class TradingEngine {
             
         } catch (error) {
             Logger.error('Position modification failed:', error);
-            this.showTradeError('Failed to modify position');
+            if (!options.silent) {
+                this.showTradeError('Failed to modify position');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Cancel pending order
+     */
+    async cancelOrder(orderId, options = {}) {
+        try {
+            Logger.info(`Cancelling order ${orderId}`);
+            
+            const order = this.pendingOrders.get(orderId);
+            if (!order) {
+                throw new Error('Order not found');
+            }
+            
+            this.setOrderActionsEnabled(orderId, false);
+            
+            let result;
+            if (window.ctraderSDK && window.ctraderSDK.isReady()) {
+                result = await window.ctraderSDK.cancelOrder(orderId);
+            } else {
+                // Mock cancel for development
+                result = {
+                    success: true,
+                    message: 'Mock order cancelled successfully'
+                };
+            }
+            
+            if (result.success) {
+                this.pendingOrders.delete(orderId);
+                this.updateOrdersDisplay();
+            } else if (!options.silent) {
+                this.showTradeError(result.error || 'Failed to cancel order');
+            }
+            
+            return result;
+            
+        } catch (error) {
+            Logger.error('Order cancel failed:', error);
+            if (!options.silent) {
+                this.showTradeError('Failed to cancel order');
+            }
             return { success: false, error: error.message };
+            
+        } finally {
+            this.setOrderActionsEnabled(orderId, true);
+        }
+    }
+    
+    /**
+     * Modify pending order (entry, limit, SL/TP, volume, expiry)
+     */
+    async modifyOrder(orderId, changes = {}, options = {}) {
+        try {
+            Logger.info(`Modifying order ${orderId}`, changes);
+            
+            const order = this.pendingOrders.get(orderId);
+            if (!order) {
+                throw new Error('Order not found');
+            }
+            
+            // Re-run the placement rules against the modified order
+            const quote = window.ctraderSDK?.getCurrentQuote(order.symbol);
+            const validation = this.validateTrade({
+                ...order,
+                ...changes,
+                currentPrice: quote ? (order.side === 'buy' ? quote.ask : quote.bid) : null
+            });
+            if (!validation.isValid) {
+                if (!options.silent) {
+                    this.showTradeError(validation.errors.join(', '));
+                }
+                return { success: false, error: validation.errors.join(', ') };
+            }
+            
+            let result;
+            if (window.ctraderSDK && window.ctraderSDK.isReady()) {
+                result = await window.ctraderSDK.modifyOrder(orderId, changes);
+            } else {
+                // Mock modification for development
+                result = {
+                    success: true,
+                    message: 'Mock order modified successfully'
+                };
+            }
+            
+            if (result.success) {
+                Object.assign(order, changes);
+                
+                if (!options.silent) {
+                    this.showTradeSuccess('Order modified successfully');
+                }
+                this.updateOrdersDisplay();
+                
+            } else if (!options.silent) {
+                this.showTradeError(result.error || 'Failed to modify order');
+            }
+            
+            return result;
+            
+        } catch (error) {
+            Logger.error('Order modification failed:', error);
+            if (!options.silent) {
+                this.showTradeError('Failed to modify order');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Cancel all working orders, optionally only for one symbol
+     */
+    async cancelAllOrders(symbol = null) {
+        const orders = Array.from(this.pendingOrders.values())
+            .filter(order => !symbol || order.symbol === symbol);
+        
+        if (orders.length === 0) {
+            this.showNotification(`No working orders${symbol ? ` for ${symbol}` : ''}`, 'info');
+            return { success: true, cancelled: 0, failed: 0 };
+        }
+        
+        const confirmed = confirm(`Cancel ${orders.length} working orders${symbol ? ` for ${symbol}` : ''}?`);
+        if (!confirmed) return { success: false, error: 'Cancelled by user' };
+        
+        let successCount = 0;
+        let errorCount = 0;
+        
+        for (const order of orders) {
+            const result = await this.cancelOrder(order.id);
+            if (result.success) {
+                successCount++;
+            } else {
+                errorCount++;
+            }
+        }
+        
+        const message = `Cancelled ${successCount} orders${errorCount > 0 ? `, ${errorCount} failed` : ''}`;
+        if (errorCount > 0) {
+            this.showTradeError(message);
+        } else {
+            this.showTradeSuccess(message);
         }
+        
+        return { success: errorCount === 0, cancelled: successCount, failed: errorCount };
     }
     
     /**
@@ -495,10 +1072,157 @@ class TradingEngine {
     }
     
     /**
-     * Load existing positions from cTrader
+     * Panic flatten: close every position and cancel working orders.
+     * Optional filters: { symbol, side, cancelOrders, confirm }
      */
-    async loadPositions() {
-        try {
+    async flattenAll(filters = {}) {
+        const { symbol = null, side = null, cancelOrders = true } = filters;
+        
+        if (this.isFlattening) {
+            Logger.warn('Flatten already in progress');
+            return { success: false, error: 'Flatten already in progress' };
+        }
+        
+        const positions = Array.from(this.positions.values())
+            .filter(pos => !symbol || pos.symbol === symbol)
+            .filter(pos => !side || pos.side === side);
+        
+        const orders = cancelOrders ?
+            this.getPendingOrders()
+                .filter(order => !symbol || order.symbol === symbol)
+                .filter(order => !side || order.side === side) :
+            [];
+        
+        if (positions.length === 0 && orders.length === 0) {
+            this.showTradeError('Nothing to flatten');
+            return { success: true, closed: [], cancelled: [], failed: [] };
+        }
+        
+        const scope = [symbol, side ? side.toUpperCase() : null].filter(Boolean).join(' ');
+        if (filters.confirm !== false) {
+            const confirmed = confirm(`FLATTEN${scope ? ` ${scope}` : ''}: close ${positions.length} positions and cancel ${orders.length} orders?`);
+            if (!confirmed) return { success: false, error: 'Cancelled by user' };
+        }
+        
+        this.isFlattening = true;
+        Logger.warn(`Flattening ${positions.length} positions and ${orders.length} orders${scope ? ` (${scope})` : ''}`);
+        
+        const summary = this.showFlattenSummary(positions.length + orders.length);
+        const closed = [];
+        const cancelled = [];
+        const failed = [];
+        
+        // Positions and orders are sent in parallel, each retried on its own
+        const tasks = [
+            ...positions.map(position => this.withFlattenRetry(() => this.closePosition(position.id, null, { silent: true }))
+                .then(result => {
+                    const label = `${position.side.toUpperCase()} ${position.volume} ${position.symbol} (#${position.id})`;
+                    result.success ? closed.push(label) : failed.push({ label, error: result.error });
+                    summary.advance();
+                })),
+            ...orders.map(order => this.withFlattenRetry(() => this.cancelOrder(order.id, { silent: true }))
+                .then(result => {
+                    const label = `${this.getOrderTypeLabel(order.orderType)} ${order.side.toUpperCase()} ${order.volume} ${order.symbol} (#${order.id})`;
+                    result.success ? cancelled.push(label) : failed.push({ label, error: result.error });
+                    summary.advance();
+                }))
+        ];
+        
+        try {
+            await Promise.all(tasks);
+        } finally {
+            this.isFlattening = false;
+        }
+        
+        summary.complete(closed, cancelled, failed);
+        
+        const message = `Flatten: closed ${closed.length} positions, cancelled ${cancelled.length} orders${failed.length > 0 ? `, ${failed.length} failed` : ''}`;
+        if (failed.length > 0) {
+            this.showTradeError(message);
+        } else {
+            this.showTradeSuccess(message);
+        }
+        
+        return { success: failed.length === 0, closed, cancelled, failed };
+    }
+    
+    /**
+     * Retry a close/cancel until it succeeds or the retry budget runs out
+     */
+    async withFlattenRetry(action) {
+        const attempts = 1 + CONFIG.TRADING.FLATTEN_MAX_RETRIES;
+        
+        try {
+            return await NetworkUtils.retry(async () => {
+                const result = await action();
+                if (!result.success) {
+                    throw new Error(result.error || 'Request rejected');
+                }
+                return result;
+            }, attempts, CONFIG.TRADING.FLATTEN_RETRY_DELAY);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Progress/result modal for flattenAll
+     */
+    showFlattenSummary(total) {
+        document.getElementById('flatten-modal')?.remove();
+        
+        const modal = DOMUtils.createElement('div', {
+            className: 'modal',
+            id: 'flatten-modal'
+        }, `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Flatten All</h3>
+                    <button class="btn-close" onclick="this.closest('.modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="flatten-progress">Processing 0 / ${total}...</div>
+                    <div class="flatten-results"></div>
+                </div>
+            </div>
+        `);
+        document.body.appendChild(modal);
+        
+        const progress = modal.querySelector('.flatten-progress');
+        const results = modal.querySelector('.flatten-results');
+        let done = 0;
+        
+        return {
+            advance: () => {
+                done++;
+                progress.textContent = `Processing ${done} / ${total}...`;
+            },
+            complete: (closed, cancelled, failed) => {
+                progress.textContent = failed.length > 0 ?
+                    `Completed with ${failed.length} failures` :
+                    'All positions closed and orders cancelled';
+                progress.classList.toggle('text-danger', failed.length > 0);
+                
+                results.innerHTML = `
+                    <div>Closed positions: ${closed.length}</div>
+                    <div>Cancelled orders: ${cancelled.length}</div>
+                    ${failed.length > 0 ? `
+                        <ul class="flatten-failures">
+                            ${failed.map(item => `<li>${item.label}: ${item.error || 'Unknown error'}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                `;
+            }
+        };
+    }
+    
+    /**
+     * Load existing positions from cTrader
+     */
+    async loadPositions() {
+        try {
             if (!window.ctraderSDK || !window.ctraderSDK.isReady()) {
                 // Load mock positions for development
                 this.loadMockPositions();
@@ -510,9 +1234,15 @@ class TradingEngine {
             this.positions.clear();
             positions.forEach(position => {
                 this.positions.set(position.id, position);
+                this.performanceTracker.notePositionOpened(position);
             });
             
+            // Stop rules of positions closed elsewhere (SL/TP hit, other terminal)
+            this.positionManager.pruneRules(this.positions.keys());
+            this.performanceTracker.prunePositionInfo(this.positions.keys());
+            
             Logger.info(`Loaded ${positions.length} positions`);
+            this.watchConversionSymbols();
             this.updatePositionsDisplay();
             
         } catch (error) {
@@ -520,6 +1250,15 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Subscribe to the quotes that convert the traded symbol's and open positions' amounts
+     * into the account currency
+     */
+    watchConversionSymbols() {
+        const symbols = new Set([this.currentSymbol, ...Array.from(this.positions.values()).map(position => position.symbol)]);
+        currencyConverter.watchSymbols([...symbols]);
+    }
+    
     /**
      * Load mock positions for development
      */
@@ -558,8 +1297,10 @@ class TradingEngine {
         this.positions.clear();
         mockPositions.forEach(position => {
             this.positions.set(position.id, position);
+            this.performanceTracker.notePositionOpened(position);
         });
         
+        this.watchConversionSymbols();
         this.updatePositionsDisplay();
     }
     
@@ -569,6 +1310,18 @@ class TradingEngine {
     handleExecutionUpdate(execution) {
         Logger.info('Execution update received:', execution);
         
+        // Filled orders become positions; the position list reload below confirms them
+        if (execution.type === 'ORDER_FILLED') {
+            this.movePendingOrderToPositions(execution);
+        }
+        
+        // Closing deals (manual, SL/TP, stop-out) carry the realized P&L
+        if (execution.closedDeal) {
+            this.handleClosedTrade(execution.closedDeal);
+        }
+        
+        this.syncPendingOrders();
+        
         // Update positions
         this.loadPositions();
         
@@ -577,10 +1330,63 @@ class TradingEngine {
         
         // Show notification
         if (execution.type === 'ORDER_FILLED') {
-            this.showTradeSuccess(`Order ${execution.orderId} filled`);
+            this.showTradeSuccess(`Order ${execution.order?.orderId || execution.orderId} filled`);
         }
     }
     
+    /**
+     * Move a filled pending order into the positions map
+     */
+    movePendingOrderToPositions(execution) {
+        // Fills may report the order id on the nested order, like updateOrderFromExecution expects
+        const order = this.pendingOrders.get(execution.order?.orderId || execution.orderId);
+        if (!order) return;
+        
+        const fillPrice = execution.executionPrice || execution.position?.entryPrice || order.entryPrice;
+        const positionId = execution.positionId || execution.position?.positionId || order.id;
+        
+        this.pendingOrders.delete(order.id);
+        this.positions.set(positionId, {
+            id: positionId,
+            symbol: order.symbol,
+            side: order.side,
+            volume: order.volume,
+            entryPrice: fillPrice,
+            currentPrice: fillPrice,
+            profit: 0,
+            swap: 0,
+            commission: 0,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            openTime: Date.now()
+        });
+        this.performanceTracker.notePositionOpened(this.positions.get(positionId));
+        
+        this.tradingHistory.push({
+            ...order,
+            orderId: order.id,
+            executionPrice: fillPrice,
+            executionTime: Date.now(),
+            status: 'executed'
+        });
+        
+        this.updatePositionsDisplay();
+    }
+    
+    /**
+     * Mirror the SDK's working orders when connected
+     */
+    syncPendingOrders() {
+        if (!window.ctraderSDK || !window.ctraderSDK.isReady()) return;
+        
+        this.pendingOrders.clear();
+        window.ctraderSDK.getOrders().forEach(order => {
+            this.pendingOrders.set(order.id, order);
+        });
+        
+        this.updateOrdersDisplay();
+    }
+    
     /**
      * Update positions display in UI
      */
@@ -604,13 +1410,25 @@ class TradingEngine {
                 </div>
                 <div class="position-details">
                     <div class="position-prices">
-                        <span>Entry: ${NumberUtils.formatNumber(position.entryPrice, 5)}</span>
-                        <span>Current: ${NumberUtils.formatNumber(position.currentPrice, 5)}</span>
+                        <span>Entry: ${symbolRegistry.formatPrice(position.symbol, position.entryPrice)}</span>
+                        <span>Current: ${symbolRegistry.formatPrice(position.symbol, position.currentPrice)}</span>
                     </div>
                     <div class="position-pnl ${position.profit >= 0 ? 'positive' : 'negative'}">
                         ${NumberUtils.formatCurrency(position.profit)}
                     </div>
                 </div>
+                ${this.positionManager.getRuleSummary(position.id) ? `
+                    <div class="position-rules">
+                        <i class="fas fa-shield-alt"></i> ${this.positionManager.getRuleSummary(position.id)}
+                    </div>
+                ` : ''}
+                ${this.positionManager.getPositionHistory(position.id).map(entry => `
+                    <div class="position-history-entry ${entry.success ? '' : 'failed'}">
+                        ${entry.r}R: ${entry.success ?
+                            `closed ${entry.volume} @ ${symbolRegistry.formatPrice(position.symbol, entry.price)} (${NumberUtils.formatCurrency(entry.profit, currencyConverter.getAccountCurrency())})` :
+                            `failed - ${entry.error}`}
+                    </div>
+                `).join('')}
                 <div class="position-actions">
                     <button class="btn-small btn-danger" onclick="tradingEngine.closePosition('${position.id}')">
                         <i class="fas fa-times"></i>
@@ -618,11 +1436,98 @@ class TradingEngine {
                     <button class="btn-small btn-secondary" onclick="tradingEngine.showModifyDialog('${position.id}')">
                         <i class="fas fa-edit"></i>
                     </button>
+                    <button class="btn-small btn-secondary" onclick="tradingEngine.positionManager.showRulesDialog('${position.id}')" title="Trailing / Break-even Rules">
+                        <i class="fas fa-shield-alt"></i>
+                    </button>
                 </div>
             </div>
         `).join('');
     }
     
+    /**
+     * Update working orders display in UI
+     */
+    updateOrdersDisplay() {
+        const ordersContainer = document.getElementById('orders-list');
+        if (!ordersContainer) return;
+        
+        const orders = Array.from(this.pendingOrders.values());
+        
+        if (orders.length === 0) {
+            ordersContainer.innerHTML = '<div class="no-orders">No working orders</div>';
+            return;
+        }
+        
+        ordersContainer.innerHTML = orders.map(order => `
+            <div class="order-item" data-order-id="${order.id}">
+                <div class="order-header">
+                    <span class="position-symbol">${order.symbol}</span>
+                    <span class="position-side ${order.side}">${order.side.toUpperCase()}</span>
+                    <span class="order-type">${this.getOrderTypeLabel(order.orderType)}</span>
+                    ${this.orderGroups.getOrderLabel(order.id) ? `<span class="order-group">${this.orderGroups.getOrderLabel(order.id)}</span>` : ''}
+                    <span class="position-volume">${order.volume}</span>
+                </div>
+                <div class="order-details">
+                    <span>@ ${symbolRegistry.formatPrice(order.symbol, order.entryPrice)}</span>
+                    ${order.limitPrice ? `<span>Limit: ${symbolRegistry.formatPrice(order.symbol, order.limitPrice)}</span>` : ''}
+                    <span>${order.expiry ? `Exp: ${DateUtils.formatTime(order.expiry, true)}` : 'GTC'}</span>
+                </div>
+                <div class="order-actions">
+                    <button class="btn-small btn-danger" onclick="tradingEngine.cancelOrder('${order.id}')" title="Cancel Order">
+                        <i class="fas fa-times"></i>
+                    </button>
+                    <button class="btn-small btn-secondary" onclick="tradingEngine.showModifyOrderDialog('${order.id}')" title="Modify Order">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Show only the form fields the selected order type needs
+     */
+    updateOrderTypeFields(orderType) {
+        const isPending = orderType !== CONFIG.TRADING.MARKET_ORDER;
+        
+        document.querySelectorAll('#trade-form .pending-field').forEach(field => {
+            field.classList.toggle('hidden', !isPending);
+        });
+        
+        document.querySelectorAll('#trade-form .stop-limit-field').forEach(field => {
+            field.classList.toggle('hidden', orderType !== CONFIG.TRADING.STOP_LIMIT_ORDER);
+        });
+    }
+    
+    /**
+     * Show fields for the selected order group
+     */
+    updateOrderGroupFields(groupType) {
+        document.querySelectorAll('#trade-form .bracket-field').forEach(field => {
+            field.classList.toggle('hidden', groupType !== CONFIG.TRADING.BRACKET_GROUP);
+        });
+        
+        document.querySelectorAll('#trade-form .oco-field').forEach(field => {
+            field.classList.toggle('hidden', groupType !== CONFIG.TRADING.OCO_GROUP);
+        });
+    }
+    
+    /**
+     * Get display label for order type
+     */
+    getOrderTypeLabel(orderType) {
+        switch (orderType) {
+            case CONFIG.TRADING.LIMIT_ORDER:
+                return 'LIMIT';
+            case CONFIG.TRADING.STOP_ORDER:
+                return 'STOP';
+            case CONFIG.TRADING.STOP_LIMIT_ORDER:
+                return 'STOP LIMIT';
+            default:
+                return 'MARKET';
+        }
+    }
+    
     /**
      * Update trading interface elements
      */
@@ -636,43 +1541,206 @@ class TradingEngine {
             const sellButton = document.getElementById('btn-sell');
             
             if (buyButton) {
-                buyButton.innerHTML = `<i class="fas fa-arrow-up"></i> BUY ${NumberUtils.formatNumber(currentQuote.ask, 5)}`;
+                buyButton.innerHTML = `<i class="fas fa-arrow-up"></i> BUY ${symbolRegistry.formatPrice(this.currentSymbol, currentQuote.ask)}`;
             }
             
             if (sellButton) {
-                sellButton.innerHTML = `<i class="fas fa-arrow-down"></i> SELL ${NumberUtils.formatNumber(currentQuote.bid, 5)}`;
+                sellButton.innerHTML = `<i class="fas fa-arrow-down"></i> SELL ${symbolRegistry.formatPrice(this.currentSymbol, currentQuote.bid)}`;
             }
         }
         
+        this.applySymbolSpecToForm();
+        
         // Update risk calculations
         this.updateRiskDisplay();
     }
     
     /**
-     * Update risk display
+     * Set trade form input steps and limits from the symbol spec
+     */
+    applySymbolSpecToForm() {
+        const spec = symbolRegistry.get(this.currentSymbol);
+        const tickSize = String(symbolRegistry.getTickSize(this.currentSymbol));
+        
+        const volumeInput = document.getElementById('volume-input');
+        if (volumeInput) {
+            volumeInput.step = spec.volumeStep;
+            volumeInput.min = spec.minVolume;
+            volumeInput.max = spec.maxVolume;
+        }
+        
+        ['sl-input', 'tp-input', 'entry-price-input', 'limit-price-input', 'oco-price-input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.step = tickSize;
+        });
+    }
+    
+    /**
+     * Update risk display; `pressedSide` is the side of the trade being placed, if any
      */
-    updateRiskDisplay() {
+    updateRiskDisplay(pressedSide = null) {
+        const readout = document.getElementById('risk-readout');
         const volumeInput = document.getElementById('volume-input');
         const slInput = document.getElementById('sl-input');
+        const tpInput = document.getElementById('tp-input');
+        const entryInput = document.getElementById('entry-price-input');
+        const orderTypeSelect = document.getElementById('order-type-select');
         
-        if (!volumeInput || !slInput || !slInput.value) return;
+        if (!readout || !volumeInput) return;
         
-        const volume = parseFloat(volumeInput.value || 0);
-        const stopLoss = parseFloat(slInput.value);
         const quote = window.ctraderSDK?.getCurrentQuote(this.currentSymbol);
+        const stopLossPrice = slInput?.value ? parseFloat(slInput.value) : null;
+        const takeProfit = tpInput?.value ? parseFloat(tpInput.value) : null;
+        
+        // The side isn't known until BUY/SELL is pressed, so infer it from the stop or target.
+        // A pip distance alone risks the same either way, so the side may stay unknown.
+        const side = pressedSide || this.inferFormSide(quote, stopLossPrice, takeProfit);
+        const isPending = orderTypeSelect && orderTypeSelect.value !== CONFIG.TRADING.MARKET_ORDER;
+        const marketPrice = !quote ? null :
+            side === 'buy' ? quote.ask :
+            side === 'sell' ? quote.bid :
+            (quote.bid + quote.ask) / 2;
+        const entryPrice = isPending && entryInput?.value ? parseFloat(entryInput.value) : marketPrice;
+        const stopDistance = entryPrice ? this.getFormStopDistance(side, entryPrice) : null;
+        
+        this.riskSizingError = null;
+        
+        if (!entryPrice || !stopDistance) {
+            readout.classList.add('hidden');
+            return;
+        }
         
-        if (volume && stopLoss && quote) {
-            const entryPrice = quote.ask; // Assume buy order
-            const riskAmount = TradingUtils.calculatePositionSize(
-                window.ctraderSDK?.accountInfo?.balance || 10000,
-                1, // 1% risk
-                entryPrice,
-                stopLoss
-            );
+        const currency = currencyConverter.getAccountCurrency();
+        const { quote: quoteCurrency } = currencyConverter.getCurrencies(this.currentSymbol);
+        const noRate = `No ${quoteCurrency}/${currency} rate yet`;
+        
+        if (this.riskMode) {
+            const riskCash = this.getRiskCash();
+            const pipValue = currencyConverter.getPipValue(this.currentSymbol);
+            const stopPips = symbolRegistry.priceToPips(this.currentSymbol, stopDistance);
             
-            // Could add risk display element to UI
-            Logger.debug(`Risk calculation: Volume=${volume}, Risk=${riskAmount}`);
+            if (pipValue === null) {
+                this.riskSizingError = `Cannot size from risk: ${noRate}`;
+            } else if (riskCash > 0) {
+                // Round down so the filled volume never risks more than the budget
+                const sized = symbolRegistry.floorVolume(this.currentSymbol, riskCash / (stopPips * pipValue));
+                if (sized === null) {
+                    this.riskSizingError = `Minimum volume of ${symbolRegistry.get(this.currentSymbol).minVolume} lots risks more than ${NumberUtils.formatCurrency(riskCash, currency)}`;
+                } else {
+                    volumeInput.value = sized;
+                }
+            }
+        }
+        
+        const warning = readout.querySelector('[data-risk-warning]');
+        if (warning) {
+            warning.textContent = this.riskSizingError || '';
+            warning.classList.toggle('hidden', !this.riskSizingError);
+        }
+        
+        const volume = parseFloat(volumeInput.value || 0);
+        if (!volume && !this.riskSizingError) {
+            readout.classList.add('hidden');
+            return;
+        }
+        
+        const account = window.ctraderSDK?.accountInfo;
+        // Risk depends only on the stop distance, so either side of the entry gives it
+        const cashAtRisk = volume ? currencyConverter.calculateRisk(this.currentSymbol, entryPrice, entryPrice - stopDistance, volume) : null;
+        const margin = volume ? currencyConverter.toAccountCurrency(
+            this.currentSymbol,
+            TradingUtils.calculateMargin(volume, entryPrice, account?.leverage || 100, this.currentSymbol)
+        ) : null;
+        const rMultiple = takeProfit ? Math.abs(takeProfit - entryPrice) / stopDistance : null;
+        
+        if (!volume) {
+            readout.querySelector('[data-risk-cash]').textContent = '--';
+        } else if (cashAtRisk === null) {
+            readout.querySelector('[data-risk-cash]').textContent = noRate;
+        } else {
+            readout.querySelector('[data-risk-cash]').textContent = account?.balance ?
+                `${NumberUtils.formatCurrency(cashAtRisk, currency)} (${((cashAtRisk / account.balance) * 100).toFixed(2)}%)` :
+                NumberUtils.formatCurrency(cashAtRisk, currency);
+        }
+        readout.querySelector('[data-risk-r]').textContent = rMultiple ? `${rMultiple.toFixed(2)}R` : '--';
+        readout.querySelector('[data-risk-margin]').textContent = !volume ? '--' :
+            margin === null ? noRate : NumberUtils.formatCurrency(margin, currency);
+        readout.classList.remove('hidden');
+    }
+    
+    /**
+     * Stop distance in price from the form: the Stop Loss price, which needs the side,
+     * or in risk mode the pip distance
+     */
+    getFormStopDistance(side, entryPrice) {
+        if (side) {
+            const stopLoss = this.getFormStopLoss(side, entryPrice);
+            return stopLoss && stopLoss !== entryPrice ? Math.abs(entryPrice - stopLoss) : null;
+        }
+        
+        const pips = parseFloat(document.getElementById('sl-pips-input')?.value);
+        return this.riskMode && pips > 0 ? symbolRegistry.pipsToPrice(this.currentSymbol, pips) : null;
+    }
+    
+    /**
+     * Guess trade direction from the form's stop or target relative to market; null when neither is set
+     */
+    inferFormSide(quote, stopLoss, takeProfit) {
+        if (!quote) return null;
+        
+        if (stopLoss) return stopLoss < quote.bid ? 'buy' : 'sell';
+        if (takeProfit) return takeProfit > quote.ask ? 'buy' : 'sell';
+        
+        return null;
+    }
+    
+    /**
+     * Cash amount the user wants to risk, in account currency
+     */
+    getRiskCash() {
+        const riskInput = document.getElementById('risk-value-input');
+        const riskUnitSelect = document.getElementById('risk-unit-select');
+        const value = parseFloat(riskInput?.value || 0);
+        
+        if (riskUnitSelect?.value === 'cash') {
+            return value;
+        }
+        
+        const balance = window.ctraderSDK?.accountInfo?.balance || 0;
+        return (balance * Math.min(value, CONFIG.TRADING.MAX_RISK_PERCENT)) / 100;
+    }
+    
+    /**
+     * Toggle risk-based position sizing in the trade form
+     */
+    setRiskMode(enabled) {
+        this.riskMode = enabled;
+        
+        document.querySelectorAll('#trade-form .risk-field').forEach(field => {
+            field.classList.toggle('hidden', !enabled);
+        });
+        
+        const volumeInput = document.getElementById('volume-input');
+        if (volumeInput) {
+            volumeInput.readOnly = enabled;
+        }
+        
+        this.updateRiskDisplay();
+    }
+    
+    /**
+     * Set default risk percent used by risk mode
+     */
+    setDefaultRisk(percent) {
+        this.defaultRiskPercent = percent;
+        
+        const riskInput = document.getElementById('risk-value-input');
+        const riskUnitSelect = document.getElementById('risk-unit-select');
+        if (riskInput && riskUnitSelect?.value !== 'cash') {
+            riskInput.value = percent;
         }
+        
+        this.updateRiskDisplay();
     }
     
     /**
@@ -681,8 +1749,14 @@ class TradingEngine {
     async showTradeConfirmation(params) {
         return new Promise((resolve) => {
             const message = `Execute ${params.side.toUpperCase()} ${params.volume} lots of ${params.symbol}?`;
-            const riskAmount = params.volume * 10000; // Simplified risk calculation
-            const fullMessage = `${message}\n\nEstimated risk: $${riskAmount.toFixed(2)}`;
+            const entryPrice = params.entryPrice || params.currentPrice;
+            const riskAmount = params.stopLoss && entryPrice ?
+                currencyConverter.calculateRisk(params.symbol, entryPrice, params.stopLoss, params.volume) :
+                null;
+            const riskText = !params.stopLoss || !entryPrice ? 'unlimited (no stop loss)' :
+                riskAmount === null ? 'unknown (no conversion rate to account currency)' :
+                NumberUtils.formatCurrency(riskAmount, currencyConverter.getAccountCurrency());
+            const fullMessage = `${message}\n\nEstimated risk: ${riskText}`;
             
             resolve(confirm(fullMessage));
         });
@@ -707,16 +1781,44 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Show modify order dialog
+     */
+    showModifyOrderDialog(orderId) {
+        const order = this.pendingOrders.get(orderId);
+        if (!order) return;
+        
+        const newEntry = prompt('Enter new entry price:', order.entryPrice);
+        if (newEntry === null) return;
+        
+        const newSL = prompt('Enter new Stop Loss (leave empty to remove):', order.stopLoss || '');
+        const newTP = prompt('Enter new Take Profit (leave empty to remove):', order.takeProfit || '');
+        
+        const changes = {
+            entryPrice: newEntry ? parseFloat(newEntry) : order.entryPrice,
+            stopLoss: newSL ? parseFloat(newSL) : null,
+            takeProfit: newTP ? parseFloat(newTP) : null
+        };
+        
+        if (order.orderType === CONFIG.TRADING.STOP_LIMIT_ORDER) {
+            const newLimit = prompt('Enter new Limit Price:', order.limitPrice || '');
+            if (newLimit) changes.limitPrice = parseFloat(newLimit);
+        }
+        
+        this.modifyOrder(orderId, changes);
+    }
+    
     /**
      * Validate volume input
      */
     validateVolumeInput(input) {
         const value = parseFloat(input.value);
+        const spec = symbolRegistry.get(this.currentSymbol);
         
-        if (isNaN(value) || value < CONFIG.TRADING.MIN_VOLUME) {
+        if (isNaN(value) || value < spec.minVolume) {
             input.style.borderColor = 'var(--danger-color)';
             return false;
-        } else if (value > CONFIG.TRADING.MAX_VOLUME) {
+        } else if (value > spec.maxVolume) {
             input.style.borderColor = 'var(--warning-color)';
             return false;
         } else {
@@ -731,8 +1833,7 @@ class TradingEngine {
     normalizeVolumeInput(input) {
         const value = parseFloat(input.value);
         if (!isNaN(value)) {
-            const normalized = Math.round(value / CONFIG.TRADING.VOLUME_STEP) * CONFIG.TRADING.VOLUME_STEP;
-            input.value = normalized.toFixed(2);
+            input.value = symbolRegistry.normalizeVolume(this.currentSymbol, value);
         }
     }
     
@@ -788,6 +1889,12 @@ class TradingEngine {
                     this.closeAllProfitable();
                 }
                 break;
+            case 'x':
+                if ((e.ctrlKey || e.metaKey) && e.shiftKey) {
+                    e.preventDefault();
+                    this.flattenAll();
+                }
+                break;
         }
     }
     
@@ -798,6 +1905,9 @@ class TradingEngine {
         const buyButton = document.getElementById('btn-buy');
         const sellButton = document.getElementById('btn-sell');
         
+        // A risk lock keeps the buttons disabled
+        enabled = enabled && !this.riskManager.isLocked();
+        
         if (buyButton) {
             buyButton.disabled = !enabled;
             buyButton.style.opacity = enabled ? '1' : '0.6';
@@ -809,6 +1919,34 @@ class TradingEngine {
         }
     }
     
+    /**
+     * React to the risk manager locking or unlocking trading
+     */
+    handleTradingLockChanged({ locked, reason }) {
+        this.updateTradingLockDisplay();
+        
+        if (locked) {
+            this.showTradeError(`Trading locked: ${reason}`);
+        } else {
+            this.showTradeSuccess('Trading unlocked');
+        }
+    }
+    
+    /**
+     * Show the lock banner and disable trading while locked
+     */
+    updateTradingLockDisplay() {
+        const banner = document.getElementById('trading-lock-banner');
+        const locked = this.riskManager.isLocked();
+        
+        this.setTradingButtonsEnabled(!locked);
+        
+        if (banner) {
+            banner.textContent = locked ? `Trading locked: ${this.riskManager.getLockReason()}` : '';
+            banner.classList.toggle('hidden', !locked);
+        }
+    }
+    
     /**
      * Enable/disable position actions
      */
@@ -823,6 +1961,19 @@ class TradingEngine {
         }
     }
     
+    /**
+     * Enable/disable order actions
+     */
+    setOrderActionsEnabled(orderId, enabled) {
+        const orderElement = document.querySelector(`[data-order-id="${orderId}"]`);
+        if (orderElement) {
+            orderElement.querySelectorAll('button').forEach(btn => {
+                btn.disabled = !enabled;
+                btn.style.opacity = enabled ? '1' : '0.6';
+            });
+        }
+    }
+    
     /**
      * Clear trade form
      */
@@ -830,8 +1981,26 @@ class TradingEngine {
         const slInput = document.getElementById('sl-input');
         const tpInput = document.getElementById('tp-input');
         
+        const entryInput = document.getElementById('entry-price-input');
+        const limitInput = document.getElementById('limit-price-input');
+        const expiryInput = document.getElementById('expiry-input');
+        
+        const slPipsInput = document.getElementById('sl-pips-input');
+        const ladderInput = document.getElementById('tp-ladder-input');
+        const slLadderInput = document.getElementById('sl-ladder-input');
+        const ocoInput = document.getElementById('oco-price-input');
+        const scaleOutInput = document.getElementById('scale-out-input');
+        
         if (slInput) slInput.value = '';
         if (tpInput) tpInput.value = '';
+        if (slPipsInput) slPipsInput.value = '';
+        if (entryInput) entryInput.value = '';
+        if (limitInput) limitInput.value = '';
+        if (expiryInput) expiryInput.value = '';
+        if (ladderInput) ladderInput.value = '';
+        if (slLadderInput) slLadderInput.value = '';
+        if (ocoInput) ocoInput.value = '';
+        if (scaleOutInput) scaleOutInput.value = '';
     }
     
     /**
@@ -893,27 +2062,28 @@ class TradingEngine {
     }
     
     /**
-     * Load trading settings
+     * Apply default volume and risk from settings, and follow later changes
      */
-    loadTradingSettings() {
-        const savedVolume = StorageUtils.getItem('default_volume');
-        if (savedVolume) {
-            this.defaultVolume = savedVolume;
-            const volumeInput = document.getElementById('volume-input');
-            if (volumeInput) {
-                volumeInput.value = savedVolume;
-            }
-        }
+    applyTradingSettings() {
+        this.setDefaultVolume(settingsStore.get('defaultVolume'));
+        this.setDefaultRisk(settingsStore.get('defaultRiskPercent'));
+        
+        settingsStore.subscribe('defaultVolume', (volume) => this.setDefaultVolume(volume));
+        settingsStore.subscribe('defaultRiskPercent', (percent) => this.setDefaultRisk(percent));
     }
     
     /**
-     * Save trading settings
+     * Set the default order volume and prefill the volume input
      */
-    saveTradingSettings() {
+    setDefaultVolume(volume) {
+        this.defaultVolume = volume;
+        
         const volumeInput = document.getElementById('volume-input');
-        if (volumeInput && volumeInput.value) {
-            StorageUtils.setItem('default_volume', parseFloat(volumeInput.value));
+        if (volumeInput) {
+            volumeInput.value = volume;
         }
+        
+        this.updateRiskDisplay();
     }
     
     /**
@@ -930,6 +2100,13 @@ class TradingEngine {
         return Array.from(this.positions.values());
     }
     
+    /**
+     * Get working (pending) orders
+     */
+    getPendingOrders() {
+        return Array.from(this.pendingOrders.values());
+    }
+    
     /**
      * Get trading history
      */
@@ -945,9 +2122,256 @@ class RiskManager {
     constructor() {
         this.maxRiskPercent = CONFIG.TRADING.MAX_RISK_PERCENT;
         this.maxPositions = CONFIG.TRADING.MAX_POSITIONS;
+        this.limits = this.resolveLimits();
+        this.session = this.createSession();
+        this.lockEvents = [];
+        this.ready = this.load();
+    }
+    
+    /**
+     * Load persisted limits, today's session and the lock log.
+     * Session writes wait for this, so a stored lock is never overwritten unread.
+     */
+    async load() {
+        const [limits, session, lockEvents] = await Promise.all([
+            appStorage.getItem('risk_limits'),
+            appStorage.getItem('risk_session'),
+            appStorage.getItem('risk_lock_events')
+        ]);
+        
+        this.limits = this.resolveLimits(limits || {});
+        this.lockEvents = (lockEvents || []).concat(this.lockEvents);
+        
+        // A stored session from an earlier trading day is discarded
+        if (session && session.sessionKey === this.getSessionKey()) {
+            this.session = session;
+        }
+        
+        if (this.isLocked()) {
+            Logger.warn(`Trading locked (restored): ${this.getLockReason()}`);
+            this.emitLockChange();
+        }
+    }
+    
+    /**
+     * Persisted account limits over the config defaults
+     */
+    resolveLimits(saved = {}) {
+        const defaults = CONFIG.TRADING.RISK_LIMITS;
+        
+        return {
+            maxDailyLossPercent: saved.maxDailyLossPercent ?? defaults.MAX_DAILY_LOSS_PERCENT,
+            maxDailyDrawdownPercent: saved.maxDailyDrawdownPercent ?? defaults.MAX_DAILY_DRAWDOWN_PERCENT,
+            maxTradesPerDay: saved.maxTradesPerDay ?? defaults.MAX_TRADES_PER_DAY,
+            maxConsecutiveLosses: saved.maxConsecutiveLosses ?? defaults.MAX_CONSECUTIVE_LOSSES,
+            cooldownMinutes: saved.cooldownMinutes ?? defaults.COOLDOWN_MINUTES
+        };
+    }
+    
+    /**
+     * Update and persist account limits
+     */
+    setLimits(limits) {
+        this.limits = { ...this.limits, ...limits };
+        this.ready.then(() => appStorage.setItem('risk_limits', this.limits));
+        Logger.info('Risk limits updated:', this.limits);
+    }
+    
+    /**
+     * Trading session key, rolled over at the configured UTC hour
+     */
+    getSessionKey(timestamp = Date.now()) {
+        const resetOffset = CONFIG.TRADING.RISK_LIMITS.SESSION_RESET_HOUR_UTC * 3600000;
+        return new Date(timestamp - resetOffset).toISOString().slice(0, 10);
+    }
+    
+    createSession() {
+        const account = window.ctraderSDK?.accountInfo;
+        
+        return {
+            sessionKey: this.getSessionKey(),
+            startBalance: account?.balance || null,
+            equityHigh: account?.equity || null,
+            tradesToday: 0,
+            consecutiveLosses: 0,
+            cooldownUntil: null,
+            lock: null
+        };
+    }
+    
+    saveSession() {
+        this.ready.then(() => appStorage.setItem('risk_session', this.session));
+    }
+    
+    /**
+     * Roll the session over if the reset time has passed
+     */
+    ensureCurrentSession() {
+        if (this.session.sessionKey !== this.getSessionKey()) {
+            const wasLocked = this.isLocked();
+            
+            this.session = this.createSession();
+            this.saveSession();
+            
+            if (wasLocked) {
+                Logger.info('Trading session reset - trading unlocked');
+                this.emitLockChange();
+            }
+        }
+    }
+    
+    /**
+     * Re-check account guardrails against the latest account snapshot
+     */
+    evaluate(account = window.ctraderSDK?.accountInfo) {
+        this.ensureCurrentSession();
+        
+        if (!account) return;
+        
+        if (this.session.startBalance === null) {
+            this.session.startBalance = account.balance;
+        }
+        
+        const equity = account.equity ?? account.balance;
+        this.session.equityHigh = Math.max(this.session.equityHigh || equity, equity);
+        
+        // Expired cooldowns unlock on their own
+        if (this.session.lock?.type === 'cooldown' && Date.now() >= this.session.cooldownUntil) {
+            this.unlock('Cooldown elapsed');
+        }
+        
+        if (this.isLocked()) {
+            this.saveSession();
+            return;
+        }
+        
+        const { maxDailyLossPercent, maxDailyDrawdownPercent } = this.limits;
+        const startBalance = this.session.startBalance;
+        
+        // Realized + unrealized P&L since the session started
+        const dailyPnL = equity - startBalance;
+        if (maxDailyLossPercent > 0 && startBalance > 0 &&
+            -dailyPnL >= startBalance * maxDailyLossPercent / 100) {
+            this.lock('daily_loss', `Daily loss limit reached (${NumberUtils.formatCurrency(dailyPnL, currencyConverter.getAccountCurrency())}, limit ${maxDailyLossPercent}%)`);
+            return;
+        }
+        
+        const drawdown = this.session.equityHigh - equity;
+        if (maxDailyDrawdownPercent > 0 && this.session.equityHigh > 0 &&
+            drawdown >= this.session.equityHigh * maxDailyDrawdownPercent / 100) {
+            this.lock('drawdown', `Drawdown from today's equity high exceeded ${maxDailyDrawdownPercent}%`);
+            return;
+        }
+        
+        this.saveSession();
+    }
+    
+    /**
+     * Count an executed trade towards the daily limit
+     */
+    recordTradeOpened() {
+        this.ensureCurrentSession();
+        this.session.tradesToday++;
+        
+        const { maxTradesPerDay } = this.limits;
+        if (maxTradesPerDay > 0 && this.session.tradesToday >= maxTradesPerDay) {
+            this.lock('max_trades', `Maximum trades per day reached (${maxTradesPerDay})`);
+        } else {
+            this.saveSession();
+        }
+    }
+    
+    /**
+     * Track win/loss streaks from closed trades
+     */
+    recordTradeClosed(profit) {
+        this.ensureCurrentSession();
+        
+        if (profit < 0) {
+            this.session.consecutiveLosses++;
+        } else if (profit > 0) {
+            this.session.consecutiveLosses = 0;
+        }
+        
+        const { maxConsecutiveLosses, cooldownMinutes } = this.limits;
+        if (maxConsecutiveLosses > 0 && this.session.consecutiveLosses >= maxConsecutiveLosses && !this.isLocked()) {
+            this.session.cooldownUntil = Date.now() + cooldownMinutes * 60000;
+            this.session.consecutiveLosses = 0;
+            this.lock('cooldown', `${maxConsecutiveLosses} consecutive losses - cooling down for ${cooldownMinutes} minutes`);
+        } else {
+            this.saveSession();
+        }
+        
+        this.evaluate();
+    }
+    
+    /**
+     * Lock trading and record the event
+     */
+    lock(type, reason) {
+        const until = type === 'cooldown' ? this.session.cooldownUntil : null;
+        
+        this.session.lock = { type, reason, lockedAt: Date.now(), until };
+        this.saveSession();
+        
+        this.lockEvents.push({
+            type: type,
+            reason: reason,
+            timestamp: Date.now(),
+            sessionKey: this.session.sessionKey,
+            equity: window.ctraderSDK?.accountInfo?.equity ?? null
+        });
+        this.ready.then(() => appStorage.setItem('risk_lock_events', this.lockEvents.slice(-100)));
+        
+        Logger.warn(`Trading locked: ${reason}`);
+        this.emitLockChange();
+    }
+    
+    unlock(reason) {
+        this.session.lock = null;
+        this.session.cooldownUntil = null;
+        this.saveSession();
+        
+        Logger.info(`Trading unlocked: ${reason}`);
+        this.emitLockChange();
+    }
+    
+    isLocked() {
+        if (this.session.lock?.type === 'cooldown' && Date.now() >= this.session.cooldownUntil) {
+            return false;
+        }
+        
+        return !!this.session.lock && this.session.sessionKey === this.getSessionKey();
+    }
+    
+    getLockReason() {
+        return this.isLocked() ? this.session.lock.reason : null;
+    }
+    
+    getLockEvents() {
+        return [...this.lockEvents];
+    }
+    
+    emitLockChange() {
+        document.dispatchEvent(new CustomEvent('tradingLockChanged', {
+            detail: {
+                locked: this.isLocked(),
+                reason: this.session.lock?.reason || null
+            }
+        }));
     }
     
     async checkTrade(params) {
+        this.ensureCurrentSession();
+        
+        // Account guardrails override everything else
+        if (this.isLocked()) {
+            return {
+                allowed: false,
+                reason: `Trading locked: ${this.getLockReason()}`
+            };
+        }
+        
         // Check maximum positions
         if (window.tradingEngine.positions.size >= this.maxPositions) {
             return {
@@ -956,10 +2380,13 @@ class RiskManager {
             };
         }
         
+        // Pending orders are assessed at their entry level
+        const entryPrice = params.entryPrice || params.currentPrice;
+        
         // Check account balance
         const account = window.ctraderSDK?.accountInfo;
         if (account) {
-            const requiredMargin = TradingUtils.calculateMargin(params.volume, params.currentPrice);
+            const requiredMargin = TradingUtils.calculateMargin(params.volume, entryPrice, undefined, params.symbol);
             
             if (requiredMargin > account.freeMargin) {
                 return {
@@ -970,8 +2397,15 @@ class RiskManager {
         }
         
         // Check risk per trade
-        if (params.stopLoss && params.currentPrice && account) {
-            const riskAmount = Math.abs(params.currentPrice - params.stopLoss) * params.volume * 100000;
+        if (params.stopLoss && entryPrice && account) {
+            const riskAmount = currencyConverter.calculateRisk(params.symbol, entryPrice, params.stopLoss, params.volume);
+            if (riskAmount === null) {
+                return {
+                    allowed: false,
+                    reason: `Cannot check risk: no ${currencyConverter.getCurrencies(params.symbol).quote} to ${currencyConverter.getAccountCurrency()} rate yet`
+                };
+            }
+            
             const riskPercent = (riskAmount / account.balance) * 100;
             
             if (riskPercent > this.maxRiskPercent) {
@@ -992,21 +2426,38 @@ class RiskManager {
 class PerformanceTracker {
     constructor() {
         this.trades = [];
-        this.stats = {
-            totalTrades: 0,
-            winningTrades: 0,
-            losingTrades: 0,
-            totalProfit: 0,
-            totalLoss: 0,
-            largestWin: 0,
-            largestLoss: 0,
-            consecutiveWins: 0,
-            consecutiveLosses: 0,
-            maxConsecutiveWins: 0,
-            maxConsecutiveLosses: 0
-        };
+        this.closedTrades = [];
+        this.openPositions = {};
+        this.stats = {};
+        
+        this.updateStats();
+        this.ready = this.load();
     }
     
+    /**
+     * Load closed trades and open-position info from storage.
+     * Anything recorded before the load finished is kept.
+     */
+    async load() {
+        const [closedTrades, openPositions] = await Promise.all([
+            appStorage.getAll('closed_trades'),
+            appStorage.getItem('position_open_info')
+        ]);
+        
+        const recorded = new Set(this.closedTrades.map(trade => trade.id));
+        this.closedTrades = closedTrades.filter(trade => !recorded.has(trade.id)).concat(this.closedTrades);
+        this.openPositions = { ...(openPositions || {}), ...this.openPositions };
+        this.updateStats();
+        
+        Logger.info(`Loaded ${this.closedTrades.length} closed trades`);
+        document.dispatchEvent(new CustomEvent('tradeHistoryLoaded', {
+            detail: { count: this.closedTrades.length }
+        }));
+    }
+    
+    /**
+     * Log an order submission (not a result - see recordClosedTrade)
+     */
     recordTrade(params, result) {
         const trade = {
             ...params,
@@ -1015,45 +2466,253 @@ class PerformanceTracker {
         };
         
         this.trades.push(trade);
-        this.updateStats();
         
-        // Save to storage
-        StorageUtils.setItem('trading_history', this.trades);
+        // One record per submission instead of rewriting the whole log
+        appStorage.add('trade_submissions', trade).catch(error => {
+            Logger.error('Failed to store trade submission:', error);
+        });
     }
     
-    updateStats() {
-        // Reset stats
-        Object.keys(this.stats).forEach(key => {
-            if (typeof this.stats[key] === 'number') {
-                this.stats[key] = 0;
+    /**
+     * Remember the initial stop and open time of a position the first time it is seen
+     */
+    notePositionOpened(position) {
+        if (this.openPositions[position.id]) return;
+        
+        this.openPositions[position.id] = {
+            entryPrice: position.entryPrice,
+            stopLoss: position.stopLoss || null,
+            volume: position.volume,
+            openTime: position.openTime || Date.now()
+        };
+        appStorage.setItem('position_open_info', this.openPositions);
+        
+        document.dispatchEvent(new CustomEvent('positionOpened', {
+            detail: { position }
+        }));
+    }
+    
+    /**
+     * Forget open info for positions that are no longer open.
+     * Stored keys are strings while position IDs from the host are numbers.
+     */
+    prunePositionInfo(openPositionIds) {
+        const open = new Set(Array.from(openPositionIds, String));
+        Object.keys(this.openPositions)
+            .filter(positionId => !open.has(positionId))
+            .forEach(positionId => delete this.openPositions[positionId]);
+        
+        appStorage.setItem('position_open_info', this.openPositions);
+    }
+    
+    /**
+     * Record a closed (or partially closed) position.
+     * The same close can arrive from closePosition and from the execution event;
+     * the deal from the host replaces the locally estimated record.
+     * Returns { record, isNew }.
+     */
+    recordClosedTrade(data) {
+        // IDs compare as strings: stored records and host events do not agree on the type
+        const isSameClose = (trade) => String(trade.positionId) === String(data.positionId) &&
+            Math.abs(trade.closeTime - data.closeTime) < 30000 &&
+            Math.abs(trade.volume - data.volume) < 1e-9;
+        
+        // Same deal, or the same close seen once locally and once from the host
+        const existing = this.closedTrades.find(trade =>
+            (data.dealId && String(trade.dealId) === String(data.dealId)) ||
+            (isSameClose(trade) && !(trade.dealId && data.dealId))
+        );
+        
+        if (existing) {
+            // Host deal data wins over local estimates; local-only closes never overwrite a deal
+            if (data.dealId && !existing.dealId) {
+                Object.assign(existing, this.buildClosedTrade({ ...existing, ...data }));
+                this.saveClosedTrade(existing);
+                this.emitTradeRecorded(existing, false);
             }
+            return { record: existing, isNew: false };
+        }
+        
+        const record = this.buildClosedTrade(data);
+        this.closedTrades.push(record);
+        this.saveClosedTrade(record);
+        this.emitTradeRecorded(record, true);
+        
+        Logger.info(`Closed trade recorded: ${record.side} ${record.volume} ${record.symbol} net ${record.netProfit.toFixed(2)}`);
+        return { record, isNew: true };
+    }
+    
+    /**
+     * Fill in derived fields: net P&L, duration, initial risk and R multiple
+     */
+    buildClosedTrade(data) {
+        const openInfo = this.openPositions[data.positionId] || {};
+        const openTime = data.openTime || openInfo.openTime || null;
+        const closeTime = data.closeTime || Date.now();
+        const swap = data.swap || 0;
+        const commission = data.commission || 0;
+        const grossProfit = data.grossProfit || 0;
+        
+        const initialStop = openInfo.stopLoss || null;
+        const riskAmount = initialStop && data.entryPrice ?
+            currencyConverter.calculateRisk(data.symbol, data.entryPrice, initialStop, data.volume) :
+            null;
+        const netProfit = grossProfit + swap + commission;
+        
+        return {
+            id: data.id || data.dealId || `${data.positionId}_${closeTime}`,
+            dealId: data.dealId || null,
+            positionId: data.positionId,
+            symbol: data.symbol,
+            side: data.side,
+            volume: data.volume,
+            entryPrice: data.entryPrice,
+            exitPrice: data.exitPrice,
+            openTime: openTime,
+            closeTime: closeTime,
+            duration: openTime ? closeTime - openTime : null,
+            grossProfit: grossProfit,
+            swap: swap,
+            commission: commission,
+            netProfit: netProfit,
+            initialStop: initialStop,
+            riskAmount: riskAmount,
+            rMultiple: riskAmount ? netProfit / riskAmount : null,
+            balanceAfter: data.balanceAfter ?? null,
+            scaleOuts: data.scaleOuts || []
+        };
+    }
+    
+    /**
+     * Persist one closed-trade record and refresh the stats
+     */
+    saveClosedTrade(record) {
+        appStorage.put('closed_trades', record).catch(error => {
+            Logger.error('Failed to store closed trade:', error);
         });
+        this.updateStats();
+    }
+    
+    /**
+     * Notify listeners (analytics) that a closed trade was added or updated
+     */
+    emitTradeRecorded(record, isNew) {
+        document.dispatchEvent(new CustomEvent('tradeRecorded', {
+            detail: { record, isNew }
+        }));
+    }
+    
+    getClosedTrades() {
+        return [...this.closedTrades];
+    }
+    
+    /**
+     * Compute all statistics from closed trade records
+     */
+    updateStats() {
+        this.stats = PerformanceTracker.computeStats(this.closedTrades);
+    }
+    
+    /**
+     * Statistics for any list of closed trades (also used for filtered views).
+     * Sharpe and Sortino are per trade, not annualised.
+     */
+    static computeStats(closedTrades) {
+        const trades = [...closedTrades].sort((a, b) => a.closeTime - b.closeTime);
+        const results = trades.map(trade => trade.netProfit);
+        const wins = results.filter(profit => profit > 0);
+        const losses = results.filter(profit => profit < 0);
         
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        const mean = (values) => values.length > 0 ? sum(values) / values.length : 0;
+        
+        const totalProfit = sum(wins);
+        const totalLoss = Math.abs(sum(losses));
+        const netProfit = totalProfit - totalLoss;
+        
+        // Win/loss streaks
         let consecutiveWins = 0;
         let consecutiveLosses = 0;
+        let maxConsecutiveWins = 0;
+        let maxConsecutiveLosses = 0;
         
-        this.trades.forEach(trade => {
-            this.stats.totalTrades++;
-            
-            // This would need actual P&L data from closed positions
-            // For now, just track trade counts
-            if (trade.result && trade.result.success) {
-                this.stats.winningTrades++;
+        results.forEach(profit => {
+            if (profit > 0) {
                 consecutiveWins++;
                 consecutiveLosses = 0;
-                
-                this.stats.maxConsecutiveWins = Math.max(this.stats.maxConsecutiveWins, consecutiveWins);
-            } else {
-                this.stats.losingTrades++;
+            } else if (profit < 0) {
                 consecutiveLosses++;
                 consecutiveWins = 0;
-                
-                this.stats.maxConsecutiveLosses = Math.max(this.stats.maxConsecutiveLosses, consecutiveLosses);
             }
+            maxConsecutiveWins = Math.max(maxConsecutiveWins, consecutiveWins);
+            maxConsecutiveLosses = Math.max(maxConsecutiveLosses, consecutiveLosses);
         });
         
-        this.stats.consecutiveWins = consecutiveWins;
-        this.stats.consecutiveLosses = consecutiveLosses;
+        // Drawdown on the cumulative P&L curve, anchored on the first known balance
+        const startingBalance = PerformanceTracker.getStartingBalance(trades);
+        
+        let equity = startingBalance || 0;
+        let peak = equity;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        
+        results.forEach(profit => {
+            equity += profit;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+            if (startingBalance && peak > 0) {
+                maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+            }
+        });
+        
+        // Risk-adjusted returns
+        const average = mean(results);
+        const stdDev = Math.sqrt(mean(results.map(profit => Math.pow(profit - average, 2))));
+        const downsideDev = Math.sqrt(mean(results.map(profit => Math.pow(Math.min(0, profit), 2))));
+        
+        const rMultiples = trades.map(trade => trade.rMultiple).filter(r => r !== null && r !== undefined);
+        const durations = trades.map(trade => trade.duration).filter(Boolean);
+        
+        return {
+            totalTrades: trades.length,
+            winningTrades: wins.length,
+            losingTrades: losses.length,
+            breakevenTrades: trades.length - wins.length - losses.length,
+            totalProfit: totalProfit,
+            totalLoss: totalLoss,
+            netProfit: netProfit,
+            grossProfit: sum(trades.map(trade => trade.grossProfit || 0)),
+            totalSwap: sum(trades.map(trade => trade.swap || 0)),
+            totalCommission: sum(trades.map(trade => trade.commission || 0)),
+            largestWin: wins.length > 0 ? Math.max(...wins) : 0,
+            largestLoss: losses.length > 0 ? Math.min(...losses) : 0,
+            averageWin: mean(wins),
+            averageLoss: losses.length > 0 ? -mean(losses.map(Math.abs)) : 0,
+            profitFactor: totalLoss > 0 ? totalProfit / totalLoss : null,
+            expectancy: average,
+            averageR: rMultiples.length > 0 ? mean(rMultiples) : null,
+            sharpeRatio: stdDev > 0 ? average / stdDev : null,
+            sortinoRatio: downsideDev > 0 ? average / downsideDev : null,
+            maxDrawdown: maxDrawdown,
+            maxDrawdownPercent: startingBalance ? maxDrawdownPercent : null,
+            averageDuration: durations.length > 0 ? mean(durations) : null,
+            consecutiveWins: consecutiveWins,
+            consecutiveLosses: consecutiveLosses,
+            maxConsecutiveWins: maxConsecutiveWins,
+            maxConsecutiveLosses: maxConsecutiveLosses
+        };
+    }
+    
+    /**
+     * Balance before the first of the (time-sorted) trades, back-solved from the
+     * first trade that carries a host balance; null when none does
+     */
+    static getStartingBalance(trades) {
+        const index = trades.findIndex(trade => trade.balanceAfter !== null && trade.balanceAfter !== undefined);
+        if (index === -1) return null;
+        
+        const profitToAnchor = trades.slice(0, index + 1).reduce((total, trade) => total + trade.netProfit, 0);
+        return trades[index].balanceAfter - profitToAnchor;
     }
     
     getStats() {
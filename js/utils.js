@@ -103,11 +103,10 @@ const NumberUtils = {
     },
     
     /**
-     * Calculate pips for forex pairs
+     * Calculate pips between two prices using the symbol's pip size
      */
-    calculatePips: (openPrice, closePrice, digits = 5) => {
-        const multiplier = digits === 3 || digits === 5 ? 10000 : 100;
-        return Math.abs(closePrice - openPrice) * multiplier;
+    calculatePips: (openPrice, closePrice, symbol = null) => {
+        return symbolRegistry.priceToPips(symbol, closePrice - openPrice);
     }
 };
 
@@ -116,20 +115,22 @@ const TradingUtils = {
     /**
      * Calculate position size based on risk
      */
-    calculatePositionSize: (accountBalance, riskPercent, entryPrice, stopLoss) => {
+    calculatePositionSize: (accountBalance, riskPercent, entryPrice, stopLoss, symbol = null) => {
         const riskAmount = (accountBalance * riskPercent) / 100;
-        const priceDistance = Math.abs(entryPrice - stopLoss);
-        const pipValue = 10; // USD per pip for standard lot
-        const pips = NumberUtils.calculatePips(entryPrice, stopLoss);
+        const pipValue = currencyConverter.getPipValue(symbol); // Account currency per pip per lot, null without a rate
+        const pips = NumberUtils.calculatePips(entryPrice, stopLoss, symbol);
         
-        return riskAmount / (pips * pipValue);
+        return pipValue === null ? null : riskAmount / (pips * pipValue);
     },
     
     /**
-     * Calculate profit/loss
+     * Calculate profit/loss in account currency
      */
-    calculatePnL: (openPrice, currentPrice, volume, side, pipValue = 10) => {
-        const pips = NumberUtils.calculatePips(openPrice, currentPrice);
+    calculatePnL: (openPrice, currentPrice, volume, side, pipValue = null, symbol = null) => {
+        pipValue = pipValue ?? currencyConverter.getPipValue(symbol);
+        if (pipValue === null) return null;
+        
+        const pips = NumberUtils.calculatePips(openPrice, currentPrice, symbol);
         const multiplier = side.toLowerCase() === 'buy' ? 
             (currentPrice > openPrice ? 1 : -1) : 
             (currentPrice < openPrice ? 1 : -1);
@@ -140,8 +141,23 @@ const TradingUtils = {
     /**
      * Calculate required margin
      */
-    calculateMargin: (volume, price, leverage = 100) => {
-        return (volume * 100000 * price) / leverage;
+    calculateMargin: (volume, price, leverage = 100, symbol = null) => {
+        return (symbolRegistry.lotsToUnits(symbol, volume) * price) / leverage;
+    },
+    
+    /**
+     * Average True Range over OHLC bars ({ high, low, close }); null until enough bars exist
+     */
+    calculateATR: (bars, period = 14) => {
+        if (!bars || bars.length < period + 1) return null;
+        
+        const trueRanges = bars.slice(1).map((bar, i) => {
+            const prevClose = bars[i].close;
+            return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+        });
+        
+        const recent = trueRanges.slice(-period);
+        return recent.reduce((sum, tr) => sum + tr, 0) / period;
     },
     
     /**
@@ -158,12 +174,14 @@ const TradingUtils = {
             errors.push('Invalid volume');
         }
         
-        if (volume < CONFIG.TRADING.MIN_VOLUME) {
-            errors.push(`Volume below minimum (${CONFIG.TRADING.MIN_VOLUME})`);
+        const spec = symbolRegistry.get(symbol);
+        
+        if (volume < spec.minVolume) {
+            errors.push(`Volume below minimum (${spec.minVolume})`);
         }
         
-        if (volume > CONFIG.TRADING.MAX_VOLUME) {
-            errors.push(`Volume above maximum (${CONFIG.TRADING.MAX_VOLUME})`);
+        if (volume > spec.maxVolume) {
+            errors.push(`Volume above maximum (${spec.maxVolume})`);
         }
         
         return {
@@ -236,6 +254,22 @@ const DOMUtils = {
             behavior: behavior,
             block: 'center'
         });
+    },
+    
+    /**
+     * Save generated content as a file download
+     */
+    downloadFile: (filename, content, mimeType = 'application/octet-stream') => {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 };
 
@@ -488,6 +522,18 @@ const ValidationUtils = {
         const div = document.createElement('div');
         div.textContent = str;
         return div.innerHTML;
+    },
+    
+    /**
+     * Escape a value for a quoted HTML attribute (sanitizeHtml leaves quotes alone)
+     */
+    escapeAttribute: (str) => {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 };
 
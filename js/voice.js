@@ -9,7 +9,7 @@ class VoiceManager {
         this.synthesis = null;
         this.isListening = false;
         this.isSupported = false;
-        this.currentLanguage = 'en-US';
+        this.currentLanguage = settingsStore.get('voiceLanguage');
         this.voiceModal = null;
         this.voiceButton = null;
         this.commandHistory = [];
@@ -167,6 +167,11 @@ class VoiceManager {
                 this.stopListening();
             }
         });
+        
+        // Voice language setting
+        settingsStore.subscribe('voiceLanguage', (language) => {
+            this.setLanguage(language);
+        });
     }
     
     /**
@@ -338,6 +343,15 @@ class VoiceManager {
     analyzeVoiceCommand(command) {
         const cmd = command.toLowerCase();
         
+        // Panic flatten is checked first so "close everything" is not a plain close
+        if (this.matchesPattern(cmd, CONFIG.AI.VOICE_COMMANDS.FLATTEN)) {
+            return {
+                type: 'flatten',
+                symbol: this.extractSymbol(cmd),
+                side: this.extractPositionSide(cmd)
+            };
+        }
+        
         // Trading commands
         if (this.matchesPattern(cmd, CONFIG.AI.VOICE_COMMANDS.BUY)) {
             return {
@@ -416,6 +430,10 @@ class VoiceManager {
                 await this.executeVoiceClose(intent);
                 break;
                 
+            case 'flatten':
+                await this.executeVoiceFlatten(intent);
+                break;
+                
             case 'analyze':
                 await this.executeVoiceAnalyze(intent);
                 break;
@@ -450,8 +468,14 @@ class VoiceManager {
             return;
         }
         
+        const riskManager = window.tradingEngine.riskManager;
+        if (riskManager.isLocked()) {
+            this.showVoiceError(`Trading locked: ${riskManager.getLockReason()}`);
+            return;
+        }
+        
         const params = {
-            volume: intent.volume || CONFIG.TRADING.DEFAULT_VOLUME,
+            volume: intent.volume || settingsStore.get('defaultVolume'),
             symbol: intent.symbol || window.chartManager?.currentSymbol
         };
         
@@ -464,8 +488,14 @@ class VoiceManager {
                     const riskAmount = (account.balance * intent.risk) / 100;
                     const price = intent.action === 'buy' ? quote.ask : quote.bid;
                     
-                    // Calculate stop loss for specified risk
-                    const stopDistance = riskAmount / (params.volume * 100000);
+                    // Calculate stop loss for specified risk (risk converted into the quote currency)
+                    const riskInQuote = currencyConverter.fromAccountCurrency(params.symbol, riskAmount);
+                    if (riskInQuote === null) {
+                        this.showVoiceError(`No conversion rate for ${params.symbol} yet, cannot size the stop`);
+                        return;
+                    }
+                    
+                    const stopDistance = riskInQuote / symbolRegistry.lotsToUnits(params.symbol, params.volume);
                     params.stopLoss = intent.action === 'buy' ? 
                         price - stopDistance : 
                         price + stopDistance;
@@ -501,6 +531,30 @@ class VoiceManager {
         }
     }
     
+    /**
+     * Execute voice panic flatten command
+     */
+    async executeVoiceFlatten(intent) {
+        if (!window.tradingEngine) {
+            this.showVoiceError('Trading engine not available');
+            return;
+        }
+        
+        const scope = [intent.side ? `${intent.side} positions` : null, intent.symbol].filter(Boolean).join(' on ');
+        this.speak(`Flattening ${scope || 'everything'}`);
+        
+        const result = await window.tradingEngine.flattenAll({
+            symbol: intent.symbol,
+            side: intent.side
+        });
+        
+        if (result.success) {
+            this.speak(`Flat. Closed ${result.closed.length} positions and cancelled ${result.cancelled.length} orders`);
+        } else if (result.failed?.length > 0) {
+            this.speak(`Warning: ${result.failed.length} items failed to close`);
+        }
+    }
+    
     /**
      * Execute voice analyze command
      */
@@ -520,7 +574,7 @@ class VoiceManager {
     async executeVoiceRisk(intent) {
         if (window.aiAssistant) {
             const symbol = intent.symbol || window.chartManager?.currentSymbol;
-            const risk = intent.risk || CONFIG.TRADING.DEFAULT_RISK_PERCENT;
+            const risk = intent.risk || settingsStore.get('defaultRiskPercent');
             const message = `Calculate position size for ${symbol} with ${risk}% risk`;
             
             this.speak('Calculating position size');
@@ -562,7 +616,7 @@ class VoiceManager {
      * Speak text using speech synthesis
      */
     speak(text, options = {}) {
-        if (!this.synthesis || !this.availableVoices) return;
+        if (!this.synthesis || !this.availableVoices || !settingsStore.get('voiceFeedback')) return;
         
         // Cancel any ongoing speech
         this.synthesis.cancel();
@@ -720,6 +774,12 @@ class VoiceManager {
         return null;
     }
     
+    extractPositionSide(command) {
+        if (/\blongs?\b/.test(command)) return 'buy';
+        if (/\bshorts?\b/.test(command)) return 'sell';
+        return null;
+    }
+    
     extractCloseTarget(command) {
         if (command.includes('all')) return 'all';
         if (command.includes('profitable') || command.includes('winning')) return 'profitable';
@@ -739,7 +799,7 @@ class VoiceManager {
      */
     clearCommandHistory() {
         this.commandHistory = [];
-        StorageUtils.removeItem('voice_command_history');
+        appStorage.removeItem('voice_command_history');
     }
     
     /**
@@ -750,7 +810,9 @@ class VoiceManager {
         if (this.recognition) {
             this.recognition.lang = language;
         }
-        this.loadVoices();
+        if (this.synthesis) {
+            this.loadVoices();
+        }
         
         Logger.info(`Voice language changed to: ${language}`);
     }
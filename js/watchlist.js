@@ -0,0 +1,513 @@
+/**
+ * TradeMaster AI Pro - Watchlist
+ * Named, editable watchlists with symbol search, drag reordering and live quotes
+ */
+
+// Broker symbol names: letters and digits with the odd separator (e.g. "US30.cash", "XAUUSD#")
+const WATCHLIST_SYMBOL_PATTERN = /^[A-Z0-9._#-]{1,32}$/i;
+
+class WatchlistManager {
+    constructor() {
+        this.lists = [];
+        this.activeId = null;
+        this.prices = new Map();
+        this.subscribed = new Set();
+        this.dayOpens = { day: this.getDayKey(), prices: {} };
+        this.draggedSymbol = null;
+
+        this.setupEventHandlers();
+        this.ready = this.load();
+
+        quoteSubscriptions.onQuote((quote) => {
+            this.handleQuote(quote);
+        });
+    }
+
+    /**
+     * Load saved lists (or the default list) and the day's opening prices
+     */
+    async load() {
+        try {
+            const [saved, dayOpens] = await Promise.all([
+                appStorage.getItem('watchlists'),
+                appStorage.getItem('watchlist_day_open')
+            ]);
+
+            const lists = (Array.isArray(saved?.lists) ? saved.lists : []).filter(list => {
+                const problem = WatchlistManager.validateList(list);
+                if (problem) {
+                    Logger.warn(`Skipping stored watchlist: ${problem}`);
+                }
+                return !problem;
+            });
+
+            if (lists.length > 0) {
+                this.lists = lists;
+                this.activeId = saved.activeId;
+            } else {
+                this.lists = [{ id: 'main', name: 'Main', symbols: [...CONFIG.WATCHLIST.DEFAULT_SYMBOLS] }];
+            }
+
+            if (!this.lists.some(list => list.id === this.activeId)) {
+                this.activeId = this.lists[0].id;
+            }
+
+            // A stored open is older than any quote received while loading
+            if (dayOpens?.day === this.dayOpens.day) {
+                this.dayOpens.prices = { ...this.dayOpens.prices, ...dayOpens.prices };
+            }
+        } catch (error) {
+            Logger.error('Failed to load watchlists:', error);
+            this.lists = [{ id: 'main', name: 'Main', symbols: [...CONFIG.WATCHLIST.DEFAULT_SYMBOLS] }];
+            this.activeId = 'main';
+        }
+
+        this.render();
+        this.syncSubscriptions();
+    }
+
+    save() {
+        return appStorage.setItem('watchlists', { lists: this.lists, activeId: this.activeId });
+    }
+
+    /**
+     * Problem with a stored or imported watchlist, or null if it is usable
+     */
+    static validateList(list) {
+        if (!list || typeof list !== 'object') return 'not a watchlist';
+        if (typeof list.id !== 'string' || !list.id) return 'missing id';
+        if (typeof list.name !== 'string' || !list.name.trim()) return `watchlist ${list.id} has no name`;
+        if (!Array.isArray(list.symbols)) return `watchlist ${list.id} has no symbols`;
+
+        const invalid = list.symbols.find(symbol => typeof symbol !== 'string' || !WATCHLIST_SYMBOL_PATTERN.test(symbol));
+        return invalid !== undefined ? `watchlist ${list.id} has an invalid symbol "${invalid}"` : null;
+    }
+
+    getActive() {
+        return this.lists.find(list => list.id === this.activeId) || null;
+    }
+
+    getSymbols() {
+        return this.getActive()?.symbols || [];
+    }
+
+    // Lists
+
+    async setActive(id) {
+        if (!this.lists.some(list => list.id === id) || id === this.activeId) return;
+
+        this.activeId = id;
+        await this.save();
+
+        this.render();
+        this.syncSubscriptions();
+    }
+
+    async createList(name) {
+        name = (name || '').trim();
+        if (!name) return null;
+
+        const list = { id: `list-${Date.now()}`, name: name, symbols: [] };
+        this.lists.push(list);
+        await this.setActive(list.id);
+
+        return list;
+    }
+
+    async renameList(id, name) {
+        const list = this.lists.find(item => item.id === id);
+        name = (name || '').trim();
+        if (!list || !name) return;
+
+        list.name = name;
+        await this.save();
+        this.renderListSelect();
+    }
+
+    async deleteList(id) {
+        if (this.lists.length <= 1) {
+            window.app?.showNotification('The last watchlist cannot be deleted', 'error');
+            return;
+        }
+
+        this.lists = this.lists.filter(list => list.id !== id);
+        if (id === this.activeId) {
+            this.activeId = this.lists[0].id;
+        }
+
+        await this.save();
+        this.render();
+        this.syncSubscriptions();
+    }
+
+    // Symbols
+
+    /**
+     * Add a symbol to the active list; returns an error message or null
+     */
+    async addSymbol(symbol) {
+        const list = this.getActive();
+        symbol = (symbol || '').trim().toUpperCase();
+
+        let error = null;
+        if (!list || !symbol) {
+            error = 'Enter a symbol';
+        } else if (!WATCHLIST_SYMBOL_PATTERN.test(symbol)) {
+            error = 'Symbols are letters, digits and . _ # -';
+        } else if (symbolRegistry.symbols.size > 0 && !symbolRegistry.has(symbol)) {
+            error = `${symbol} is not available on this account`;
+        } else if (list.symbols.includes(symbol)) {
+            error = `${symbol} is already in ${list.name}`;
+        } else if (list.symbols.length >= CONFIG.WATCHLIST.MAX_SYMBOLS) {
+            error = `A watchlist holds at most ${CONFIG.WATCHLIST.MAX_SYMBOLS} symbols`;
+        }
+
+        if (error) {
+            window.app?.showNotification(error, 'error');
+            return error;
+        }
+
+        list.symbols.push(symbol);
+        await this.save();
+
+        this.render();
+        this.syncSubscriptions();
+        window.app?.showNotification(CONFIG.SUCCESS.SYMBOL_ADDED, 'success');
+
+        return null;
+    }
+
+    async removeSymbol(symbol) {
+        const list = this.getActive();
+        if (!list) return;
+
+        list.symbols = list.symbols.filter(item => item !== symbol);
+        await this.save();
+
+        this.render();
+        this.syncSubscriptions();
+    }
+
+    /**
+     * Move a symbol to a new position in the active list
+     */
+    async moveSymbol(symbol, toIndex) {
+        const list = this.getActive();
+        const fromIndex = list?.symbols.indexOf(symbol) ?? -1;
+        if (fromIndex < 0 || fromIndex === toIndex) return;
+
+        list.symbols.splice(fromIndex, 1);
+        list.symbols.splice(Math.min(toIndex, list.symbols.length), 0, symbol);
+        await this.save();
+
+        this.render();
+    }
+
+    // Quotes
+
+    /**
+     * Hold quote subscriptions for the active list and release the symbols that left it
+     */
+    syncSubscriptions() {
+        const wanted = new Set(this.getSymbols());
+
+        wanted.forEach(symbol => {
+            if (!this.subscribed.has(symbol)) {
+                quoteSubscriptions.acquire(symbol);
+            }
+        });
+
+        this.subscribed.forEach(symbol => {
+            if (!wanted.has(symbol)) {
+                quoteSubscriptions.release(symbol);
+            }
+        });
+
+        this.subscribed = wanted;
+    }
+
+    /**
+     * UTC trading day, used to reset daily change
+     */
+    getDayKey(timestamp = Date.now()) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Record a quote and redraw its row; quotes arrive coalesced per symbol
+     */
+    handleQuote(quote) {
+        if (!this.subscribed.has(quote.symbol) || !quote.bid) return;
+
+        const day = this.getDayKey();
+        if (day !== this.dayOpens.day) {
+            this.dayOpens = { day: day, prices: {} };
+        }
+
+        const mid = quote.ask ? (quote.bid + quote.ask) / 2 : quote.bid;
+        if (!this.dayOpens.prices[quote.symbol]) {
+            this.dayOpens.prices[quote.symbol] = mid;
+            appStorage.setItem('watchlist_day_open', this.dayOpens);
+        }
+
+        const price = this.prices.get(quote.symbol) || { spark: [] };
+        price.bid = quote.bid;
+        price.ask = quote.ask;
+        price.mid = mid;
+        price.spark.push(mid);
+        if (price.spark.length > CONFIG.WATCHLIST.SPARK_POINTS) {
+            price.spark.shift();
+        }
+        this.prices.set(quote.symbol, price);
+
+        this.updateRow(quote.symbol);
+    }
+
+    /**
+     * Percent change from the first quote of the UTC day
+     */
+    getDailyChange(symbol) {
+        const open = this.dayOpens.prices[symbol];
+        const price = this.prices.get(symbol);
+        if (!open || !price) return null;
+
+        return ((price.mid - open) / open) * 100;
+    }
+
+    // Rendering
+
+    render() {
+        this.renderListSelect();
+
+        const container = document.getElementById('watchlist');
+        if (!container) return;
+
+        const symbols = this.getSymbols();
+        const currentSymbol = window.app?.currentSymbol || initializeSymbol();
+
+        container.innerHTML = symbols.length === 0 ?
+            '<div class="watchlist-empty">No symbols yet - use + to add some.</div>' :
+            symbols.map(symbol => `
+                <div class="watchlist-item ${symbol === currentSymbol ? 'active' : ''}" data-symbol="${ValidationUtils.escapeAttribute(symbol)}" draggable="true">
+                    <div class="symbol-info">
+                        <span class="symbol-name">${ValidationUtils.sanitizeHtml(symbol)}</span>
+                        <span class="symbol-price">Loading...</span>
+                    </div>
+                    <svg class="watchlist-spark" viewBox="0 0 60 20" preserveAspectRatio="none">
+                        <polyline points=""></polyline>
+                    </svg>
+                    <div class="symbol-change">--</div>
+                    <button class="btn-icon btn-small watchlist-remove" title="Remove ${ValidationUtils.escapeAttribute(symbol)}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        symbols.forEach(symbol => this.updateRow(symbol));
+    }
+
+    renderListSelect() {
+        const select = document.getElementById('watchlist-select');
+        if (!select) return;
+
+        select.innerHTML = `
+            ${this.lists.map(list => `
+                <option value="${ValidationUtils.escapeAttribute(list.id)}" ${list.id === this.activeId ? 'selected' : ''}>${ValidationUtils.sanitizeHtml(list.name)} (${list.symbols.length})</option>
+            `).join('')}
+            <optgroup label="Manage">
+                <option value="__new">New list…</option>
+                <option value="__rename">Rename list…</option>
+                <option value="__delete">Delete list</option>
+            </optgroup>
+        `;
+    }
+
+    updateRow(symbol) {
+        const row = Array.from(document.querySelectorAll('#watchlist .watchlist-item'))
+            .find(item => item.dataset.symbol === symbol);
+        const price = this.prices.get(symbol);
+        if (!row || !price) return;
+
+        row.querySelector('.symbol-price').textContent =
+            `${symbolRegistry.formatPrice(symbol, price.bid)} / ${price.ask ? symbolRegistry.formatPrice(symbol, price.ask) : '--'}`;
+
+        const change = this.getDailyChange(symbol);
+        const changeElement = row.querySelector('.symbol-change');
+        changeElement.textContent = change === null ? '--' : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+        changeElement.className = `symbol-change ${change > 0 ? 'positive' : change < 0 ? 'negative' : ''}`;
+
+        row.querySelector('.watchlist-spark polyline').setAttribute('points', this.getSparkPoints(price.spark));
+        row.querySelector('.watchlist-spark').classList.toggle('negative', change < 0);
+    }
+
+    /**
+     * SVG polyline points scaled into the 60x20 spark box
+     */
+    getSparkPoints(values) {
+        if (values.length < 2) return '';
+
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const step = 60 / (CONFIG.WATCHLIST.SPARK_POINTS - 1);
+        const offset = 60 - (values.length - 1) * step;
+
+        return values
+            .map((value, index) => `${(offset + index * step).toFixed(1)},${(19 - ((value - min) / range) * 18).toFixed(1)}`)
+            .join(' ');
+    }
+
+    // Search
+
+    toggleSearch(show) {
+        const search = document.getElementById('watchlist-search');
+        const input = document.getElementById('watchlist-search-input');
+        if (!search || !input) return;
+
+        const visible = show ?? search.classList.contains('hidden');
+        search.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            input.value = '';
+            this.renderSearchResults('');
+            input.focus();
+        }
+    }
+
+    renderSearchResults(query) {
+        const results = document.getElementById('watchlist-search-results');
+        if (!results) return;
+
+        const symbols = this.getSymbols();
+        results.innerHTML = symbolRegistry.search(query, CONFIG.WATCHLIST.SEARCH_RESULTS).map(spec => `
+            <div class="watchlist-search-result ${symbols.includes(spec.name) ? 'added' : ''}" data-symbol="${ValidationUtils.escapeAttribute(spec.name)}">
+                <span class="symbol-name">${ValidationUtils.sanitizeHtml(spec.name)}</span>
+                <small>${ValidationUtils.sanitizeHtml(spec.description || '')}</small>
+            </div>
+        `).join('');
+    }
+
+    // Events
+
+    setupEventHandlers() {
+        const addButton = document.getElementById('watchlist-add');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.toggleSearch());
+        }
+
+        const searchInput = document.getElementById('watchlist-search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => this.renderSearchResults(e.target.value));
+            searchInput.addEventListener('keydown', async (e) => {
+                if (e.key === 'Escape') {
+                    this.toggleSearch(false);
+                } else if (e.key === 'Enter') {
+                    const first = symbolRegistry.search(e.target.value, 1)[0];
+                    if (!(await this.addSymbol(first?.name || e.target.value))) {
+                        this.toggleSearch(false);
+                    }
+                }
+            });
+        }
+
+        const searchResults = document.getElementById('watchlist-search-results');
+        if (searchResults) {
+            searchResults.addEventListener('click', async (e) => {
+                const result = e.target.closest('.watchlist-search-result');
+                if (result && !(await this.addSymbol(result.dataset.symbol))) {
+                    this.toggleSearch(false);
+                }
+            });
+        }
+
+        const listSelect = document.getElementById('watchlist-select');
+        if (listSelect) {
+            listSelect.addEventListener('change', (e) => this.handleListAction(e.target.value));
+        }
+
+        const container = document.getElementById('watchlist');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('.watchlist-item');
+            if (!item) return;
+
+            if (e.target.closest('.watchlist-remove')) {
+                this.removeSymbol(item.dataset.symbol);
+            } else {
+                window.app?.changeSymbol(item.dataset.symbol);
+            }
+        });
+
+        // Drag to reorder
+        container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.watchlist-item');
+            if (!item) return;
+
+            this.draggedSymbol = item.dataset.symbol;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedSymbol);
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (this.draggedSymbol) {
+                e.preventDefault();
+            }
+        });
+
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const target = e.target.closest('.watchlist-item');
+            if (!this.draggedSymbol || !target || target.dataset.symbol === this.draggedSymbol) return;
+
+            // Dropping on the lower half of a row places the symbol after it
+            const rect = target.getBoundingClientRect();
+            const symbols = this.getSymbols().filter(symbol => symbol !== this.draggedSymbol);
+            const index = symbols.indexOf(target.dataset.symbol) + (e.clientY > rect.top + rect.height / 2 ? 1 : 0);
+
+            this.moveSymbol(this.draggedSymbol, Math.max(0, index));
+        });
+
+        container.addEventListener('dragend', () => {
+            this.draggedSymbol = null;
+            container.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+    }
+
+    /**
+     * List select: switch list, or run one of the manage actions
+     */
+    async handleListAction(value) {
+        const active = this.getActive();
+
+        if (value === '__new') {
+            await this.createList(prompt('Watchlist name:'));
+        } else if (value === '__rename') {
+            await this.renameList(active.id, prompt('Rename watchlist:', active.name));
+        } else if (value === '__delete') {
+            if (confirm(`Delete watchlist "${active.name}"?`)) {
+                await this.deleteList(active.id);
+            }
+        } else {
+            await this.setActive(value);
+        }
+
+        // Reset the select after a manage action
+        this.renderListSelect();
+    }
+}
+
+// Initialize watchlist manager
+const watchlistManager = new WatchlistManager();
+
+backupManager.registerSection('watchlists', {
+    label: 'Watchlists',
+    type: 'kv',
+    keys: ['watchlists'],
+    validateItem: (key, value) => {
+        if (!value || !Array.isArray(value.lists)) return 'expected { lists, activeId }';
+
+        const problems = value.lists.map(list => WatchlistManager.validateList(list)).filter(Boolean);
+        return problems.length > 0 ? problems.join(', ') : null;
+    }
+});
@@ -10,10 +10,27 @@ const CACHE_URLS = [
     '/css/styles.css',
     '/js/config.js',
     '/js/utils.js',
+    '/js/symbols.js',
+    '/js/currency.js',
+    '/js/storage.js',
+    '/js/settings.js',
     '/js/ctrader-sdk.js',
+    '/js/quotes.js',
+    '/js/bars.js',
+    '/js/market-data.js',
+    '/js/indicator-streams.js',
+    '/js/indicators.js',
     '/js/ai-assistant.js',
     '/js/chart.js',
+    '/js/position-manager.js',
+    '/js/order-groups.js',
     '/js/trading.js',
+    '/js/journal.js',
+    '/js/analytics.js',
+    '/js/backup.js',
+    '/js/export.js',
+    '/js/watchlist.js',
+    '/js/profiles.js',
     '/js/voice.js',
     '/js/main.js',
     '/assets/favicon.ico',
@@ -21,6 +38,11 @@ const CACHE_URLS = [
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
     'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/luxon',
+    'https://cdn.jsdelivr.net/npm/chartjs-adapter-luxon',
+    'https://cdn.jsdelivr.net/npm/chartjs-chart-financial',
+    'https://cdn.jsdelivr.net/npm/hammerjs',
+    'https://cdn.jsdelivr.net/npm/chartjs-plugin-zoom',
     'https://cdn.jsdelivr.net/npm/@spotware-web-team/sdk@latest/dist/index.js'
 ];
 